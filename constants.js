@@ -9,9 +9,10 @@ module.exports = {
 	 * 		- $everyone (unauthenticated users)
 	 * 		- $authenticated (authenticated user)
 	 * 		- $owner (owner of entity)
-	 * 		- $system (???)
+	 * 		- $system (machine clients authenticated with the client credentials grant)
+	 * 		- $2fa-enrollment (users who have to set up the mandatory 2FA before the login)
 	 *
-	 * TODO:
+	 * Rules (enforced by the `acl` service):
 	 * 	- Other role names can't start with $. It's an internal special role marker.
 	 *  - Other role names can't contain colon (:). It's a permission separator
 	 */
@@ -19,6 +20,7 @@ module.exports = {
 	ROLE_EVERYONE: "$everyone",
 	ROLE_AUTHENTICATED: "$authenticated",
 	ROLE_OWNER: "$owner",
+	ROLE_TWOFACTOR_ENROLLMENT: "$2fa-enrollment",
 
 	/**
 	 * Service endpoints visibility
@@ -27,4 +29,29 @@ module.exports = {
 	VISIBILITY_PROTECTED: "protected",
 	VISIBILITY_PUBLIC: "public",
 	VISIBILITY_PUBLISHED: "published",
+
+	/**
+	 * Token types (tokens service)
+	 */
+	TOKEN_TYPE_REFRESH: "refresh",
+	TOKEN_TYPE_REVOKED_JWT: "revoked-jwt",
+	TOKEN_TYPE_OAUTH_CODE: "oauth-code",
+	TOKEN_TYPE_OAUTH_CONSENT: "oauth-consent",
+	TOKEN_TYPE_UNLOCK: "unlock",
+	TOKEN_TYPE_RECOVERY_CODE: "recovery-code",
+	TOKEN_TYPE_WEBAUTHN_CHALLENGE: "webauthn-challenge",
+	TOKEN_TYPE_EMAIL_OTP: "email-otp",
+	TOKEN_TYPE_SMS_OTP: "sms-otp",
+	TOKEN_TYPE_TRUSTED_DEVICE: "trusted-device",
+	TOKEN_TYPE_EMAIL_CHANGE: "email-change",
+	TOKEN_TYPE_EMAIL_REVERT: "email-revert",
+	TOKEN_TYPE_DELETION_CANCEL: "deletion-cancel",
+
+	/**
+	 * Signing key statuses (keys service)
+	 */
+	KEY_STATUS_PENDING: "pending",
+	KEY_STATUS_ACTIVE: "active",
+	KEY_STATUS_RETIRING: "retiring",
+	KEY_STATUS_RETIRED: "retired",
 };
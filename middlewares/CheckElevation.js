@@ -0,0 +1,35 @@
+"use strict";
+
+const { MoleculerClientError } 	= require("moleculer").Errors;
+
+module.exports = {
+
+	/**
+	 * Requires a recently re-authenticated ("sudo mode") session
+	 * for the sensitive actions. The session is elevated by the
+	 * `v1.accounts.reauthenticate` action.
+	 */
+
+	// Wrap local action handlers
+	localAction(handler, action) {
+
+		// If this feature enabled
+		if (action.needElevation) {
+			return async function CheckElevationMiddleware(ctx) {
+				// Only the requests of the users are checked, like in the CheckPermissions middleware
+				if (ctx.meta.roles) {
+					const session = ctx.meta.sessionID ? await ctx.call("v1.sessions.touch", { id: ctx.meta.sessionID }) : null;
+					if (!session || !session.elevatedUntil || session.elevatedUntil < Date.now())
+						throw new MoleculerClientError("Please re-authenticate to continue this operation!", 403, "ERR_REAUTHENTICATION_REQUIRED", { action: action.name });
+				}
+
+				// Call the handler
+				return handler(ctx);
+
+			}.bind(this);
+		}
+
+		// Return original handler, because feature is disabled
+		return handler;
+	}
+};
@@ -7,8 +7,8 @@ module.exports = function(eventNames) {
 	eventNames.forEach(name => {
 		events[name] = function() {
 			if (this.broker.cacher) {
-				this.logger.debug(`Clear local '${this.name}' cache`);
-				this.broker.cacher.clean(`${this.name}.*`);
+				this.logger.debug(`Clear local '${this.fullName}' cache`);
+				this.broker.cacher.clean(`${this.fullName}.*`);
 			}
 		};
 	});
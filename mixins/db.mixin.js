@@ -33,6 +33,24 @@ module.exports = function(collection, opts = {}) {
 		adapter: adapter,
 
 		methods: {
+			/**
+			 * Remove the `hidden` fields (passwords, secrets...) from the responses.
+			 * The object form of `settings.fields` is not filtered by moleculer-db.
+			 *
+			 * @param {Object} doc
+			 * @param {Object|Array} fields
+			 */
+			filterFields(doc, fields) {
+				if (!_.isPlainObject(this.settings.fields))
+					return DbService.methods.filterFields.call(this, doc, fields);
+
+				const hidden = Object.keys(this.settings.fields).filter(name => this.settings.fields[name].hidden);
+				if (Array.isArray(fields))
+					return _.pick(doc, _.difference(fields, hidden));
+
+				return _.omit(doc, hidden);
+			},
+
 			entityChanged(type, json, ctx) {
 				return this.clearCache().then(() => {
 					const eventName = `${this.name}.entity.${type}`;
@@ -5,6 +5,7 @@ const fs 		= require("fs");
 const path 		= require("path");
 const passport 	= require("passport");
 const cookie    = require("cookie");
+const C 		= require("../constants");
 
 module.exports = function(mixinOptions) {
 	if (!mixinOptions || !mixinOptions.providers)
@@ -85,11 +86,69 @@ module.exports = function(mixinOptions) {
 					json: true,
 					urlencoded: { extended: true }
 				},
+
+				onBeforeCall(ctx, route, req) {
+					// The anonymous requests are checked by the CheckPermissions middleware as well
+					ctx.meta.roles = [C.ROLE_EVERYONE];
+
+					// Recorded in the login session
+					ctx.meta.userAgent = req.headers["user-agent"];
+					if (_.isFunction(this.getClientIP))
+						ctx.meta.ip = this.getClientIP(req);
+
+					// Used by logout
+					if (_.isFunction(this.getAuthToken))
+						ctx.meta.token = this.getAuthToken(req);
+
+					// Skips the 2FA of the login
+					if (mixinOptions.trustedDeviceCookie && req.headers.cookie)
+						ctx.meta.deviceToken = cookie.parse(req.headers.cookie)[mixinOptions.trustedDeviceCookie];
+
+					// The user is optional, the WebAuthn registration needs it
+					if (ctx.meta.token && _.isFunction(this.authenticate)) {
+						// The access tokens of the OAuth clients are rejected by the `oauthTokenActions` of the route
+						return this.authenticate(ctx, req, route)
+							.then(user => ctx.meta.user = user)
+							.catch(err => this.logger.debug("Auth request with invalid token.", err.message));
+					}
+				},
+
+				onAfterCall(ctx, route, req, res, data) {
+					// Store the trusted device token in an HTTP-only cookie instead of the response
+					if (mixinOptions.trustedDeviceCookie && data && data.deviceToken) {
+						res.setHeader("Set-Cookie", cookie.serialize(mixinOptions.trustedDeviceCookie, data.deviceToken, Object.assign({
+							path: route.path,
+							httpOnly: true,
+							sameSite: "strict",
+							expires: new Date(data.deviceTokenExpires)
+						}, mixinOptions.cookieOptions || {})));
+
+						return _.omit(data, ["deviceToken", "deviceTokenExpires"]);
+					}
+
+					return data;
+				}
 			};
 
 			if (mixinOptions.localAuthAlias)
 				route.aliases["POST /local"] = mixinOptions.localAuthAlias;
 
+			if (mixinOptions.refreshTokenAlias)
+				route.aliases["POST /token"] = mixinOptions.refreshTokenAlias;
+
+			if (mixinOptions.logoutAlias)
+				route.aliases["POST /logout"] = mixinOptions.logoutAlias;
+
+			// Verifying the emailed or sent 2FA codes, e.g. `{ email: "v1.accounts.verifyEmail2Fa" }`
+			_.forIn(mixinOptions.twoFactorAliases, (action, method) => {
+				route.aliases[`POST /2fa/${method}`] = action;
+			});
+
+			// WebAuthn ceremonies, e.g. `{ "register/begin": "v1.accounts.webauthnRegisterBegin" }`
+			_.forIn(mixinOptions.webauthnAliases, (action, ceremony) => {
+				route.aliases[`POST /webauthn/${ceremony}`] = action;
+			});
+
 			Providers.forEach(provider => {
 				const fnName = `register${_.capitalize(provider.name)}Strategy`;
 
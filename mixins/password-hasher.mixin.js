@@ -0,0 +1,234 @@
+"use strict";
+
+const _ 			= require("lodash");
+const crypto 		= require("crypto");
+const bcrypt 		= require("bcrypt");
+
+/**
+ * Default hashing options. The values are loaded from the `accounts.hash.*` configuration keys.
+ */
+const DEFAULT_OPTIONS = {
+	algorithm: "bcrypt",
+	"bcrypt.rounds": 10,
+	// log2 of the CPU/memory cost (N)
+	"scrypt.cost": 15,
+	"scrypt.blockSize": 8,
+	"scrypt.parallelization": 1,
+	// in KiB
+	"argon2.memoryCost": 65536,
+	"argon2.timeCost": 3,
+	"argon2.parallelism": 1
+};
+
+/**
+ * Parse the `key=value,key=value` parameters of a PHC string
+ *
+ * @param {String} str
+ * @returns {Object}
+ */
+function parseParams(str) {
+	return _.fromPairs(str.split(",").map(pair => {
+		const [key, value] = pair.split("=");
+		return [key, Number(value)];
+	}));
+}
+
+/**
+ * Encode to unpadded base64 (PHC string format)
+ *
+ * @param {Buffer} buf
+ * @returns {String}
+ */
+function b64(buf) {
+	return buf.toString("base64").replace(/=+$/, "");
+}
+
+const HASHERS = {
+
+	/**
+	 * bcrypt in its own modular crypt format: `$2b$<rounds>$<salt+hash>`
+	 */
+	bcrypt: {
+		test: hash => /^\$2[aby]\$/.test(hash),
+
+		hash: (password, opts) => bcrypt.hash(password, opts["bcrypt.rounds"]),
+
+		verify: (password, hash) => bcrypt.compare(password, hash),
+
+		needsRehash: (hash, opts) => Number(hash.split("$")[2]) !== opts["bcrypt.rounds"]
+	},
+
+	/**
+	 * scrypt of Node crypto: `$scrypt$ln=<cost>,r=<blockSize>,p=<parallelization>$<salt>$<hash>`
+	 */
+	scrypt: {
+		test: hash => hash.startsWith("$scrypt$"),
+
+		async hash(password, opts) {
+			const params = { ln: opts["scrypt.cost"], r: opts["scrypt.blockSize"], p: opts["scrypt.parallelization"] };
+			const salt = crypto.randomBytes(16);
+			const key = await this.derive(password, salt, params, 32);
+
+			return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${b64(salt)}$${b64(key)}`;
+		},
+
+		async verify(password, hash) {
+			const [, , params, salt, expected] = hash.split("$");
+			const expectedBuf = Buffer.from(expected, "base64");
+			const key = await this.derive(password, Buffer.from(salt, "base64"), parseParams(params), expectedBuf.length);
+
+			return crypto.timingSafeEqual(key, expectedBuf);
+		},
+
+		needsRehash(hash, opts) {
+			const params = parseParams(hash.split("$")[2]);
+			return params.ln !== opts["scrypt.cost"] || params.r !== opts["scrypt.blockSize"] || params.p !== opts["scrypt.parallelization"];
+		},
+
+		derive(password, salt, params, keyLength) {
+			const N = Math.pow(2, params.ln);
+			return new Promise((resolve, reject) => {
+				crypto.scrypt(password, salt, keyLength, { N, r: params.r, p: params.p, maxmem: 256 * N * params.r }, (err, key) => {
+					if (err) return reject(err);
+					resolve(key);
+				});
+			});
+		}
+	},
+
+	/**
+	 * Argon2id with the optional `argon2` package (PHC string format)
+	 */
+	argon2: {
+		test: hash => hash.startsWith("$argon2"),
+
+		hash(password, opts) {
+			const argon2 = this.load();
+			return argon2.hash(password, {
+				type: argon2.argon2id,
+				memoryCost: opts["argon2.memoryCost"],
+				timeCost: opts["argon2.timeCost"],
+				parallelism: opts["argon2.parallelism"]
+			});
+		},
+
+		verify(password, hash) {
+			return this.load().verify(hash, password);
+		},
+
+		needsRehash(hash, opts) {
+			const params = parseParams(hash.split("$")[3]);
+			return !hash.startsWith("$argon2id$") || params.m !== opts["argon2.memoryCost"] || params.t !== opts["argon2.timeCost"] || params.p !== opts["argon2.parallelism"];
+		},
+
+		load() {
+			try {
+				return require("argon2");
+			} catch(err) {
+				throw new Error("The optional 'argon2' package is missing. Please install it with 'npm install argon2'.");
+			}
+		}
+	}
+};
+
+/**
+ * Password hasher mixin. The hashes contain the algorithm & the cost parameters,
+ * so the passwords hashed with other (earlier) settings can be verified
+ * and rehashed. It uses the `accounts.hash.*` keys of the `ConfigLoader` mixin.
+ */
+module.exports = {
+
+	methods: {
+
+		/**
+		 * Get the normalized hashing options
+		 *
+		 * @returns {Object}
+		 */
+		getHasherOptions() {
+			// The passwords of the seed users are hashed before the configuration is loaded
+			const config = this.config || {};
+
+			return _.mapValues(DEFAULT_OPTIONS, (def, key) => {
+				const value = config[`accounts.hash.${key}`];
+				if (value == null || value === "")
+					return def;
+
+				if (!_.isNumber(def)) {
+					const algorithm = String(value).trim().toLowerCase();
+					if (!HASHERS[algorithm])
+						throw new Error(`Unsupported password hashing algorithm: '${value}'`);
+					return algorithm;
+				}
+
+				const num = Number(value);
+				if (!Number.isInteger(num) || num <= 0)
+					throw new Error(`Invalid password hashing option 'accounts.hash.${key}': '${value}'`);
+				return num;
+			});
+		},
+
+		/**
+		 * Validate the hashing options. It should be called at startup,
+		 * after the configuration is loaded, to fail fast on the wrong settings.
+		 *
+		 * @returns {Object} Hashing options
+		 */
+		validateHasherOptions() {
+			const opts = this.getHasherOptions();
+			if (opts.algorithm == "argon2")
+				HASHERS.argon2.load();
+
+			return opts;
+		},
+
+		/**
+		 * Get the hasher of the hash
+		 *
+		 * @param {String} hash
+		 * @returns {Object?}
+		 */
+		getHasher(hash) {
+			return _.find(HASHERS, hasher => hasher.test(hash));
+		},
+
+		/**
+		 * Hash a plaintext password with the configured algorithm
+		 *
+		 * @param {String} password
+		 * @returns {Promise<String>} Hash in PHC string format
+		 */
+		async hashPassword(password) {
+			const opts = this.getHasherOptions();
+			return await HASHERS[opts.algorithm].hash(password, opts);
+		},
+
+		/**
+		 * Verify a plaintext password against a stored hash
+		 *
+		 * @param {String} password
+		 * @param {String} hash
+		 * @returns {Promise<Boolean>}
+		 */
+		async verifyPassword(password, hash) {
+			const hasher = hash ? this.getHasher(hash) : null;
+			if (!hasher)
+				return false;
+
+			return await hasher.verify(password, hash);
+		},
+
+		/**
+		 * Check whether the hash is made by other algorithm or cost than the configured one
+		 *
+		 * @param {String} hash
+		 * @returns {Boolean}
+		 */
+		passwordNeedsRehash(hash) {
+			const opts = this.getHasherOptions();
+			const hasher = this.getHasher(hash);
+
+			return hasher !== HASHERS[opts.algorithm] || hasher.needsRehash(hash, opts);
+		}
+	}
+};
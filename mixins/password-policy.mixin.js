@@ -0,0 +1,287 @@
+"use strict";
+
+const _ 					= require("lodash");
+const fs 					= require("fs");
+const path 					= require("path");
+const util 					= require("util");
+const crypto 				= require("crypto");
+const { ValidationError } 	= require("moleculer").Errors;
+
+/**
+ * Password policy rules. The values are loaded from the `accounts.password.*`
+ * configuration keys, the rule is disabled if the value is `0`.
+ */
+const DEFAULT_POLICY = {
+	minLength: 8,
+	maxLength: 72,
+	minLowercase: 0,
+	minUppercase: 0,
+	minDigits: 0,
+	minSymbols: 0,
+	maxRepeated: 0,
+	personalInfo: false,
+	history: 0,
+	// Breached passwords check: `block`, `warn` or `off`
+	breached: "off",
+	// Folder of the SHA-1 range files (`<PREFIX>.txt` with `<SUFFIX>:<COUNT>` lines)
+	breachedDir: ""
+};
+
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
+
+const CHARACTER_CLASSES = {
+	minLowercase: { regex: /[a-z]/g, name: "lowercase letter" },
+	minUppercase: { regex: /[A-Z]/g, name: "uppercase letter" },
+	minDigits: { regex: /[0-9]/g, name: "digit" },
+	minSymbols: { regex: /[^a-zA-Z0-9]/g, name: "symbol" }
+};
+
+/**
+ * Password policy mixin. It needs the `ConfigLoader` mixin with the `accounts.**` keys
+ * and the `PasswordHasher` mixin.
+ *
+ * The breached passwords are checked offline, against a local copy of the
+ * "Have I Been Pwned" range files. After importing new files, touch the
+ * `VERSION` file (or the folder) to re-check the passwords on the next logins.
+ */
+module.exports = {
+
+	settings: {
+		// Interval of checking the modification of the breached passwords dataset (in ms)
+		breachedRescanInterval: 60 * 60 * 1000
+	},
+
+	methods: {
+
+		/**
+		 * Get the current password policy
+		 *
+		 * @returns {Object}
+		 */
+		getPasswordPolicy() {
+			return _.mapValues(DEFAULT_POLICY, (def, rule) => {
+				const value = this.config[`accounts.password.${rule}`];
+				if (value == null)
+					return def;
+
+				// The values from the environment variables are strings
+				if (_.isBoolean(def))
+					return value === true || value === "true";
+
+				return _.isString(def) ? String(value) : Number(value);
+			});
+		},
+
+		/**
+		 * Check the password against the policy
+		 *
+		 * @param {String} password - Plaintext password
+		 * @param {Object?} user - User entity or registration data (for personal info & history rules)
+		 * @returns {Promise<Array<Object>>} Violations in the format of the parameter validation errors
+		 */
+		async checkPasswordPolicy(password, user) {
+			const policy = this.getPasswordPolicy();
+			const violations = [];
+
+			const violation = (type, message, expected) => violations.push({ type, field: "password", message, expected });
+
+			if (policy.minLength && password.length < policy.minLength)
+				violation("minLength", `The password must be at least ${policy.minLength} characters long.`, policy.minLength);
+
+			if (policy.maxLength && password.length > policy.maxLength)
+				violation("maxLength", `The password must be at most ${policy.maxLength} characters long.`, policy.maxLength);
+
+			Object.keys(CHARACTER_CLASSES).forEach(rule => {
+				const { regex, name } = CHARACTER_CLASSES[rule];
+				if (policy[rule] && (password.match(regex) || []).length < policy[rule])
+					violation(rule, `The password must contain at least ${policy[rule]} ${name}${policy[rule] > 1 ? "s" : ""}.`, policy[rule]);
+			});
+
+			if (policy.maxRepeated && this.getMaxRepeated(password) > policy.maxRepeated)
+				violation("maxRepeated", `The password must not contain the same character more than ${policy.maxRepeated} times in a row.`, policy.maxRepeated);
+
+			if (policy.personalInfo && user && this.containsPersonalInfo(password, user))
+				violation("personalInfo", "The password must not contain your name, username or email address.");
+
+			if (policy.history && user && await this.isRecentPassword(password, user, policy.history))
+				violation("history", `The password must differ from the last ${policy.history} passwords.`, policy.history);
+
+			if (policy.breached == "block" && await this.isBreachedPassword(password))
+				violation("breached", "The password has appeared in a data breach. Please choose another one.");
+
+			return violations;
+		},
+
+		/**
+		 * Validate the password against the policy & throw error with the violations
+		 *
+		 * @param {String} password - Plaintext password
+		 * @param {Object?} user - User entity or registration data
+		 * @returns {Promise<Object>} `{ breached }` - The password is breached, but it's allowed in `warn` mode
+		 */
+		async validatePassword(password, user) {
+			const violations = await this.checkPasswordPolicy(password, user);
+			if (violations.length > 0)
+				throw new ValidationError("The password doesn't meet the password policy!", "ERR_PASSWORD_POLICY", violations);
+
+			const breached = this.getPasswordPolicy().breached == "warn" && await this.isBreachedPassword(password);
+			return { breached };
+		},
+
+		/**
+		 * Check whether the password is in the local breached passwords dataset
+		 *
+		 * @param {String} password - Plaintext password
+		 * @returns {Promise<Boolean>}
+		 */
+		async isBreachedPassword(password) {
+			const dir = this.getPasswordPolicy().breachedDir;
+			if (!dir)
+				return false;
+
+			const hash = crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+			const prefix = hash.slice(0, 5);
+			const suffix = hash.slice(5);
+
+			let content;
+			try {
+				content = await readFile(path.join(dir, `${prefix}.txt`), "utf8");
+			} catch(err) {
+				if (err.code == "ENOENT")
+					return false;
+				throw err;
+			}
+
+			return content.split(/\r?\n/).some(line => {
+				const [lineSuffix, count] = line.split(":");
+				// The padding lines have zero count
+				return lineSuffix && lineSuffix.trim().toUpperCase() == suffix && Number(count) > 0;
+			});
+		},
+
+		/**
+		 * Get the last modification time of the breached passwords dataset.
+		 * It's refreshed periodically, the passwords checked earlier are re-checked on login.
+		 *
+		 * @returns {Promise<Number?>}
+		 */
+		async getBreachedDatasetUpdatedAt() {
+			if (this.breachedDatasetUpdatedAt === undefined)
+				await this.refreshBreachedDataset();
+
+			return this.breachedDatasetUpdatedAt;
+		},
+
+		/**
+		 * Read the modification time of the breached passwords dataset
+		 */
+		async refreshBreachedDataset() {
+			const dir = this.getPasswordPolicy().breachedDir;
+			if (!dir) {
+				this.breachedDatasetUpdatedAt = null;
+				return;
+			}
+
+			const times = await Promise.all([dir, path.join(dir, "VERSION")].map(file => {
+				return stat(file).then(stats => stats.mtime.getTime()).catch(() => 0);
+			}));
+
+			const updatedAt = Math.max(...times) || null;
+			if (this.breachedDatasetUpdatedAt && updatedAt > this.breachedDatasetUpdatedAt)
+				this.logger.info("Breached passwords dataset has been updated. The passwords will be re-checked on the next logins.");
+
+			this.breachedDatasetUpdatedAt = updatedAt;
+		},
+
+		/**
+		 * Get the new password history of the user after changing the password
+		 *
+		 * @param {Object} user - User entity
+		 * @param {String} hash - Hash of the new password
+		 * @returns {Array<String>}
+		 */
+		getPasswordHistory(user, hash) {
+			const policy = this.getPasswordPolicy();
+			if (!policy.history)
+				return [];
+
+			return [hash].concat(user.passwordHistory || []).slice(0, policy.history);
+		},
+
+		/**
+		 * Get the length of the longest run of the same character
+		 *
+		 * @param {String} password
+		 * @returns {Number}
+		 */
+		getMaxRepeated(password) {
+			let max = 0, run = 0;
+			for (let i = 0; i < password.length; i++) {
+				run = i > 0 && password[i] === password[i - 1] ? run + 1 : 1;
+				max = Math.max(max, run);
+			}
+			return max;
+		},
+
+		/**
+		 * Check whether the password contains the username, the name
+		 * or the local part of the email address. Parts shorter than
+		 * 3 characters are skipped.
+		 *
+		 * @param {String} password
+		 * @param {Object} user
+		 * @returns {Boolean}
+		 */
+		containsPersonalInfo(password, user) {
+			const lower = password.toLowerCase();
+			const parts = [
+				user.username,
+				user.firstName,
+				user.lastName,
+				user.email ? user.email.split("@")[0] : null
+			];
+
+			return parts
+				.filter(part => part && part.length >= 3)
+				.some(part => lower.indexOf(part.toLowerCase()) !== -1);
+		},
+
+		/**
+		 * Check whether the password matches the current or a recent password
+		 *
+		 * @param {String} password
+		 * @param {Object} user
+		 * @param {Number} count - Number of checked passwords
+		 * @returns {Promise<Boolean>}
+		 */
+		async isRecentPassword(password, user, count) {
+			// The password of passwordless accounts is a random token, not a hash
+			const current = user.passwordless ? [] : [user.password];
+			const hashes = _.uniq(current.concat(user.passwordHistory || [])).filter(Boolean).slice(0, count);
+
+			for (const hash of hashes) {
+				if (await this.verifyPassword(password, hash))
+					return true;
+			}
+			return false;
+		}
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	started() {
+		this.breachedRescanTimer = setInterval(() => {
+			this.refreshBreachedDataset().catch(err => this.logger.error("Unable to check the breached passwords dataset.", err));
+		}, this.settings.breachedRescanInterval);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	stopped() {
+		if (this.breachedRescanTimer)
+			clearInterval(this.breachedRescanTimer);
+	}
+};
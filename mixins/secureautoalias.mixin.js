@@ -23,6 +23,12 @@ module.exports = {
 		},
 		remove: {
 			visibility: C.VISIBILITY_PROTECTED
+		},
+		insert: {
+			visibility: C.VISIBILITY_PROTECTED
+		},
+		count: {
+			visibility: C.VISIBILITY_PROTECTED
 		}
 	}
 };
\ No newline at end of file
@@ -0,0 +1,517 @@
+"use strict";
+
+const _ 						= require("lodash");
+const crypto 					= require("crypto");
+const { URL } 					= require("url");
+const C 						= require("../constants");
+const { MoleculerClientError } 	= require("moleculer").Errors;
+
+/**
+ * Default WebAuthn options. The values are loaded from the `accounts.webauthn.*` configuration keys.
+ */
+const DEFAULT_OPTIONS = {
+	// Relying party ID. Default is the hostname of the first origin
+	rpID: "",
+	// Allowed origins (comma separated). Default is the site URL
+	origin: "",
+	// Timeout of the ceremonies (in ms)
+	timeout: 5 * 60 * 1000
+};
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+// Supported COSE algorithms: ES256, EdDSA (Ed25519), RS256
+const ALGORITHMS = [-7, -8, -257];
+
+// DER prefixes of the SubjectPublicKeyInfo structures
+const SPKI_PREFIX_P256 = Buffer.from("3059301306072a8648ce3d020106082a8648ce3d030107034200", "hex");
+const SPKI_PREFIX_ED25519 = Buffer.from("302a300506032b6570032100", "hex");
+const ALGORITHM_ID_RSA = Buffer.from("300d06092a864886f70d0101010500", "hex");
+
+/**
+ * Encode to Base64URL
+ *
+ * @param {Buffer} buf
+ * @returns {String}
+ */
+function toBase64URL(buf) {
+	return buf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode from Base64URL
+ *
+ * @param {String} str
+ * @returns {Buffer}
+ */
+function fromBase64URL(str) {
+	return Buffer.from(str.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+/**
+ * Decode a CBOR data item. Only the definite-length items used
+ * by WebAuthn are supported. The keys of the maps are strings.
+ *
+ * @param {Buffer} buf
+ * @param {Number} offset
+ * @returns {Object} `{ value, offset }` - Offset is the end of the item
+ */
+function decodeCBOR(buf, offset = 0) {
+	if (offset >= buf.length)
+		throw new Error("Unexpected end of CBOR data.");
+
+	const major = buf[offset] >> 5;
+	const info = buf[offset] & 0x1f;
+	offset++;
+
+	if (major == 7) {
+		const simple = { 20: false, 21: true, 22: null, 23: undefined };
+		if (!(info in simple))
+			throw new Error("Unsupported CBOR simple value.");
+		return { value: simple[info], offset };
+	}
+
+	let length;
+	if (info < 24) {
+		length = info;
+	} else if (info == 24) {
+		length = buf.readUInt8(offset);
+		offset += 1;
+	} else if (info == 25) {
+		length = buf.readUInt16BE(offset);
+		offset += 2;
+	} else if (info == 26) {
+		length = buf.readUInt32BE(offset);
+		offset += 4;
+	} else if (info == 27) {
+		length = buf.readUInt32BE(offset) * 0x100000000 + buf.readUInt32BE(offset + 4);
+		offset += 8;
+	} else {
+		throw new Error("Unsupported CBOR length.");
+	}
+
+	switch(major) {
+		case 0: return { value: length, offset };
+		case 1: return { value: -1 - length, offset };
+		case 2:
+		case 3: {
+			if (offset + length > buf.length)
+				throw new Error("Unexpected end of CBOR data.");
+			const data = buf.slice(offset, offset + length);
+			return { value: major == 2 ? data : data.toString("utf8"), offset: offset + length };
+		}
+		case 4: {
+			const value = [];
+			for (let i = 0; i < length; i++) {
+				const item = decodeCBOR(buf, offset);
+				value.push(item.value);
+				offset = item.offset;
+			}
+			return { value, offset };
+		}
+		case 5: {
+			const value = {};
+			for (let i = 0; i < length; i++) {
+				const key = decodeCBOR(buf, offset);
+				const item = decodeCBOR(buf, key.offset);
+				value[String(key.value)] = item.value;
+				offset = item.offset;
+			}
+			return { value, offset };
+		}
+		// Tags are ignored
+		default: return decodeCBOR(buf, offset);
+	}
+}
+
+/**
+ * Encode a DER element
+ *
+ * @param {Number} tag
+ * @param {Buffer} content
+ * @returns {Buffer}
+ */
+function encodeDER(tag, content) {
+	if (content.length < 0x80)
+		return Buffer.concat([Buffer.from([tag, content.length]), content]);
+
+	const length = [];
+	for (let len = content.length; len > 0; len = len >> 8)
+		length.unshift(len & 0xff);
+
+	return Buffer.concat([Buffer.from([tag, 0x80 | length.length].concat(length)), content]);
+}
+
+/**
+ * Encode an unsigned big integer as DER INTEGER
+ *
+ * @param {Buffer} buf
+ * @returns {Buffer}
+ */
+function encodeDERInteger(buf) {
+	return encodeDER(0x02, buf[0] & 0x80 ? Buffer.concat([Buffer.from([0]), buf]) : buf);
+}
+
+/**
+ * Convert a COSE public key to PEM
+ *
+ * @param {Object} cose - Decoded COSE_Key
+ * @returns {String}
+ */
+function coseToPEM(cose) {
+	const kty = cose["1"];
+	let der;
+
+	if (kty == 2 && cose["-1"] == 1 && cose["-2"] && cose["-3"] && cose["-2"].length == 32 && cose["-3"].length == 32) {
+		// EC2 key on the P-256 curve
+		der = Buffer.concat([SPKI_PREFIX_P256, Buffer.from([0x04]), cose["-2"], cose["-3"]]);
+
+	} else if (kty == 1 && cose["-1"] == 6 && cose["-2"] && cose["-2"].length == 32) {
+		// OKP key on the Ed25519 curve
+		der = Buffer.concat([SPKI_PREFIX_ED25519, cose["-2"]]);
+
+	} else if (kty == 3 && cose["-1"] && cose["-2"]) {
+		// RSA key
+		const key = encodeDER(0x30, Buffer.concat([encodeDERInteger(cose["-1"]), encodeDERInteger(cose["-2"])]));
+		der = encodeDER(0x30, Buffer.concat([ALGORITHM_ID_RSA, encodeDER(0x03, Buffer.concat([Buffer.from([0]), key]))]));
+
+	} else {
+		return null;
+	}
+
+	return "-----BEGIN PUBLIC KEY-----\n" + der.toString("base64").match(/.{1,64}/g).join("\n") + "\n-----END PUBLIC KEY-----\n";
+}
+
+/**
+ * Parse the authenticator data
+ *
+ * @param {Buffer} buf
+ * @returns {Object}
+ */
+function parseAuthenticatorData(buf) {
+	if (buf.length < 37)
+		throw new Error("Authenticator data is too short.");
+
+	const res = {
+		rpIDHash: buf.slice(0, 32),
+		flags: buf[32],
+		counter: buf.readUInt32BE(33)
+	};
+
+	if (res.flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+		const length = buf.readUInt16BE(53);
+		res.aaguid = buf.slice(37, 53).toString("hex");
+		res.credentialID = buf.slice(55, 55 + length);
+		res.publicKey = decodeCBOR(buf, 55 + length).value;
+	}
+
+	return res;
+}
+
+/**
+ * Verify a signature made with a COSE algorithm
+ *
+ * @param {Number} alg - COSE algorithm identifier
+ * @param {String} publicKey - PEM public key or certificate
+ * @param {Buffer} data
+ * @param {Buffer} signature
+ * @returns {Boolean}
+ */
+function verifySignature(alg, publicKey, data, signature) {
+	try {
+		return crypto.verify(alg == -8 ? null : "sha256", data, publicKey, signature);
+	} catch(err) {
+		return false;
+	}
+}
+
+/**
+ * WebAuthn (passkeys, security keys) mixin. It needs the `ConfigLoader` mixin
+ * with the `site.**` & `accounts.**` keys. The authenticators are stored
+ * by the `authenticators` service, the challenges by the `tokens` service.
+ *
+ * Only the `none` & `packed` attestation formats are accepted and the
+ * attestation certificates are not checked against a trust anchor, so
+ * the authenticator model isn't verified, only the possession of the key.
+ */
+module.exports = {
+
+	methods: {
+
+		/**
+		 * Get the WebAuthn options
+		 *
+		 * @returns {Object} `{ rpID, rpName, origins, timeout }`
+		 */
+		getWebAuthnOptions() {
+			const opts = _.mapValues(DEFAULT_OPTIONS, (def, key) => {
+				const value = this.config[`accounts.webauthn.${key}`];
+				if (value == null || value === "")
+					return def;
+
+				return _.isNumber(def) ? Number(value) : String(value);
+			});
+
+			const origins = (opts.origin || this.config["site.url"] || "").split(",").map(o => o.trim()).filter(Boolean);
+
+			return {
+				rpID: opts.rpID || (origins.length > 0 ? new URL(origins[0]).hostname : "localhost"),
+				rpName: this.config["site.name"] || "",
+				origins,
+				timeout: opts.timeout
+			};
+		},
+
+		/**
+		 * Create the options of a registration ceremony (`navigator.credentials.create`).
+		 * The binary values are Base64URL encoded.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user - User entity
+		 * @param {Array<Object>} authenticators - Registered authenticators of the user
+		 * @returns {Promise<Object>}
+		 */
+		async createWebAuthnRegistrationOptions(ctx, user, authenticators) {
+			const opts = this.getWebAuthnOptions();
+			const challenge = await this.createWebAuthnChallenge(ctx, "registration", user._id.toString());
+
+			return {
+				challenge,
+				rp: { id: opts.rpID, name: opts.rpName },
+				user: {
+					id: toBase64URL(Buffer.from(user._id.toString())),
+					name: user.email,
+					displayName: `${user.firstName} ${user.lastName}`
+				},
+				pubKeyCredParams: ALGORITHMS.map(alg => ({ type: "public-key", alg })),
+				timeout: opts.timeout,
+				attestation: "none",
+				authenticatorSelection: {
+					residentKey: "preferred",
+					requireResidentKey: false,
+					userVerification: "preferred"
+				},
+				excludeCredentials: authenticators.map(item => ({ type: "public-key", id: item.credentialID, transports: item.transports }))
+			};
+		},
+
+		/**
+		 * Create the options of an authentication ceremony (`navigator.credentials.get`).
+		 * Without user, any discoverable credential (passkey) is accepted.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object?} user - User entity
+		 * @param {Array<Object>?} authenticators - Registered authenticators of the user
+		 * @returns {Promise<Object>}
+		 */
+		async createWebAuthnAuthenticationOptions(ctx, user, authenticators) {
+			const opts = this.getWebAuthnOptions();
+			const challenge = await this.createWebAuthnChallenge(ctx, "authentication", user ? user._id.toString() : "");
+
+			return {
+				challenge,
+				rpId: opts.rpID,
+				timeout: opts.timeout,
+				userVerification: user ? "preferred" : "required",
+				allowCredentials: (authenticators || []).map(item => ({ type: "public-key", id: item.credentialID, transports: item.transports }))
+			};
+		},
+
+		/**
+		 * Generate & store a single-use challenge
+		 *
+		 * @param {Context} ctx
+		 * @param {String} ceremony - `registration` or `authentication`
+		 * @param {String} owner - User ID. Empty for the discoverable credentials
+		 * @returns {Promise<String>} Base64URL encoded challenge
+		 */
+		async createWebAuthnChallenge(ctx, ceremony, owner) {
+			const challenge = toBase64URL(crypto.randomBytes(32));
+
+			await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_WEBAUTHN_CHALLENGE,
+				owner,
+				expiry: Date.now() + this.getWebAuthnOptions().timeout,
+				token: challenge,
+				data: { ceremony }
+			});
+
+			return challenge;
+		},
+
+		/**
+		 * Verify the client data & consume the challenge
+		 *
+		 * @param {Context} ctx
+		 * @param {String} clientDataJSON - Base64URL encoded client data
+		 * @param {String} ceremony - `registration` or `authentication`
+		 * @returns {Promise<Object>} `{ hash, owner }` - Hash of the client data & the owner of the challenge
+		 */
+		async verifyWebAuthnClientData(ctx, clientDataJSON, ceremony) {
+			const raw = fromBase64URL(clientDataJSON);
+
+			let clientData;
+			try {
+				clientData = JSON.parse(raw.toString("utf8"));
+			} catch(err) {
+				throw new MoleculerClientError("Invalid client data!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+			}
+
+			if (clientData.type != (ceremony == "registration" ? "webauthn.create" : "webauthn.get"))
+				throw new MoleculerClientError("Invalid client data type!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+
+			if (this.getWebAuthnOptions().origins.indexOf(clientData.origin) === -1)
+				throw new MoleculerClientError("Invalid origin!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+
+			const token = _.isString(clientData.challenge) ? await ctx.call("v1.tokens.check", {
+				type: C.TOKEN_TYPE_WEBAUTHN_CHALLENGE,
+				token: clientData.challenge
+			}) : null;
+
+			if (!token || !token.data || token.data.ceremony != ceremony)
+				throw new MoleculerClientError("Invalid or expired challenge!", 400, "ERR_WEBAUTHN_INVALID_CHALLENGE");
+
+			// The challenges are single-use
+			await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_WEBAUTHN_CHALLENGE, family: token.family });
+
+			return {
+				hash: crypto.createHash("sha256").update(raw).digest(),
+				owner: token.owner
+			};
+		},
+
+		/**
+		 * Parse the authenticator data & check the relying party and the user presence
+		 *
+		 * @param {Buffer} buf
+		 * @returns {Object}
+		 */
+		verifyWebAuthnAuthenticatorData(buf) {
+			let authData;
+			try {
+				authData = parseAuthenticatorData(buf);
+			} catch(err) {
+				throw new MoleculerClientError("Invalid authenticator data!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+			}
+
+			const rpIDHash = crypto.createHash("sha256").update(this.getWebAuthnOptions().rpID).digest();
+			if (!rpIDHash.equals(authData.rpIDHash))
+				throw new MoleculerClientError("Invalid relying party!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+
+			if (!(authData.flags & FLAG_USER_PRESENT))
+				throw new MoleculerClientError("User presence is required!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+
+			authData.userVerified = !!(authData.flags & FLAG_USER_VERIFIED);
+
+			return authData;
+		},
+
+		/**
+		 * Verify a registration response (the result of `navigator.credentials.create`)
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user - User entity
+		 * @param {Object} credential - Public key credential with Base64URL encoded binary values
+		 * @returns {Promise<Object>} Authenticator properties for storing
+		 */
+		async verifyWebAuthnRegistration(ctx, user, credential) {
+			const clientData = await this.verifyWebAuthnClientData(ctx, credential.response.clientDataJSON, "registration");
+			if (clientData.owner != user._id.toString())
+				throw new MoleculerClientError("Invalid or expired challenge!", 400, "ERR_WEBAUTHN_INVALID_CHALLENGE");
+
+			let attestation;
+			try {
+				attestation = decodeCBOR(fromBase64URL(credential.response.attestationObject)).value;
+			} catch(err) {
+				throw new MoleculerClientError("Invalid attestation object!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+			}
+
+			if (!attestation || !Buffer.isBuffer(attestation.authData))
+				throw new MoleculerClientError("Invalid attestation object!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+
+			const authData = this.verifyWebAuthnAuthenticatorData(attestation.authData);
+			if (!authData.credentialID)
+				throw new MoleculerClientError("Missing attested credential data!", 400, "ERR_WEBAUTHN_INVALID_CREDENTIAL");
+
+			const algorithm = authData.publicKey["3"];
+			const publicKey = ALGORITHMS.indexOf(algorithm) !== -1 ? coseToPEM(authData.publicKey) : null;
+			if (!publicKey)
+				throw new MoleculerClientError("Unsupported public key algorithm!", 400, "ERR_WEBAUTHN_UNSUPPORTED");
+
+			const signedData = Buffer.concat([attestation.authData, clientData.hash]);
+			const attStmt = attestation.attStmt || {};
+
+			if (attestation.fmt == "packed") {
+				let valid;
+				if (Array.isArray(attStmt.x5c) && attStmt.x5c.length > 0) {
+					// Signed by the attestation certificate
+					const cert = "-----BEGIN CERTIFICATE-----\n" + attStmt.x5c[0].toString("base64").match(/.{1,64}/g).join("\n") + "\n-----END CERTIFICATE-----\n";
+					valid = ALGORITHMS.indexOf(attStmt.alg) !== -1 && verifySignature(attStmt.alg, cert, signedData, attStmt.sig);
+				} else {
+					// Self attestation
+					valid = attStmt.alg === algorithm && verifySignature(algorithm, publicKey, signedData, attStmt.sig);
+				}
+
+				if (!valid)
+					throw new MoleculerClientError("Invalid attestation signature!", 400, "ERR_WEBAUTHN_INVALID_SIGNATURE");
+
+			} else if (attestation.fmt != "none") {
+				throw new MoleculerClientError(`Unsupported attestation format: '${attestation.fmt}'`, 400, "ERR_WEBAUTHN_UNSUPPORTED");
+			}
+
+			return {
+				credentialID: toBase64URL(authData.credentialID),
+				publicKey,
+				algorithm,
+				counter: authData.counter,
+				aaguid: authData.aaguid
+			};
+		},
+
+		/**
+		 * Verify an authentication response (the result of `navigator.credentials.get`)
+		 * & store the new signature counter
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} credential - Public key credential with Base64URL encoded binary values
+		 * @param {Object?} user - Expected user entity (second factor)
+		 * @returns {Promise<Object>} `{ authenticator, userVerified }`
+		 */
+		async verifyWebAuthnAssertion(ctx, credential, user) {
+			const response = credential.response;
+			const clientData = await this.verifyWebAuthnClientData(ctx, response.clientDataJSON, "authentication");
+
+			const authenticator = await ctx.call("v1.authenticators.resolve", { credentialID: toBase64URL(fromBase64URL(credential.id)) });
+			if (!authenticator)
+				throw new MoleculerClientError("Authenticator is not registered!", 400, "ERR_WEBAUTHN_AUTHENTICATOR_NOT_FOUND");
+
+			// The challenge, the expected user & the user handle must belong to the owner
+			const owners = [clientData.owner, user ? user._id.toString() : null, response.userHandle ? fromBase64URL(response.userHandle).toString() : null];
+			if (owners.some(owner => owner && owner != authenticator.owner))
+				throw new MoleculerClientError("Authenticator is not registered!", 400, "ERR_WEBAUTHN_AUTHENTICATOR_NOT_FOUND");
+
+			const authDataBuf = fromBase64URL(response.authenticatorData);
+			const authData = this.verifyWebAuthnAuthenticatorData(authDataBuf);
+
+			const signedData = Buffer.concat([authDataBuf, clientData.hash]);
+			if (!verifySignature(authenticator.algorithm, authenticator.publicKey, signedData, fromBase64URL(response.signature)))
+				throw new MoleculerClientError("Invalid signature!", 400, "ERR_WEBAUTHN_INVALID_SIGNATURE");
+
+			// The counter must increase, unless the authenticator doesn't support it (always 0)
+			if ((authData.counter > 0 || authenticator.counter > 0) && authData.counter <= authenticator.counter) {
+				this.logger.warn("WebAuthn signature counter hasn't increased. The authenticator may be cloned.", { id: authenticator._id, owner: authenticator.owner });
+				throw new MoleculerClientError("Invalid signature counter! The authenticator may be cloned.", 400, "ERR_WEBAUTHN_INVALID_COUNTER");
+			}
+
+			await ctx.call("v1.authenticators.used", { id: authenticator._id, counter: authData.counter });
+
+			return {
+				authenticator: _.omit(authenticator, ["publicKey"]),
+				userVerified: authData.userVerified
+			};
+		}
+	}
+};
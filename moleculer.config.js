@@ -132,6 +132,7 @@ module.exports = {
 	// Register custom middlewares
 	middlewares: [
 		require("./middlewares/CheckPermissions"),
+		require("./middlewares/CheckElevation"),
 		require("./middlewares/FindEntity"),
 	],
 
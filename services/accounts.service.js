@@ -10,9 +10,33 @@ const DbService = require("../mixins/db.mixin");
 const CacheCleaner = require("../mixins/cache.cleaner.mixin");
 const ConfigLoader = require("../mixins/config.mixin");
 const SecureAutoalias = require("../mixins/secureautoalias.mixin");
+const PasswordHasher = require("../mixins/password-hasher.mixin");
+const PasswordPolicy = require("../mixins/password-policy.mixin");
+const WebAuthn = require("../mixins/webauthn.mixin");
 const C = require("../constants");
 
-const { MoleculerRetryableError, MoleculerClientError } = require("moleculer").Errors;
+const { MoleculerRetryableError, MoleculerClientError, ValidationError } = require("moleculer").Errors;
+
+/**
+ * Delivery channels of the one-time 2FA codes
+ */
+const OTP_CHANNELS = {
+	email: { name: "Email", tokenType: C.TOKEN_TYPE_EMAIL_OTP, configKey: "mail.enabled" },
+	sms: { name: "SMS", tokenType: C.TOKEN_TYPE_SMS_OTP, configKey: "sms.enabled" }
+};
+
+/**
+ * Validation schema of the WebAuthn assertions (result of `navigator.credentials.get`)
+ */
+const WEBAUTHN_ASSERTION = { type: "object", props: {
+	id: { type: "string" },
+	response: { type: "object", props: {
+		clientDataJSON: { type: "string" },
+		authenticatorData: { type: "string" },
+		signature: { type: "string" },
+		userHandle: { type: "string", optional: true }
+	} }
+} };
 
 module.exports = {
 	name: "accounts",
@@ -26,9 +50,13 @@ module.exports = {
 		ConfigLoader([
 			"site.**",
 			"mail.**",
+			"sms.**",
 			"accounts.**"
 		]),
-		SecureAutoalias
+		SecureAutoalias,
+		PasswordHasher,
+		PasswordPolicy,
+		WebAuthn
 	],
 
 	/**
@@ -36,7 +64,8 @@ module.exports = {
 	 */
 	settings: {
 		actions: {
-			sendMail: "mail.send"
+			sendMail: "mail.send",
+			sendSms: "sms.send"
 		},
 
 		fields: {
@@ -45,7 +74,14 @@ module.exports = {
 			firstName: { type: "string", maxlength: 50, required: true },
 			lastName: { type: "string", maxlength: 50, required: true },
 			email: { type: "string", maxlength: 100, required: true },
-			password: { type: "string", minlength: 6, maxlength: 60, hidden: true },
+			// New email address until the confirmation
+			pendingEmail: { type: "string", maxlength: 100 },
+			password: { type: "string", hidden: true },
+			passwordHistory: { type: "array", hidden: true },
+			// The password is in the breached passwords dataset (allowed in `warn` mode)
+			passwordBreached: { type: "boolean", default: false },
+			passwordCheckedAt: { type: "number", hidden: true },
+			passwordResetRequired: { type: "boolean", default: false },
 			avatar: { type: "string" },
 			roles: { required: true },
 			socialLinks: { type: "object" },
@@ -54,6 +90,10 @@ module.exports = {
 			verified: { type: "boolean", default: false },
 			token: { type: "string", readonly: true },
 			"totp.enabled": { type: "boolean", default: false },
+			"emailOtp.enabled": { type: "boolean", default: false },
+			"smsOtp.enabled": { type: "boolean", default: false },
+			phone: { type: "string" },
+			phoneVerified: { type: "boolean", default: false },
 			passwordless: { type: "boolean", default: false },
 			passwordlessTokenExpires: { hidden: true },
 			resetTokenExpires: { hidden: true },
@@ -61,13 +101,29 @@ module.exports = {
 			createdAt: { type: "number", updateable: false, default: Date.now },
 			updatedAt: { type: "number", readonly: true, updateDefault: Date.now },
 			lastLoginAt: { type: "number" },
+			failedLoginAttempts: { type: "number", hidden: true },
+			lastFailedLoginAt: { type: "number", hidden: true },
+			lockedUntil: { type: "number" },
+			// Timestamp of the scheduled deletion (requested by the user)
+			deleteAt: { type: "number" },
+			statusBeforeDeletion: { type: "number", hidden: true },
 		},
+
+		// Interval of purging the accounts after the deletion grace period (in ms)
+		deletionCheckInterval: 60 * 60 * 1000
 	},
 
 	/**
 	 * Service dependencies
 	 */
-	dependencies: [],
+	dependencies: [
+		{ name: "tokens", version: 1 },
+		{ name: "sessions", version: 1 },
+		{ name: "keys", version: 1 },
+		{ name: "clients", version: 1 },
+		{ name: "apikeys", version: 1 },
+		{ name: "authenticators", version: 1 }
+	],
 
 	/**
 	 * Actions
@@ -75,12 +131,13 @@ module.exports = {
 	actions: {
 
 		/**
-		 * Get user by JWT token (for API GW authentication)
+		 * Get user by JWT token (for API GW authentication).
+		 * The tokens of machine clients are resolved to `{ clientID, name, scope }`.
 		 *
 		 * @actions
 		 * @param {String} token - JWT token
 		 *
-		 * @returns {Object} Resolved user
+		 * @returns {Object} Resolved user or client
 		 */
 		resolveToken: {
 			cache: {
@@ -91,7 +148,19 @@ module.exports = {
 				token: "string"
 			},
 			async handler(ctx) {
-				const decoded = await this.verifyJWT(ctx.params.token);
+				const decoded = await this.verifyJWT(ctx, ctx.params.token);
+
+				// Client credentials token
+				if (decoded.cid) {
+					const client = await ctx.call("v1.clients.resolveClient", { clientID: decoded.cid });
+					if (!client)
+						throw new MoleculerClientError("Client is not registered", 401, "ERR_CLIENT_NOT_FOUND");
+
+					await this.checkRevokedJWT(ctx, decoded);
+
+					return { clientID: client.clientID, name: client.name, scope: decoded.scope };
+				}
+
 				if (!decoded.id)
 					throw new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN");
 
@@ -106,7 +175,64 @@ module.exports = {
 				if (user.status !== 1)
 					throw new MoleculerClientError("User is disabled", 401, "USER_DISABLED");
 
-				return await this.transformDocuments(ctx, {}, user);
+				await this.checkRevokedJWT(ctx, decoded);
+
+				if (decoded.sid) {
+					const session = await ctx.call("v1.sessions.touch", { id: decoded.sid });
+					if (!session)
+						throw new MoleculerClientError("Session has been revoked", 401, "ERR_SESSION_REVOKED");
+				}
+
+				const res = await this.transformDocuments(ctx, {}, user);
+				res.sessionID = decoded.sid;
+				// Only the 2FA setup is permitted with the enrollment token
+				if (decoded.enroll)
+					res.twoFactorEnrollment = true;
+				// Client & scopes of the tokens issued to OAuth clients
+				if (decoded.aud)
+					res.audience = decoded.aud;
+				if (decoded.scope)
+					res.scope = decoded.scope;
+
+				return res;
+			}
+		},
+
+		/**
+		 * Get user by personal API key (for API GW authentication).
+		 * The scopes of the key are returned in `scope`, like the OAuth tokens.
+		 *
+		 * @actions
+		 * @param {String} key - Plaintext API key
+		 *
+		 * @returns {Object} Resolved user
+		 */
+		resolveApiKey: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				key: "string"
+			},
+			async handler(ctx) {
+				const apiKey = await ctx.call("v1.apikeys.resolve", { key: ctx.params.key });
+				if (!apiKey)
+					throw new MoleculerClientError("Invalid or expired API key", 401, "ERR_INVALID_API_KEY");
+
+				const user = await this.getById(apiKey.owner);
+
+				if (!user)
+					throw new MoleculerClientError("User is not registered", 401, "USER_NOT_FOUND");
+
+				if (!user.verified)
+					throw new MoleculerClientError("Please activate your account!", 401, "ERR_ACCOUNT_NOT_VERIFIED");
+
+				if (user.status !== 1)
+					throw new MoleculerClientError("User is disabled", 401, "USER_DISABLED");
+
+				const res = await this.transformDocuments(ctx, {}, user);
+				res.apiKeyID = apiKey._id;
+				res.scope = apiKey.scopes.join(" ");
+
+				return res;
 			}
 		},
 
@@ -117,7 +243,8 @@ module.exports = {
 		register: {
 			params: {
 				username: { type: "string", min: 3, optional: true },
-				password: { type: "string", min: 8, optional: true },
+				// The password policy is checked by `validatePassword`
+				password: { type: "string", optional: true },
 				email: { type: "email" },
 				firstName: { type: "string", min: 2 },
 				lastName: { type: "string", min: 2 },
@@ -163,14 +290,18 @@ module.exports = {
 
 				if (!entity.avatar) {
 					// Default avatar as Gravatar
-					const md5 = crypto.createHash("md5").update(entity.email).digest("hex");
-					entity.avatar = `https://gravatar.com/avatar/${md5}?s=64&d=retro`;
+					entity.avatar = this.getGravatar(entity.email);
 				}
 
 				// Generate passwordless token or hash password
 				if (params.password) {
+					const { breached } = await this.validatePassword(params.password, _.omit(params, ["password"]));
+
 					entity.passwordless = false;
-					entity.password = await bcrypt.hash(params.password, 10);
+					entity.password = await this.hashPassword(params.password);
+					entity.passwordHistory = this.getPasswordHistory(entity, entity.password);
+					entity.passwordBreached = breached;
+					entity.passwordCheckedAt = Date.now();
 				} else if (this.config["accounts.passwordless.enabled"]) {
 					entity.passwordless = true;
 					entity.password = this.generateToken();
@@ -191,7 +322,7 @@ module.exports = {
 					if (user.verified) {
 						// Send welcome email
 						this.sendMail(ctx, user, "welcome");
-						user.token = await this.getToken(user);
+						Object.assign(user, await this.getTokens(ctx, user));
 					} else {
 						// Send verification email
 						this.sendMail(ctx, user, "activate", { token: entity.verificationToken });
@@ -225,9 +356,7 @@ module.exports = {
 					this.sendMail(ctx, res, "welcome");
 				}
 
-				return {
-					token: await this.getToken(res)
-				};
+				return await this.getTokens(ctx, res);
 			}
 		},
 
@@ -241,14 +370,18 @@ module.exports = {
 			// needEntity attribute triggers the FindEntity middleware
 			// which is populating the ctx.entity by finding it using the passed user id
 			needEntity: true,
+			permissions: ["administrator", C.ROLE_SYSTEM],
 			// Expecting user id as parameter
 			async handler(ctx) {
 				const user = ctx.entity;
-				if (user.status == 0)
+				// The account is disabled by the requested deletion as well,
+				// then it stays disabled if the user cancels the deletion
+				if (user.status == 0 && (!user.deleteAt || user.statusBeforeDeletion === 0))
 					throw new MoleculerClientError("Account has already been disabled!", 400, "ERR_USER_ALREADY_DISABLED");
 
 				const res = await this.adapter.updateById(user._id, { $set: {
-					status: 0
+					status: 0,
+					statusBeforeDeletion: user.deleteAt ? 0 : null
 				} });
 
 				return {
@@ -267,14 +400,18 @@ module.exports = {
 			// needEntity attribute triggers the FindEntity middleware
 			// which is populating the ctx.entity by finding it using the passed user id
 			needEntity: true,
+			permissions: ["administrator", C.ROLE_SYSTEM],
 			// Expecting user id as parameter
 			async handler(ctx) {
 				const user = ctx.entity;
 				if (user.status == 1)
 					throw new MoleculerClientError("Account has already been enabled!", 400, "ERR_USER_ALREADY_ENABLED");
 
+				// It cancels the requested deletion as well
 				const res = await this.adapter.updateById(user._id, { $set: {
-					status: 1
+					status: 1,
+					statusBeforeDeletion: null,
+					deleteAt: null
 				} });
 
 				return {
@@ -283,6 +420,55 @@ module.exports = {
 			}
 		},
 
+		/**
+		 * Unlock a locked account by the token of the emailed unlock link
+		 *
+		 * @actions
+		 * @param {String} token - Unlock token
+		 *
+		 * @returns {Boolean}
+		 */
+		unlock: {
+			params: {
+				token: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_UNLOCK, token: ctx.params.token });
+				if (!entity)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
+
+				const user = await this.getById(entity.owner);
+				if (!user)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
+
+				await this.resetLockout(user, true);
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_UNLOCK, owner: entity.owner });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Unlock a locked account by an administrator
+		 */
+		unlockAccount: {
+			params: {
+				id: { type: "string" }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const user = ctx.entity;
+
+				const res = await this.resetLockout(user, true);
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_UNLOCK, owner: user._id.toString() });
+
+				return {
+					lockedUntil: res.lockedUntil
+				};
+			}
+		},
+
 		/**
 		 * Check passwordless token
 		 */
@@ -313,9 +499,7 @@ module.exports = {
 					} });
 				}
 
-				return {
-					token: await this.getToken(user)
-				};
+				return await this.getTokens(ctx, user);
 			}
 		},
 
@@ -363,7 +547,7 @@ module.exports = {
 		resetpassword: {
 			params: {
 				token: { type: "string" },
-				password: { type: "string", min: 8 }
+				password: { type: "string" }
 			},
 			async handler(ctx) {
 				// Check the token & expires
@@ -378,9 +562,16 @@ module.exports = {
 				if (user.resetTokenExpires < Date.now())
 					throw new MoleculerClientError("Token expired!", 400, "TOKEN_EXPIRED");
 
+				const { breached } = await this.validatePassword(ctx.params.password, user);
+
 				// Change the password
+				const password = await this.hashPassword(ctx.params.password);
 				await this.adapter.updateById(user._id, { $set: {
-					password: await bcrypt.hash(ctx.params.password, 10),
+					password,
+					passwordHistory: this.getPasswordHistory(user, password),
+					passwordBreached: breached,
+					passwordCheckedAt: Date.now(),
+					passwordResetRequired: false,
 					passwordless: false,
 					verified: true,
 					resetToken: null,
@@ -392,223 +583,331 @@ module.exports = {
 					this.sendMail(ctx, user, "password-changed");
 				}
 
-				return {
-					token: await this.getToken(user)
-				};
+				return await this.getTokens(ctx, user);
 			}
 		},
 
 		/**
-		 * Link account to a social account
+		 * Get the logged in user
+		 *
+		 * @actions
+		 * @returns {Object?} User entity or `null` if not logged in or the account is not active
 		 */
-		link: {
-			params: {
-				id: { type: "string" },
-				provider: { type: "string" },
-				profile: { type: "object" },
+		me: {
+			rest: "GET /me",
+			graphql: {
+				query: "me: User"
 			},
-			permissions: [C.ROLE_AUTHENTICATED],
 			async handler(ctx) {
-				const res = await this.link(ctx.params.id, ctx.params.provider, ctx.params.profile);
-				return this.transformDocuments(ctx, {}, res);
+				if (!ctx.meta.userID)
+					return null;
+
+				const user = await this.getById(ctx.meta.userID);
+				if (!user || !user.verified || user.status !== 1)
+					return null;
+
+				return await this.transformDocuments(ctx, {}, user);
 			}
 		},
 
 		/**
-		 * Unlink account from a social account
+		 * Update the profile of the logged in user.
+		 * The username can be changed only if the usernames are enabled.
+		 * An empty `avatar` resets the default Gravatar avatar.
+		 *
+		 * @actions
+		 * @param {String?} firstName
+		 * @param {String?} lastName
+		 * @param {String?} username
+		 * @param {String?} avatar - Avatar URL
+		 *
+		 * @returns {Object} User entity
 		 */
-		unlink: {
+		updateProfile: {
+			rest: "PUT /me",
+			graphql: {
+				mutation: "updateProfile(firstName: String, lastName: String, username: String, avatar: String): User"
+			},
 			params: {
-				id: { type: "string", optional: true },
-				provider: { type: "string" }
+				firstName: { type: "string", min: 2, optional: true },
+				lastName: { type: "string", min: 2, optional: true },
+				username: { type: "string", min: 3, optional: true },
+				avatar: { type: "string", optional: true }
 			},
 			permissions: [C.ROLE_AUTHENTICATED],
 			async handler(ctx) {
-				const id = ctx.params.id ? ctx.params.id : ctx.meta.userID;
-				if (!id)
-					throw new MoleculerClientError("Missing user ID!", 400, "MISSING_USER_ID");
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
 
-				const res = await this.unlink(id, ctx.params.provider);
-				return this.transformDocuments(ctx, {}, res);
+				const changes = _.pick(ctx.params, ["firstName", "lastName", "avatar"]);
+
+				// Verify username
+				if (this.config["accounts.username.enabled"] && ctx.params.username && ctx.params.username != user.username) {
+					const found = await this.getUserByUsername(ctx, ctx.params.username);
+					if (found)
+						throw new MoleculerClientError("Username has already been registered.", 400, "ERR_USERNAME_EXISTS");
+
+					changes.username = ctx.params.username;
+				}
+
+				this.validateFieldLengths(changes);
+
+				if (changes.avatar === "")
+					changes.avatar = this.getGravatar(user.email);
+
+				if (Object.keys(changes).length == 0)
+					return await this.transformDocuments(ctx, {}, user);
+
+				const res = await this.adapter.updateById(user._id, { $set: changes });
+
+				// The resolved users are cached by the tokens
+				this.clearTokenCache();
+
+				return await this.transformDocuments(ctx, {}, res);
 			}
 		},
 
 		/**
-		 * Handle local login
+		 * Change the email address of the logged in user. The change is confirmed
+		 * by a link sent to the new address, and the old address gets a link
+		 * to revert it.
+		 *
+		 * @actions
+		 * @param {String} email - New email address
+		 *
+		 * @returns {Object} `{ pendingEmail }`
 		 */
-		login: {
+		changeEmail: {
 			params: {
-				email: { type: "string", optional: false },
-				password: { type: "string", optional: true },
-				token: { type: "string", optional: true }
+				email: { type: "email" }
 			},
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
 			async handler(ctx) {
-				let query;
-
-				if (this.config["accounts.username.enabled"]) {
-					query = {
-						"$or": [
-							{ email: ctx.params.email },
-							{ username: ctx.params.email }
-						]
-					};
-				} else {
-					query = { email: ctx.params.email };
-				}
+				if (!this.config["mail.enabled"])
+					throw new MoleculerClientError("Email change is not available because mail transporter is not configured.", 400, "ERR_EMAIL_CHANGE_UNAVAILABLE");
 
-				// Get user
-				const user = await this.adapter.findOne(query);
+				const user = await this.adapter.findById(ctx.meta.userID);
 				if (!user)
-					throw new MoleculerClientError("User not found!", 400, "ERR_USER_NOT_FOUND");
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
 
-				// Check verified
-				if (!user.verified) {
-					throw new MoleculerClientError("Please activate your account!", 400, "ERR_ACCOUNT_NOT_VERIFIED");
-				}
+				const email = ctx.params.email;
+				if (email == user.email)
+					throw new MoleculerClientError("This is your current email address.", 400, "ERR_EMAIL_NOT_CHANGED");
 
-				// Check status
-				if (user.status !== 1) {
-					throw new MoleculerClientError("Account is disabled!", 400, "ERR_ACCOUNT_DISABLED");
-				}
+				const found = await this.getUserByEmail(ctx, email);
+				if (found)
+					throw new MoleculerClientError("Email has already been registered.", 400, "ERR_EMAIL_EXISTS");
 
-				// Check passwordless login
-				if (user.passwordless == true && ctx.params.password)
-					throw new MoleculerClientError("This is a passwordless account! Please login without password.", 400, "ERR_PASSWORDLESS_WITH_PASSWORD");
+				// Only the last request can be confirmed
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_EMAIL_CHANGE, owner: user._id.toString() });
 
-				// Authenticate
-				if (ctx.params.password) {
-					// Login with password
-					if (!(await bcrypt.compare(ctx.params.password, user.password)))
-						throw new MoleculerClientError("Wrong password!", 400, "ERR_WRONG_PASSWORD");
+				const confirm = await ctx.call("v1.tokens.generate", {
+					type: C.TOKEN_TYPE_EMAIL_CHANGE,
+					owner: user._id.toString(),
+					expiry: Date.now() + (Number(this.config["accounts.emailChange.expires"]) || 24 * 60 * 60 * 1000),
+					data: { email }
+				});
 
-				} else if (this.config["accounts.passwordless.enabled"]) {
+				const revert = await ctx.call("v1.tokens.generate", {
+					type: C.TOKEN_TYPE_EMAIL_REVERT,
+					owner: user._id.toString(),
+					expiry: Date.now() + (Number(this.config["accounts.emailChange.revertExpires"]) || 7 * 24 * 60 * 60 * 1000),
+					data: { email: user.email }
+				});
 
-					if (!this.config["mail.enabled"])
-						throw new MoleculerClientError("Passwordless login is not available because mail transporter is not configured.", 400, "ERR_PASSWORDLESS_UNAVAILABLE");
+				await this.adapter.updateById(user._id, { $set: {
+					pendingEmail: email
+				} });
 
-					// Send magic link
-					await this.sendMagicLink(ctx, user);
+				this.sendMail(ctx, Object.assign({}, user, { email }), "email-change", { token: confirm.token });
+				this.sendMail(ctx, user, "email-change-requested", { token: revert.token, newEmail: email });
 
-					return {
-						passwordless: true,
-						email: user.email
-					};
+				return { pendingEmail: email };
+			}
+		},
 
-				} else {
-					throw new MoleculerClientError("Passwordless login is not allowed.", 400, "ERR_PASSWORDLESS_DISABLED");
-				}
+		/**
+		 * Confirm the new email address by the token of the `changeEmail` action
+		 *
+		 * @actions
+		 * @param {String} token
+		 *
+		 * @returns {Object} `{ email }`
+		 */
+		confirmEmailChange: {
+			params: {
+				token: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_EMAIL_CHANGE, token: ctx.params.token });
+				if (!entity)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
 
-				// Check Two-factor authentication
-				if (user.totp && user.totp.enabled) {
-					if (!ctx.params.token)
-						throw new MoleculerClientError("Two-factor authentication is enabled. Please give the 2FA code.", 400, "ERR_MISSING_2FA_CODE");
+				const user = await this.adapter.findById(entity.owner);
+				if (!user)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
 
-					if (!(await this.verify2FA(user.totp.secret, ctx.params.token)))
-						throw new MoleculerClientError("Invalid 2FA token!", 400, "TWOFACTOR_INVALID_TOKEN");
-				}
+				// Somebody may have registered with it since the request
+				const found = await this.getUserByEmail(ctx, entity.data.email);
+				if (found)
+					throw new MoleculerClientError("Email has already been registered.", 400, "ERR_EMAIL_EXISTS");
 
-				return {
-					token: await this.getToken(user)
-				};
+				await this.setEmail(user, entity.data.email);
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_EMAIL_CHANGE, owner: entity.owner });
+
+				return { email: entity.data.email };
 			}
 		},
 
 		/**
-		 * Handle social login.
+		 * Revert the email change by the token sent to the old address.
+		 * All sessions are revoked, because the account may be compromised.
+		 *
+		 * @actions
+		 * @param {String} token
+		 *
+		 * @returns {Object} `{ email }`
 		 */
-		socialLogin: {
+		revertEmailChange: {
 			params: {
-				provider: { type: "string" },
-				profile: { type: "object" }
+				token: { type: "string" }
 			},
 			async handler(ctx) {
-				const { provider, profile } = ctx.params;
-				const query = { [`socialLinks.${provider}`]: profile.socialID };
+				const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_EMAIL_REVERT, token: ctx.params.token });
+				if (!entity)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
 
-				if (ctx.meta.user) {
-					// There is logged in user. Link to the logged in user
-					let user = await this.adapter.findOne(query);
-					if (user) {
-						if (user._id != ctx.meta.userID)
-							throw new MoleculerClientError("This social account has been linked to another account.", 400, "ERR_SOCIAL_ACCOUNT_MISMATCH");
+				const user = await this.adapter.findById(entity.owner);
+				if (!user)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
 
-						// Same user
-						user.token = await this.getToken(user);
-						return this.transformDocuments(ctx, {}, user);
+				if (user.email != entity.data.email) {
+					const found = await this.getUserByEmail(ctx, entity.data.email);
+					if (found)
+						throw new MoleculerClientError("Email has already been registered.", 400, "ERR_EMAIL_EXISTS");
+				}
 
-					} else {
-						// Not found linked account. Create the link
-						user = await this.link(ctx.meta.userID, provider, profile);
+				await this.setEmail(user, entity.data.email);
 
-						user.token = await this.getToken(user);
-						return this.transformDocuments(ctx, {}, user);
-					}
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_EMAIL_CHANGE, owner: entity.owner });
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_EMAIL_REVERT, owner: entity.owner });
+				await this.revokeSessions(ctx, entity.owner);
 
-				} else {
-					// No logged in user
-					if (!profile.email)
-						throw new MoleculerClientError("Missing e-mail address in social profile", 400, "ERR_NO_SOCIAL_EMAIL");
+				return { email: entity.data.email };
+			}
+		},
 
-					let foundBySocialID = false;
+		/**
+		 * Request the deletion of the logged in user's account. The account is disabled
+		 * at once and purged after the grace period, unless the deletion is cancelled
+		 * by the emailed link.
+		 *
+		 * @actions
+		 *
+		 * @returns {Object} `{ deleteAt }`
+		 */
+		requestDeletion: {
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
 
-					let user = await this.adapter.findOne(query);
-					if (user) {
-						// User found.
-						foundBySocialID = true;
-					} else {
-						// Try to search user by email
-						user = await this.getUserByEmail(ctx, profile.email);
-					}
+				if (user.deleteAt)
+					throw new MoleculerClientError("Account deletion has already been requested!", 400, "ERR_ACCOUNT_DELETION_PENDING");
 
-					if (user) {
-						// Check status
-						if (user.status !== 1) {
-							throw new MoleculerClientError("Account is disabled!", 400, "ACCOUNT_DISABLED");
-						}
+				const deleteAt = Date.now() + (Number(this.config["accounts.deletion.gracePeriod"]) || 30 * 24 * 60 * 60 * 1000);
 
-						// Found the user by email.
+				const cancel = await ctx.call("v1.tokens.generate", {
+					type: C.TOKEN_TYPE_DELETION_CANCEL,
+					owner: user._id.toString(),
+					expiry: deleteAt
+				});
 
-						if (!foundBySocialID) {
-							// Not found linked account. Create the link
-							user = await this.link(user._id, provider, profile);
-						}
+				await this.adapter.updateById(user._id, { $set: {
+					status: 0,
+					// Restored on cancelling the deletion
+					statusBeforeDeletion: user.status,
+					deleteAt
+				} });
 
-						user.token = await this.getToken(user);
+				await this.revokeSessions(ctx, user._id);
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_TRUSTED_DEVICE, owner: user._id.toString() });
 
-						// TODO: Hack to handle wrong "entity._id.toHexString is not a function" error in mongo adapter
-						user._id = this.decodeID(user._id);
+				if (this.config["mail.enabled"])
+					this.sendMail(ctx, user, "deletion-requested", { token: cancel.token, deleteAt: new Date(deleteAt).toUTCString() });
 
-						return this.transformDocuments(ctx, {}, user);
-					}
+				return { deleteAt };
+			}
+		},
 
-					if (!this.config["accounts.signup.enabled"])
-						throw new MoleculerClientError("Sign up is not available", 400, "ERR_SIGNUP_DISABLED");
+		/**
+		 * Cancel the requested account deletion by the token of the emailed link
+		 *
+		 * @actions
+		 * @param {String} token - Cancel token
+		 *
+		 * @returns {Boolean}
+		 */
+		cancelDeletion: {
+			params: {
+				token: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_DELETION_CANCEL, token: ctx.params.token });
+				if (!entity)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
 
-					// Create a new user and link
-					user = await ctx.call(`${this.fullName}.register`, {
-						username: profile.username || profile.email.split("@")[0],
-						password: await bcrypt.genSalt(),
-						email: profile.email,
-						firstName: profile.firstName,
-						lastName: profile.lastName,
-						avatar: profile.avatar
-					});
+				const user = await this.adapter.findById(entity.owner);
+				if (!user || !user.deleteAt)
+					throw new MoleculerClientError("Invalid token!", 400, "INVALID_TOKEN");
 
-					user = await this.link(user.id, provider, profile);
+				await this.adapter.updateById(user._id, { $set: {
+					status: user.statusBeforeDeletion != null ? user.statusBeforeDeletion : 1,
+					statusBeforeDeletion: null,
+					deleteAt: null
+				} });
 
-					user.token = await this.getToken(user);
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_DELETION_CANCEL, owner: entity.owner });
 
-					return this.transformDocuments(ctx, {}, user);
-				}
+				return true;
 			}
 		},
 
 		/**
-		 * Enable Two-Factor authentication (2FA)
+		 * Change the password of the logged in user. The current password is required,
+		 * or any enabled second factor if a passwordless account sets its first password.
+		 * With the `method` of a sent code it returns a `challenge`, the password is changed
+		 * by the next call with the `challenge` & the `code`.
+		 * The other sessions & the trusted devices are revoked.
+		 *
+		 * @actions
+		 * @param {String?} oldPassword - Current password
+		 * @param {String?} token - TOTP token or recovery code of passwordless accounts
+		 * @param {Object?} webauthn - WebAuthn assertion of passwordless accounts
+		 * @param {String?} method - `email` or `sms` to send a code to passwordless accounts
+		 * @param {String?} challenge - Returned by the call with the `method`
+		 * @param {String?} code - Sent code
+		 * @param {String} password - New password
+		 *
+		 * @returns {Boolean|Object} `true` or `{ challenge }` if a code is sent
 		 */
-		enable2Fa: {
+		changePassword: {
 			params: {
-				token: { type: "string", optional: true }
+				oldPassword: { type: "string", optional: true },
+				token: { type: "string", optional: true },
+				webauthn: Object.assign({ optional: true }, WEBAUTHN_ASSERTION),
+				method: { type: "enum", values: ["email", "sms"], optional: true },
+				challenge: { type: "string", optional: true },
+				code: { type: "string", optional: true },
+				password: { type: "string" }
 			},
 			permissions: [C.ROLE_AUTHENTICATED],
 			async handler(ctx) {
@@ -616,286 +915,2627 @@ module.exports = {
 				if (!user)
 					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
 
-				if (!ctx.params.token && (!user.totp || !user.totp.enabled)) {
-					// Generate a TOTP secret and send back otpauthURL & secret
-					const secret = speakeasy.generateSecret({ length: 10 });
-					await this.adapter.updateById(ctx.meta.userID, { $set: {
-						"totp.enabled": false,
-						"totp.secret": secret.base32
-					} });
+				// Check brute-force protection of the account
+				this.checkAccountLockout(user);
+
+				if (user.passwordless) {
+					const methods = await this.getTwoFactorMethods(ctx, user);
+					if (methods.length == 0)
+						throw new MoleculerClientError("Two-factor authentication is not enabled! Please use the password reset.", 400, "TWOFACTOR_NOT_ENABLED");
+
+					if (ctx.params.webauthn && methods.indexOf("webauthn") !== -1) {
+						try {
+							await this.verifyWebAuthnAssertion(ctx, ctx.params.webauthn, user);
+						} catch(err) {
+							await this.loginFailed(ctx, user);
+							throw err;
+						}
+					} else if (ctx.params.challenge && methods.indexOf(ctx.params.method) !== -1) {
+						const entity = await this.get2FaChallenge(ctx, ctx.params.challenge, "password", ctx.params.method, user._id.toString());
+						if (!(await this.verify2FaCode(ctx, entity, ctx.params.code))) {
+							await this.loginFailed(ctx, user);
+							throw new MoleculerClientError("Invalid 2FA token!", 400, "TWOFACTOR_INVALID_TOKEN");
+						}
+					} else if (ctx.params.token) {
+						// A recovery code is accepted in place of the TOTP token
+						if (methods.indexOf("totp") === -1 || (!(await this.verify2FA(user.totp.secret, ctx.params.token)) && !(await this.useRecoveryCode(ctx, user, ctx.params.token)))) {
+							await this.loginFailed(ctx, user);
+							throw new MoleculerClientError("Invalid 2FA token!", 400, "TWOFACTOR_INVALID_TOKEN");
+						}
+					} else if (methods.indexOf(ctx.params.method) !== -1) {
+						return await this.send2FaCode(ctx, user, "password", ctx.params.method);
+					} else {
+						throw new MoleculerClientError("Please give the 2FA code.", 400, "ERR_MISSING_2FA_CODE", { methods });
+					}
+				} else {
+					if (!ctx.params.oldPassword)
+						throw new MoleculerClientError("Please give the current password.", 400, "ERR_MISSING_PASSWORD");
+
+					if (!(await this.verifyPassword(ctx.params.oldPassword, user.password))) {
+						await this.loginFailed(ctx, user);
+						throw new MoleculerClientError("Wrong password!", 400, "ERR_WRONG_PASSWORD");
+					}
+				}
+
+				const { breached } = await this.validatePassword(ctx.params.password, user);
+
+				// Change the password
+				const password = await this.hashPassword(ctx.params.password);
+				await this.adapter.updateById(user._id, { $set: {
+					password,
+					passwordHistory: this.getPasswordHistory(user, password),
+					passwordBreached: breached,
+					passwordCheckedAt: Date.now(),
+					passwordResetRequired: false,
+					passwordless: false,
+					resetToken: null,
+					resetTokenExpires: null
+				} });
+
+				// Revoke the other logins
+				await this.revokeSessions(ctx, user._id, { except: ctx.meta.sessionID });
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_TRUSTED_DEVICE, owner: user._id.toString() });
+
+				if (this.config["mail.enabled"]) {
+					// Send password-changed email
+					this.sendMail(ctx, user, "password-changed");
+				}
+
+				return true;
+			}
+		},
+
+		/**
+		 * Link account to a social account
+		 */
+		link: {
+			params: {
+				id: { type: "string" },
+				provider: { type: "string" },
+				profile: { type: "object" },
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const res = await this.link(ctx.params.id, ctx.params.provider, ctx.params.profile);
+				return this.transformDocuments(ctx, {}, res);
+			}
+		},
+
+		/**
+		 * Unlink account from a social account
+		 */
+		unlink: {
+			params: {
+				id: { type: "string", optional: true },
+				provider: { type: "string" }
+			},
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const id = ctx.params.id ? ctx.params.id : ctx.meta.userID;
+				if (!id)
+					throw new MoleculerClientError("Missing user ID!", 400, "MISSING_USER_ID");
+
+				const res = await this.unlink(id, ctx.params.provider);
+				return this.transformDocuments(ctx, {}, res);
+			}
+		},
+
+		/**
+		 * Handle local login. The second factor is a TOTP token (or a recovery code)
+		 * in `token` or a WebAuthn assertion in `webauthn`. If the email or SMS 2FA is enabled
+		 * and none of them is given, a code is sent (by the channel in `method`) and a
+		 * `challenge` is returned for the `verifyEmail2Fa` or `verifySms2Fa` action.
+		 *
+		 * With `rememberDevice` a trusted device token is returned after the successful 2FA.
+		 * The 2FA is skipped while it is presented in `deviceToken` (or in the cookie).
+		 */
+		login: {
+			params: {
+				email: { type: "string", optional: false },
+				password: { type: "string", optional: true },
+				token: { type: "string", optional: true },
+				webauthn: Object.assign({ optional: true }, WEBAUTHN_ASSERTION),
+				method: { type: "enum", values: ["email", "sms"], optional: true },
+				rememberDevice: { type: "boolean", optional: true },
+				deviceToken: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				let query;
+
+				if (this.config["accounts.username.enabled"]) {
+					query = {
+						"$or": [
+							{ email: ctx.params.email },
+							{ username: ctx.params.email }
+						]
+					};
+				} else {
+					query = { email: ctx.params.email };
+				}
+
+				// Check brute-force protection of the IP address
+				this.checkIPLockout(ctx);
+
+				// Get user
+				const user = await this.adapter.findOne(query);
+				if (!user) {
+					this.ipLoginFailed(ctx);
+					throw new MoleculerClientError("User not found!", 400, "ERR_USER_NOT_FOUND");
+				}
+
+				// Check brute-force protection of the account
+				this.checkAccountLockout(user);
+
+				// Check verified
+				if (!user.verified) {
+					throw new MoleculerClientError("Please activate your account!", 400, "ERR_ACCOUNT_NOT_VERIFIED");
+				}
+
+				// Check the requested deletion
+				if (user.deleteAt) {
+					throw new MoleculerClientError("Account is scheduled for deletion! Please use the link in the email to cancel it.", 400, "ERR_ACCOUNT_DELETION_PENDING");
+				}
+
+				// Check status
+				if (user.status !== 1) {
+					throw new MoleculerClientError("Account is disabled!", 400, "ERR_ACCOUNT_DISABLED");
+				}
+
+				// Check passwordless login
+				if (user.passwordless == true && ctx.params.password)
+					throw new MoleculerClientError("This is a passwordless account! Please login without password.", 400, "ERR_PASSWORDLESS_WITH_PASSWORD");
+
+				// Authenticate
+				if (ctx.params.password) {
+					// Login with password
+					if (!(await this.verifyPassword(ctx.params.password, user.password))) {
+						await this.loginFailed(ctx, user);
+						throw new MoleculerClientError("Wrong password!", 400, "ERR_WRONG_PASSWORD");
+					}
+
+				} else if (this.config["accounts.passwordless.enabled"]) {
+
+					if (!this.config["mail.enabled"])
+						throw new MoleculerClientError("Passwordless login is not available because mail transporter is not configured.", 400, "ERR_PASSWORDLESS_UNAVAILABLE");
+
+					// Send magic link
+					await this.sendMagicLink(ctx, user);
+
+					return {
+						passwordless: true,
+						email: user.email
+					};
+
+				} else {
+					throw new MoleculerClientError("Passwordless login is not allowed.", 400, "ERR_PASSWORDLESS_DISABLED");
+				}
+
+				// Check Two-factor authentication
+				const methods = await this.getTwoFactorMethods(ctx, user);
+				const trusted = methods.length > 0 && await this.checkTrustedDevice(ctx, user, ctx.params.deviceToken || ctx.meta.deviceToken);
+				if (methods.length > 0 && !trusted) {
+					if (ctx.params.webauthn && methods.indexOf("webauthn") !== -1) {
+						try {
+							await this.verifyWebAuthnAssertion(ctx, ctx.params.webauthn, user);
+						} catch(err) {
+							await this.loginFailed(ctx, user);
+							throw err;
+						}
+					} else if (!ctx.params.token && (methods.indexOf("email") !== -1 || methods.indexOf("sms") !== -1)) {
+						// The password is correct, the sent code is verified by the `verifyEmail2Fa` or `verifySms2Fa` action
+						await this.checkBreachedPassword(ctx, user, ctx.params.password);
+
+						if (this.passwordNeedsRehash(user.password))
+							await this.rehashPassword(user, ctx.params.password);
+
+						const channel = methods.indexOf(ctx.params.method) !== -1 ? ctx.params.method : methods.find(method => OTP_CHANNELS[method]);
+						const { challenge } = await this.send2FaCode(ctx, user, "login", channel);
+
+						return {
+							twoFactor: channel,
+							challenge,
+							methods
+						};
+
+					} else {
+						if (!ctx.params.token)
+							throw new MoleculerClientError("Two-factor authentication is enabled. Please give the 2FA code.", 400, "ERR_MISSING_2FA_CODE", { methods });
+
+						// A recovery code is accepted in place of the TOTP token
+						if (methods.indexOf("totp") === -1 || (!(await this.verify2FA(user.totp.secret, ctx.params.token)) && !(await this.useRecoveryCode(ctx, user, ctx.params.token)))) {
+							await this.loginFailed(ctx, user);
+							throw new MoleculerClientError("Invalid 2FA token!", 400, "TWOFACTOR_INVALID_TOKEN");
+						}
+					}
+				}
+
+				// Re-check the password if the breached passwords dataset has been updated
+				if (ctx.params.password)
+					await this.checkBreachedPassword(ctx, user, ctx.params.password);
+
+				// Upgrade the hash if the algorithm or the cost has been changed
+				if (ctx.params.password && this.passwordNeedsRehash(user.password))
+					await this.rehashPassword(user, ctx.params.password);
+
+				await this.resetLockout(user);
+
+				const res = await this.getTokens(ctx, user);
+				if (methods.length > 0 && !trusted && ctx.params.rememberDevice)
+					Object.assign(res, await this.trustDevice(ctx, user));
+
+				return res;
+			}
+		},
+
+		/**
+		 * Exchange a refresh token to a new access token & refresh token.
+		 * The used refresh token is rotated. If a rotated refresh token
+		 * is replayed, the whole token family is revoked.
+		 *
+		 * @actions
+		 * @param {String} refreshToken
+		 * @param {String?} clientID - OAuth client ID. Required for the tokens issued to OAuth clients
+		 *
+		 * @returns {Object} `{ token, refreshToken }`
+		 */
+		refreshToken: {
+			params: {
+				refreshToken: { type: "string" },
+				clientID: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const entity = await ctx.call("v1.tokens.check", {
+					type: C.TOKEN_TYPE_REFRESH,
+					token: ctx.params.refreshToken
+				});
+				if (!entity)
+					throw new MoleculerClientError("Invalid refresh token!", 401, "INVALID_TOKEN");
+
+				// Tokens of OAuth clients can be refreshed only by the same client
+				const clientID = entity.data && entity.data.aud;
+				if (clientID != ctx.params.clientID)
+					throw new MoleculerClientError("Invalid refresh token!", 401, "INVALID_TOKEN");
+
+				if (entity.usedAt)
+					await this.refreshTokenReused(ctx, entity);
+
+				// The token family is the session
+				const session = await ctx.call("v1.sessions.touch", { id: entity.family });
+				if (!session)
+					throw new MoleculerClientError("Session has been revoked", 401, "ERR_SESSION_REVOKED");
+
+				// A parallel request may have used it since the check
+				if (!(await ctx.call("v1.tokens.use", { id: entity._id, once: true })))
+					await this.refreshTokenReused(ctx, entity);
+
+				const user = await this.adapter.findById(entity.owner);
+				if (!user)
+					throw new MoleculerClientError("User is not registered", 401, "USER_NOT_FOUND");
+
+				if (!user.verified)
+					throw new MoleculerClientError("Please activate your account!", 401, "ERR_ACCOUNT_NOT_VERIFIED");
+
+				if (user.status !== 1)
+					throw new MoleculerClientError("User is disabled", 401, "USER_DISABLED");
+
+				return await this.getTokens(ctx, user, entity.family, entity.data);
+			}
+		},
+
+		/**
+		 * Issue tokens for a user without login (e.g. for an OAuth client after the user's consent).
+		 * The claims are added to the JWT payload & kept by the refreshed tokens.
+		 *
+		 * @actions
+		 * @param {String} id - User ID
+		 * @param {Object?} claims - Additional JWT claims (e.g. `aud`, `scope`)
+		 *
+		 * @returns {Object} `{ token, refreshToken }`
+		 */
+		issueTokens: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" },
+				claims: { type: "object", optional: true }
+			},
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.params.id);
+				if (!user)
+					throw new MoleculerClientError("User is not registered", 401, "USER_NOT_FOUND");
+
+				if (!user.verified)
+					throw new MoleculerClientError("Please activate your account!", 401, "ERR_ACCOUNT_NOT_VERIFIED");
+
+				if (user.status !== 1)
+					throw new MoleculerClientError("User is disabled", 401, "USER_DISABLED");
+
+				return await this.getTokens(ctx, user, null, ctx.params.claims);
+			}
+		},
+
+		/**
+		 * Get the OpenID Connect standard claims of a user
+		 *
+		 * @actions
+		 * @param {String} id - User ID
+		 * @param {String} scope - Space separated granted scopes
+		 *
+		 * @returns {Object} Claims
+		 */
+		getUserInfo: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" },
+				scope: { type: "string" }
+			},
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.params.id);
+				if (!user)
+					throw new MoleculerClientError("User is not registered", 401, "USER_NOT_FOUND");
+
+				return this.getUserClaims(user, ctx.params.scope.split(" "));
+			}
+		},
+
+		/**
+		 * Issue an access token for a machine client (client credentials grant).
+		 * The token is resolved to the `$system` role.
+		 *
+		 * @actions
+		 * @param {String} clientID
+		 * @param {String?} scope - Space separated granted scopes
+		 *
+		 * @returns {String} Access token
+		 */
+		issueClientToken: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				clientID: { type: "string" },
+				scope: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				return await this.generateJWT(ctx, _.omitBy({
+					cid: ctx.params.clientID,
+					scope: ctx.params.scope
+				}, _.isNil));
+			}
+		},
+
+		/**
+		 * Issue a signed OpenID Connect ID token for a user
+		 *
+		 * @actions
+		 * @param {String} id - User ID
+		 * @param {String} scope - Space separated granted scopes
+		 * @param {Object} claims - Additional claims (`iss`, `aud`, `nonce`)
+		 *
+		 * @returns {String} ID token
+		 */
+		issueIDToken: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" },
+				scope: { type: "string" },
+				claims: { type: "object" }
+			},
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.params.id);
+				if (!user)
+					throw new MoleculerClientError("User is not registered", 401, "USER_NOT_FOUND");
+
+				const claims = this.getUserClaims(user, ctx.params.scope.split(" "));
+				return await this.generateJWT(ctx, Object.assign({}, ctx.params.claims, claims));
+			}
+		},
+
+		/**
+		 * Logout. Revoke the current JWT token & its session.
+		 *
+		 * @actions
+		 * @param {String?} token - JWT token. Default is the token of the request
+		 *
+		 * @returns {Boolean}
+		 */
+		logout: {
+			params: {
+				token: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const token = ctx.params.token || ctx.meta.token;
+				if (!token)
+					throw new MoleculerClientError("Missing token!", 400, "ERR_MISSING_TOKEN");
+
+				const decoded = await this.verifyJWT(ctx, token);
+				if (!decoded.id && !decoded.cid)
+					throw new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN");
+
+				await this.revokeJWT(ctx, decoded);
+
+				if (decoded.sid)
+					await this.revokeSessions(ctx, decoded.id, { ids: [decoded.sid] });
+
+				this.clearTokenCache(token);
+
+				return true;
+			}
+		},
+
+		/**
+		 * Re-authenticate the logged in user with the password, a TOTP token or a passkey.
+		 * The session is elevated ("sudo mode") for a few minutes, which is required
+		 * by the sensitive actions with `needElevation`.
+		 *
+		 * @actions
+		 * @param {String?} password
+		 * @param {String?} token - TOTP token
+		 * @param {Object?} webauthn - WebAuthn assertion to the challenge of `webauthnLoginBegin`
+		 *
+		 * @returns {Object} `{ elevatedUntil }`
+		 */
+		reauthenticate: {
+			params: {
+				password: { type: "string", optional: true },
+				token: { type: "string", optional: true },
+				webauthn: Object.assign({ optional: true }, WEBAUTHN_ASSERTION)
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				if (!ctx.meta.sessionID)
+					throw new MoleculerClientError("Re-authentication is available only in a login session!", 400, "ERR_SESSION_NOT_FOUND");
+
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				// Check brute-force protection of the account
+				this.checkAccountLockout(user);
+
+				if (ctx.params.password) {
+					if (user.passwordless || !(await this.verifyPassword(ctx.params.password, user.password))) {
+						await this.loginFailed(ctx, user);
+						throw new MoleculerClientError("Wrong password!", 400, "ERR_WRONG_PASSWORD");
+					}
+				} else if (ctx.params.token) {
+					if (!user.totp || !user.totp.enabled || !(await this.verify2FA(user.totp.secret, ctx.params.token))) {
+						await this.loginFailed(ctx, user);
+						throw new MoleculerClientError("Invalid 2FA token!", 400, "TWOFACTOR_INVALID_TOKEN");
+					}
+				} else if (ctx.params.webauthn) {
+					try {
+						await this.verifyWebAuthnAssertion(ctx, ctx.params.webauthn, user);
+					} catch(err) {
+						await this.loginFailed(ctx, user);
+						throw err;
+					}
+				} else {
+					throw new MoleculerClientError("Please give your password, a 2FA code or a passkey!", 400, "ERR_MISSING_CREDENTIALS");
+				}
+
+				await this.resetLockout(user);
+
+				const expires = Number(this.config["accounts.elevation.expires"]) || 5 * 60 * 1000;
+				const session = await ctx.call("v1.sessions.elevate", { id: ctx.meta.sessionID, until: Date.now() + expires });
+				if (!session)
+					throw new MoleculerClientError("Session has been revoked", 401, "ERR_SESSION_REVOKED");
+
+				return { elevatedUntil: session.elevatedUntil };
+			}
+		},
+
+		/**
+		 * List the active sessions of the logged in user.
+		 * Administrators can list the sessions of other users by `id`.
+		 *
+		 * @actions
+		 * @param {String?} id - User ID
+		 *
+		 * @returns {Array<Object>} Sessions
+		 */
+		sessions: {
+			params: {
+				id: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const id = await this.getTargetUserID(ctx);
+
+				const sessions = await ctx.call("v1.sessions.listByOwner", { owner: id });
+				return sessions.map(session => Object.assign(session, {
+					current: session._id == ctx.meta.sessionID
+				}));
+			}
+		},
+
+		/**
+		 * Revoke a session of the logged in user (or of other user by administrators)
+		 *
+		 * @actions
+		 * @param {String} sessionID
+		 * @param {String?} id - User ID
+		 *
+		 * @returns {Boolean}
+		 */
+		revokeSession: {
+			params: {
+				sessionID: { type: "string" },
+				id: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const id = await this.getTargetUserID(ctx);
+
+				const revoked = await this.revokeSessions(ctx, id, { ids: [ctx.params.sessionID] });
+				if (revoked.length == 0)
+					throw new MoleculerClientError("Session not found!", 400, "ERR_SESSION_NOT_FOUND");
+
+				return true;
+			}
+		},
+
+		/**
+		 * Revoke all sessions of the logged in user (or of other user by administrators)
+		 *
+		 * @actions
+		 * @param {String?} id - User ID
+		 * @param {Boolean?} keepCurrent - Don't revoke the current session
+		 *
+		 * @returns {Number} Count of revoked sessions
+		 */
+		revokeAllSessions: {
+			params: {
+				id: { type: "string", optional: true },
+				keepCurrent: { type: "boolean", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const id = await this.getTargetUserID(ctx);
+
+				const revoked = await this.revokeSessions(ctx, id, {
+					except: ctx.params.keepCurrent ? ctx.meta.sessionID : undefined
+				});
+
+				return revoked.length;
+			}
+		},
+
+		/**
+		 * Create a personal API key for the logged in user (or for other user by administrators).
+		 * The plaintext key is returned only once.
+		 * It can't be called with an API key.
+		 *
+		 * @actions
+		 * @param {String} name - Name of the key
+		 * @param {Array<String>?} scopes - Granted action name masks (e.g. `v1.boards.*`). If not defined, every action is granted
+		 * @param {Number?} expiresAt - Expiration timestamp. If not defined, the key never expires
+		 * @param {String?} id - User ID
+		 *
+		 * @returns {Object} API key with the plaintext `key`
+		 */
+		createApiKey: {
+			params: {
+				name: { type: "string", min: 1, max: 100 },
+				scopes: { type: "array", items: "string", optional: true },
+				expiresAt: { type: "number", optional: true },
+				id: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const id = await this.getTargetUserID(ctx);
+
+				if (ctx.params.expiresAt != null && ctx.params.expiresAt <= Date.now())
+					throw new MoleculerClientError("The expiration must be in the future!", 400, "ERR_INVALID_EXPIRY");
+
+				return await ctx.call("v1.apikeys.create", {
+					owner: id.toString(),
+					name: ctx.params.name,
+					scopes: ctx.params.scopes,
+					expiresAt: ctx.params.expiresAt
+				});
+			}
+		},
+
+		/**
+		 * List the API keys of the logged in user.
+		 * Administrators can list the keys of other users by `id`.
+		 *
+		 * @actions
+		 * @param {String?} id - User ID
+		 *
+		 * @returns {Array<Object>} API keys (without the key values)
+		 */
+		apiKeys: {
+			params: {
+				id: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const id = await this.getTargetUserID(ctx);
+
+				const keys = await ctx.call("v1.apikeys.listByOwner", { owner: id.toString() });
+				return keys.map(key => Object.assign(key, {
+					current: key._id == ctx.meta.apiKeyID
+				}));
+			}
+		},
+
+		/**
+		 * Revoke an API key of the logged in user (or of other user by administrators).
+		 * It can't be called with an API key.
+		 *
+		 * @actions
+		 * @param {String} apiKeyID
+		 * @param {String?} id - User ID
+		 *
+		 * @returns {Boolean}
+		 */
+		revokeApiKey: {
+			params: {
+				apiKeyID: { type: "string" },
+				id: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const id = await this.getTargetUserID(ctx);
+
+				const revoked = await ctx.call("v1.apikeys.revoke", { owner: id.toString(), id: ctx.params.apiKeyID });
+				if (!revoked)
+					throw new MoleculerClientError("API key not found!", 400, "ERR_API_KEY_NOT_FOUND");
+
+				return true;
+			}
+		},
+
+		/**
+		 * Handle social login.
+		 */
+		socialLogin: {
+			params: {
+				provider: { type: "string" },
+				profile: { type: "object" }
+			},
+			async handler(ctx) {
+				const { provider, profile } = ctx.params;
+				const query = { [`socialLinks.${provider}`]: profile.socialID };
+
+				if (ctx.meta.user) {
+					// There is logged in user. Link to the logged in user
+					let user = await this.adapter.findOne(query);
+					if (user) {
+						if (user._id != ctx.meta.userID)
+							throw new MoleculerClientError("This social account has been linked to another account.", 400, "ERR_SOCIAL_ACCOUNT_MISMATCH");
+
+						// Same user
+						Object.assign(user, await this.getTokens(ctx, user));
+						return this.transformDocuments(ctx, {}, user);
+
+					} else {
+						// Not found linked account. Create the link
+						user = await this.link(ctx.meta.userID, provider, profile);
+
+						Object.assign(user, await this.getTokens(ctx, user));
+						return this.transformDocuments(ctx, {}, user);
+					}
+
+				} else {
+					// No logged in user
+					if (!profile.email)
+						throw new MoleculerClientError("Missing e-mail address in social profile", 400, "ERR_NO_SOCIAL_EMAIL");
+
+					let foundBySocialID = false;
+
+					let user = await this.adapter.findOne(query);
+					if (user) {
+						// User found.
+						foundBySocialID = true;
+					} else {
+						// Try to search user by email
+						user = await this.getUserByEmail(ctx, profile.email);
+					}
+
+					if (user) {
+						// Check status
+						if (user.status !== 1) {
+							throw new MoleculerClientError("Account is disabled!", 400, "ACCOUNT_DISABLED");
+						}
+
+						// Found the user by email.
+
+						if (!foundBySocialID) {
+							// Not found linked account. Create the link
+							user = await this.link(user._id, provider, profile);
+						}
+
+						Object.assign(user, await this.getTokens(ctx, user));
+
+						// TODO: Hack to handle wrong "entity._id.toHexString is not a function" error in mongo adapter
+						user._id = this.decodeID(user._id);
+
+						return this.transformDocuments(ctx, {}, user);
+					}
+
+					if (!this.config["accounts.signup.enabled"])
+						throw new MoleculerClientError("Sign up is not available", 400, "ERR_SIGNUP_DISABLED");
+
+					// Create a new user and link
+					user = await ctx.call(`${this.fullName}.register`, {
+						username: profile.username || profile.email.split("@")[0],
+						password: await bcrypt.genSalt(),
+						email: profile.email,
+						firstName: profile.firstName,
+						lastName: profile.lastName,
+						avatar: profile.avatar
+					});
+
+					user = await this.link(user.id, provider, profile);
+
+					Object.assign(user, await this.getTokens(ctx, user));
+
+					return this.transformDocuments(ctx, {}, user);
+				}
+			}
+		},
+
+		/**
+		 * Enable Two-Factor authentication (2FA).
+		 * Without `token` it generates the TOTP secret, with `token` it confirms it
+		 * and returns the single-use recovery codes.
+		 * It is permitted with the 2FA enrollment token of the mandatory 2FA too.
+		 */
+		enable2Fa: {
+			params: {
+				token: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED, C.ROLE_TWOFACTOR_ENROLLMENT],
+			async handler(ctx) {
+				this.checkTwoFactorAvailable();
+
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!ctx.params.token && (!user.totp || !user.totp.enabled)) {
+					// Generate a TOTP secret and send back otpauthURL & secret
+					const secret = speakeasy.generateSecret({ length: 10 });
+					await this.adapter.updateById(ctx.meta.userID, { $set: {
+						"totp.enabled": false,
+						"totp.secret": secret.base32
+					} });
+
+					const otpauthURL = speakeasy.otpauthURL({
+						secret: secret.ascii,
+						label: ctx.meta.user.email,
+						issuer: this.configObj.site.name
+					});
+
+					return {
+						secret: secret.base32,
+						otpauthURL
+					};
+				} else {
+					// Verify the token with secret
+					const secret = user.totp.secret;
+					if (!(await this.verify2FA(secret, ctx.params.token)))
+						throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+					await this.adapter.updateById(ctx.meta.userID, { $set: {
+						"totp.enabled": true,
+					} });
+
+					const recoveryCodes = await this.generateRecoveryCodes(ctx, user);
+
+					return {
+						recoveryCodes
+					};
+				}
+			}
+		},
+
+		/**
+		 * Disable Two-Factor authentication (2FA)
+		 */
+		disable2Fa: {
+			params: {
+				token: "string"
+			},
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!user.totp || !user.totp.enabled)
+					throw new MoleculerClientError("Two-factor authentication is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+
+				const secret = user.totp.secret;
+				if (!(await this.verify2FA(secret, ctx.params.token)))
+					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+				await this.adapter.updateById(ctx.meta.userID, { $set: {
+					"totp.enabled": false,
+					"totp.secret": null,
+				} });
+
+				await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_RECOVERY_CODE, owner: user._id.toString() });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Verify the emailed 2FA code of a login
+		 *
+		 * @actions
+		 * @param {String} challenge - Returned by the `login` action
+		 * @param {String} code - Emailed 6-digit code
+		 * @param {Boolean?} rememberDevice - Return a trusted device token
+		 *
+		 * @returns {Object} `{ token, refreshToken }`
+		 */
+		verifyEmail2Fa: {
+			params: {
+				challenge: { type: "string" },
+				code: { type: "string" },
+				rememberDevice: { type: "boolean", optional: true }
+			},
+			async handler(ctx) {
+				return await this.verifyLogin2FaCode(ctx, "email");
+			}
+		},
+
+		/**
+		 * Enable the emailed 2FA codes.
+		 * Without `challenge` it emails a code, with `challenge` & `code` it confirms it.
+		 *
+		 * @actions
+		 * @param {String?} challenge
+		 * @param {String?} code
+		 *
+		 * @returns {Object|Boolean} `{ challenge }` or `true` if enabled
+		 */
+		enableEmail2Fa: {
+			params: {
+				challenge: { type: "string", optional: true },
+				code: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				this.checkTwoFactorAvailable();
+
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!ctx.params.challenge)
+					return await this.send2FaCode(ctx, user, "enable", "email");
+
+				const entity = await this.get2FaChallenge(ctx, ctx.params.challenge, "enable", "email", user._id.toString());
+				if (!(await this.verify2FaCode(ctx, entity, ctx.params.code)))
+					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+				await this.adapter.updateById(user._id, { $set: {
+					"emailOtp.enabled": true
+				} });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Disable the emailed 2FA codes.
+		 * Without `challenge` it emails a code, with `challenge` & `code` it confirms it.
+		 *
+		 * @actions
+		 * @param {String?} challenge
+		 * @param {String?} code
+		 *
+		 * @returns {Object|Boolean} `{ challenge }` or `true` if disabled
+		 */
+		disableEmail2Fa: {
+			params: {
+				challenge: { type: "string", optional: true },
+				code: { type: "string", optional: true }
+			},
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!user.emailOtp || !user.emailOtp.enabled)
+					throw new MoleculerClientError("Email 2FA is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+
+				if (!ctx.params.challenge)
+					return await this.send2FaCode(ctx, user, "disable", "email");
+
+				const entity = await this.get2FaChallenge(ctx, ctx.params.challenge, "disable", "email", user._id.toString());
+				if (!(await this.verify2FaCode(ctx, entity, ctx.params.code)))
+					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+				await this.adapter.updateById(user._id, { $set: {
+					"emailOtp.enabled": false
+				} });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Set the phone number of the logged in user.
+		 * It sends a code to the number, which is confirmed by the `verifyPhone` action.
+		 * The SMS 2FA must be disabled before.
+		 *
+		 * @actions
+		 * @param {String} phone - Phone number in international format (e.g. `+36301234567`)
+		 *
+		 * @returns {Object} `{ challenge }`
+		 */
+		setPhone: {
+			params: {
+				phone: { type: "string", min: 7, max: 30 }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				this.checkPhoneChangeable(user);
+
+				const phone = this.normalizePhone(ctx.params.phone);
+				if (!phone)
+					throw new MoleculerClientError("Invalid phone number! Please use the international format, e.g. +36301234567.", 400, "ERR_INVALID_PHONE");
+
+				return await this.send2FaCode(ctx, user, "phone", "sms", phone);
+			}
+		},
+
+		/**
+		 * Confirm the phone number with the code of the text message
+		 *
+		 * @actions
+		 * @param {String} challenge - Returned by the `setPhone` action
+		 * @param {String} code
+		 *
+		 * @returns {Object} `{ phone }`
+		 */
+		verifyPhone: {
+			params: {
+				challenge: { type: "string" },
+				code: { type: "string" }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const entity = await this.get2FaChallenge(ctx, ctx.params.challenge, "phone", "sms", ctx.meta.userID.toString());
+
+				// The SMS 2FA can be enabled after the code is sent
+				const user = await this.adapter.findById(entity.owner);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+				this.checkPhoneChangeable(user);
+
+				if (!(await this.verify2FaCode(ctx, entity, ctx.params.code)))
+					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+				await this.adapter.updateById(entity.owner, { $set: {
+					phone: entity.data.phone,
+					phoneVerified: true
+				} });
+
+				return {
+					phone: entity.data.phone
+				};
+			}
+		},
+
+		/**
+		 * Remove the phone number of the logged in user.
+		 * The SMS 2FA must be disabled before.
+		 *
+		 * @actions
+		 * @returns {Boolean}
+		 */
+		removePhone: {
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				this.checkPhoneChangeable(user);
+
+				await this.adapter.updateById(user._id, { $set: {
+					phone: null,
+					phoneVerified: false
+				} });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Enable the 2FA codes in text messages. It needs a verified phone number.
+		 *
+		 * @actions
+		 * @returns {Boolean}
+		 */
+		enableSms2Fa: {
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				this.checkTwoFactorAvailable();
+
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!user.phone || !user.phoneVerified)
+					throw new MoleculerClientError("Please verify your phone number first!", 400, "ERR_PHONE_NOT_VERIFIED");
+
+				await this.adapter.updateById(user._id, { $set: {
+					"smsOtp.enabled": true
+				} });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Disable the 2FA codes in text messages.
+		 * Without `challenge` it sends a code, with `challenge` & `code` it confirms it.
+		 *
+		 * @actions
+		 * @param {String?} challenge
+		 * @param {String?} code
+		 *
+		 * @returns {Object|Boolean} `{ challenge }` or `true` if disabled
+		 */
+		disableSms2Fa: {
+			params: {
+				challenge: { type: "string", optional: true },
+				code: { type: "string", optional: true }
+			},
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!user.smsOtp || !user.smsOtp.enabled)
+					throw new MoleculerClientError("SMS 2FA is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+
+				if (!ctx.params.challenge)
+					return await this.send2FaCode(ctx, user, "disable", "sms");
+
+				const entity = await this.get2FaChallenge(ctx, ctx.params.challenge, "disable", "sms", user._id.toString());
+				if (!(await this.verify2FaCode(ctx, entity, ctx.params.code)))
+					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+				await this.adapter.updateById(user._id, { $set: {
+					"smsOtp.enabled": false
+				} });
+
+				return true;
+			}
+		},
+
+		/**
+		 * Verify the 2FA code of a login, sent in a text message
+		 *
+		 * @actions
+		 * @param {String} challenge - Returned by the `login` action
+		 * @param {String} code - 6-digit code
+		 * @param {Boolean?} rememberDevice - Return a trusted device token
+		 *
+		 * @returns {Object} `{ token, refreshToken }`
+		 */
+		verifySms2Fa: {
+			params: {
+				challenge: { type: "string" },
+				code: { type: "string" },
+				rememberDevice: { type: "boolean", optional: true }
+			},
+			async handler(ctx) {
+				return await this.verifyLogin2FaCode(ctx, "sms");
+			}
+		},
+
+		/**
+		 * Regenerate the 2FA recovery codes. The old codes are invalidated.
+		 *
+		 * @actions
+		 * @param {String} token - TOTP token
+		 *
+		 * @returns {Object} `{ recoveryCodes }`
+		 */
+		regenerateRecoveryCodes: {
+			params: {
+				token: "string"
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!user.totp || !user.totp.enabled)
+					throw new MoleculerClientError("Two-factor authentication is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+
+				if (!(await this.verify2FA(user.totp.secret, ctx.params.token)))
+					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+
+				const recoveryCodes = await this.generateRecoveryCodes(ctx, user);
+
+				return {
+					recoveryCodes
+				};
+			}
+		},
+
+		/**
+		 * Begin the registration of a WebAuthn authenticator (passkey, security key).
+		 * The registered authenticators are also used as second factor of the password logins.
+		 *
+		 * @actions
+		 * @returns {Object} Options of `navigator.credentials.create` (Base64URL encoded binary values)
+		 */
+		webauthnRegisterBegin: {
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				const authenticators = await ctx.call("v1.authenticators.listByOwner", { owner: user._id.toString() });
+
+				return await this.createWebAuthnRegistrationOptions(ctx, user, authenticators);
+			}
+		},
+
+		/**
+		 * Finish the registration of a WebAuthn authenticator
+		 *
+		 * @actions
+		 * @param {Object} credential - Result of `navigator.credentials.create` (Base64URL encoded binary values)
+		 * @param {String?} name - Name of the authenticator
+		 *
+		 * @returns {Object} Registered authenticator
+		 */
+		webauthnRegisterFinish: {
+			params: {
+				credential: { type: "object", props: {
+					id: { type: "string" },
+					response: { type: "object", props: {
+						clientDataJSON: { type: "string" },
+						attestationObject: { type: "string" },
+						transports: { type: "array", items: "string", optional: true }
+					} }
+				} },
+				name: { type: "string", min: 1, max: 100, optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.meta.userID);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				const credential = ctx.params.credential;
+				const res = await this.verifyWebAuthnRegistration(ctx, user, credential);
+
+				if (await ctx.call("v1.authenticators.resolve", { credentialID: res.credentialID }))
+					throw new MoleculerClientError("Authenticator is already registered!", 400, "ERR_WEBAUTHN_ALREADY_REGISTERED");
+
+				return await ctx.call("v1.authenticators.create", Object.assign(res, {
+					owner: user._id.toString(),
+					name: ctx.params.name || "Passkey",
+					transports: credential.response.transports
+				}));
+			}
+		},
+
+		/**
+		 * Begin a WebAuthn authentication. With `email` the registered authenticators
+		 * of the user are allowed (second factor), without it any passkey (passwordless login).
+		 *
+		 * @actions
+		 * @param {String?} email - Email or username
+		 *
+		 * @returns {Object} Options of `navigator.credentials.get` (Base64URL encoded binary values)
+		 */
+		webauthnLoginBegin: {
+			params: {
+				email: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				if (!ctx.params.email)
+					return await this.createWebAuthnAuthenticationOptions(ctx);
+
+				const user = this.config["accounts.username.enabled"]
+					? await this.adapter.findOne({ "$or": [{ email: ctx.params.email }, { username: ctx.params.email }] })
+					: await this.adapter.findOne({ email: ctx.params.email });
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "ERR_USER_NOT_FOUND");
+
+				const authenticators = await ctx.call("v1.authenticators.listByOwner", { owner: user._id.toString() });
+				if (authenticators.length == 0)
+					throw new MoleculerClientError("The user has no registered authenticators!", 400, "ERR_WEBAUTHN_NOT_REGISTERED");
+
+				return await this.createWebAuthnAuthenticationOptions(ctx, user, authenticators);
+			}
+		},
+
+		/**
+		 * Passwordless login with a WebAuthn authenticator. The authenticator
+		 * must verify the user (PIN, biometrics), so the 2FA is not required.
+		 *
+		 * @actions
+		 * @param {Object} credential - Result of `navigator.credentials.get` (Base64URL encoded binary values)
+		 *
+		 * @returns {Object} `{ token, refreshToken }`
+		 */
+		webauthnLoginFinish: {
+			params: {
+				credential: WEBAUTHN_ASSERTION
+			},
+			async handler(ctx) {
+				// Check brute-force protection of the IP address
+				this.checkIPLockout(ctx);
+
+				let res;
+				try {
+					res = await this.verifyWebAuthnAssertion(ctx, ctx.params.credential);
+				} catch(err) {
+					this.ipLoginFailed(ctx);
+					throw err;
+				}
+
+				if (!res.userVerified)
+					throw new MoleculerClientError("User verification is required for passwordless login!", 400, "ERR_WEBAUTHN_USER_VERIFICATION_REQUIRED");
+
+				const user = await this.adapter.findById(res.authenticator.owner);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "ERR_USER_NOT_FOUND");
+
+				this.checkAccountLockout(user);
+
+				if (!user.verified)
+					throw new MoleculerClientError("Please activate your account!", 400, "ERR_ACCOUNT_NOT_VERIFIED");
+
+				if (user.status !== 1)
+					throw new MoleculerClientError("Account is disabled!", 400, "ERR_ACCOUNT_DISABLED");
+
+				await this.resetLockout(user);
+
+				return await this.getTokens(ctx, user);
+			}
+		},
+
+		/**
+		 * List the WebAuthn authenticators of the logged in user
+		 *
+		 * @actions
+		 * @returns {Array<Object>} Authenticators
+		 */
+		authenticators: {
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				return await ctx.call("v1.authenticators.listByOwner", { owner: ctx.meta.userID.toString() });
+			}
+		},
+
+		/**
+		 * Rename a WebAuthn authenticator of the logged in user
+		 *
+		 * @actions
+		 * @param {String} authenticatorID
+		 * @param {String} name
+		 *
+		 * @returns {Object} Authenticator
+		 */
+		renameAuthenticator: {
+			params: {
+				authenticatorID: { type: "string" },
+				name: { type: "string", min: 1, max: 100 }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const res = await ctx.call("v1.authenticators.rename", { owner: ctx.meta.userID.toString(), id: ctx.params.authenticatorID, name: ctx.params.name });
+				if (!res)
+					throw new MoleculerClientError("Authenticator not found!", 400, "ERR_WEBAUTHN_AUTHENTICATOR_NOT_FOUND");
+
+				return res;
+			}
+		},
+
+		/**
+		 * Remove a WebAuthn authenticator of the logged in user
+		 *
+		 * @actions
+		 * @param {String} authenticatorID
+		 *
+		 * @returns {Boolean}
+		 */
+		removeAuthenticator: {
+			params: {
+				authenticatorID: { type: "string" }
+			},
+			// needElevation attribute triggers the CheckElevation middleware
+			// which requires a recently re-authenticated session
+			needElevation: true,
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const removed = await ctx.call("v1.authenticators.revoke", { owner: ctx.meta.userID.toString(), id: ctx.params.authenticatorID });
+				if (!removed)
+					throw new MoleculerClientError("Authenticator not found!", 400, "ERR_WEBAUTHN_AUTHENTICATOR_NOT_FOUND");
+
+				return true;
+			}
+		},
+
+		/**
+		 * List the trusted devices (which skip the 2FA) of the logged in user
+		 *
+		 * @actions
+		 * @returns {Array<Object>} Trusted devices
+		 */
+		trustedDevices: {
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const tokens = await ctx.call("v1.tokens.listByOwner", { type: C.TOKEN_TYPE_TRUSTED_DEVICE, owner: ctx.meta.userID.toString() });
+				return tokens.map(token => ({
+					id: token.family,
+					userAgent: token.data && token.data.userAgent,
+					ip: token.data && token.data.ip,
+					createdAt: token.createdAt,
+					lastUsedAt: token.usedAt,
+					expiresAt: token.expiry
+				}));
+			}
+		},
+
+		/**
+		 * Revoke a trusted device of the logged in user. The next login on it requires the 2FA.
+		 *
+		 * @actions
+		 * @param {String} deviceID
+		 *
+		 * @returns {Boolean}
+		 */
+		revokeTrustedDevice: {
+			params: {
+				deviceID: { type: "string" }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const count = await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_TRUSTED_DEVICE, owner: ctx.meta.userID.toString(), family: ctx.params.deviceID });
+				if (!count)
+					throw new MoleculerClientError("Trusted device not found!", 400, "ERR_TRUSTED_DEVICE_NOT_FOUND");
+
+				return true;
+			}
+		},
+
+		/**
+		 * Revoke all trusted devices of the logged in user
+		 *
+		 * @actions
+		 * @returns {Number} Count of revoked devices
+		 */
+		revokeAllTrustedDevices: {
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				return await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_TRUSTED_DEVICE, owner: ctx.meta.userID.toString() });
+			}
+		},
+
+		/**
+		 * Generate a Two-Factor authentication token (TOTP)
+		 * For tests
+		 */
+		generate2FaToken: {
+			visibility: "protected",
+			params: {
+				id: "string"
+			},
+			async handler(ctx) {
+				const user = await this.adapter.findById(ctx.params.id);
+				if (!user)
+					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+
+				if (!user.totp || !user.totp.enabled)
+					throw new MoleculerClientError("Two-factor authentication is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+
+				const secret = user.totp.secret;
+				const token = this.generate2FaToken(secret);
+
+				return { token };
+			}
+		},
+
+		/**
+		 * Send login magic link to user email
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 */
+		async sendMagicLink(ctx, user) {
+			const token = this.generateToken();
+
+			const usr = await this.adapter.updateById(user._id, { $set: {
+				passwordlessToken: token,
+				passwordlessTokenExpires: Date.now() + Number(process.env.ACCOUNTS_PASSWORDLESS_TOKEN_EXPIRES)
+			} });
+
+			return await this.sendMail(ctx, usr, "magic-link", { token });
+		},
+	},
+
+	/**
+	 * Events
+	 */
+	events: {
+
+		/**
+		 * Remove the revoked tokens from the `resolveToken` cache.
+		 * It's broadcasted, so every node cleans its own (local) cacher.
+		 *
+		 * @param {Object} payload `token` to remove. If not defined, all cached tokens are removed.
+		 */
+		"accounts.tokens.revoked"(payload) {
+			const cacher = this.broker.cacher;
+			if (!cacher)
+				return;
+
+			const action = `${this.fullName}.resolveToken`;
+			if (payload && payload.token) {
+				this.logger.debug("Remove revoked token from cache.");
+				return cacher.del(cacher.getCacheKey(action, { token: payload.token }, {}, ["token"]));
+			}
+
+			this.logger.debug("Clear the resolved tokens cache.");
+			return cacher.clean(`${action}:**`);
+		},
+
+		/**
+		 * A signing key is changed. The tokens of a retired key must not be resolved from cache.
+		 *
+		 * @param {Object} payload
+		 */
+		"keys.entity.updated"(payload) {
+			if (this.broker.cacher && payload.entity.status == C.KEY_STATUS_RETIRED) {
+				this.logger.debug("Signing key is retired. Clear the resolved tokens cache.");
+				return this.broker.cacher.clean(`${this.fullName}.resolveToken:**`);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Seed an empty collection with an `admin` and a `test` users.
+		 */
+		async seedDB() {
+			const res = await this.adapter.insertMany([
+				// Administrator
+				{
+					username: "admin",
+					password: await this.hashPassword("admin"),
+					firstName: "Administrator",
+					lastName: "",
+					email: "admin@ecameleon.com",
+					roles: ["administrator"],
+					socialLinks: {},
+					status: 1,
+					plan: "full",
+					verified: true,
+					passwordless: false,
+					createdAt: Date.now(),
+				},
+
+				// Test user
+				{
+					username: "test",
+					password: await this.hashPassword("test"),
+					firstName: "Test",
+					lastName: "User",
+					email: "test@ecameleon.com",
+					roles: ["user"],
+					socialLinks: {},
+					status: 1,
+					plan: "free",
+					verified: true,
+					passwordless: false,
+					createdAt: Date.now(),
+				}
+			]);
+
+			this.logger.info(`Generated ${res.length} users.`);
+		},
+
+		/**
+		 * Rehash the password of the user with the current hashing settings.
+		 * The old hash is replaced in the password history as well.
+		 *
+		 * @param {Object} user
+		 * @param {String} password - Plaintext password
+		 */
+		async rehashPassword(user, password) {
+			const hash = await this.hashPassword(password);
+
+			await this.adapter.updateById(user._id, { $set: {
+				password: hash,
+				passwordHistory: (user.passwordHistory || []).map(h => h == user.password ? hash : h)
+			} });
+
+			this.logger.info(`The password hash of '${user.email}' has been upgraded.`);
+		},
+
+		/**
+		 * Generate a token
+		 *
+		 * @param {Number} len Token length
+		 */
+		generateToken(len = 25) {
+			return crypto.randomBytes(len).toString("hex");
+		},
+
+		/**
+		 * Get user by email
+		 *
+		 * @param {Context} ctx
+		 * @param {String} email
+		 */
+		async getUserByEmail(ctx, email) {
+			return await this.adapter.findOne({ email });
+		},
+
+		/**
+		 * Check the lengths of the values by the `maxlength` of the fields
+		 *
+		 * @param {Object} values
+		 */
+		validateFieldLengths(values) {
+			const errors = Object.keys(values)
+				.filter(field => this.settings.fields[field] && this.settings.fields[field].maxlength && values[field].length > this.settings.fields[field].maxlength)
+				.map(field => ({
+					type: "stringMax",
+					field,
+					expected: this.settings.fields[field].maxlength,
+					actual: values[field].length,
+					message: `The '${field}' field length must be less than or equal to ${this.settings.fields[field].maxlength} characters long!`
+				}));
+
+			if (errors.length > 0)
+				throw new ValidationError("Parameters validation error!", null, errors);
+		},
+
+		/**
+		 * Get the Gravatar URL of an email address (default avatar)
+		 *
+		 * @param {String} email
+		 * @returns {String}
+		 */
+		getGravatar(email) {
+			const md5 = crypto.createHash("md5").update(email).digest("hex");
+			return `https://gravatar.com/avatar/${md5}?s=64&d=retro`;
+		},
+
+		/**
+		 * Set the email address of the user & clear the pending one.
+		 * The default Gravatar avatar follows the address.
+		 *
+		 * @param {Object} user
+		 * @param {String} email
+		 * @returns {Promise<Object>} Updated user entity
+		 */
+		async setEmail(user, email) {
+			const changes = {
+				email,
+				pendingEmail: null
+			};
+			if (user.avatar == this.getGravatar(user.email))
+				changes.avatar = this.getGravatar(email);
+
+			const res = await this.adapter.updateById(user._id, { $set: changes });
+
+			// The resolved users are cached by the tokens
+			this.clearTokenCache();
+
+			return res;
+		},
+
+		/**
+		 * Get user by username
+		 *
+		 * @param {Context} ctx
+		 * @param {String} username
+		 */
+		async getUserByUsername(ctx, username) {
+			return await this.adapter.findOne({ username });
+		},
+
+		/**
+		 * Send email to the user email address
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String} template
+		 * @param {Object?} data
+		 */
+		async sendMail(ctx, user, template, data) {
+			if (!this.config["mail.enabled"])
+				return this.Promise.resolve(false);
+
+			try {
+				return await ctx.call(this.settings.actions.sendMail, {
+					to: user.email,
+					template: template,
+					data: _.defaultsDeep(data, {
+						user,
+						siteUrl: this.config["site.url"],
+						siteName: this.config["site.name"]
+					})
+				}, { retries: 3, timeout: 10000 });
+
+			} catch(err) {
+				/* istanbul ignore next */
+				this.logger.error("Send mail error!", err);
+				/* istanbul ignore next */
+				throw err;
+			}
+		},
+
+		/**
+		 * Send a text message to the user
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String} phone
+		 * @param {String} template
+		 * @param {Object?} data
+		 */
+		async sendSms(ctx, user, phone, template, data) {
+			if (!this.isConfigEnabled("sms.enabled"))
+				return this.Promise.resolve(false);
+
+			// No retries, the message may have been sent
+			return await ctx.call(this.settings.actions.sendSms, {
+				to: phone,
+				template,
+				data: _.defaultsDeep(data, {
+					user: _.pick(user, ["firstName", "lastName"])
+				})
+			}, { timeout: 10000 });
+		},
+
+		/**
+		 * Generate a JWT token for the user.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String?} sessionID
+		 * @param {Object?} claims Additional claims
+		 */
+		async getToken(ctx, user, sessionID, claims) {
+			const payload = Object.assign({}, claims, { id: user._id.toString() });
+			if (sessionID)
+				payload.sid = sessionID;
+
+			return await this.generateJWT(ctx, payload);
+		},
+
+		/**
+		 * Generate a short-lived access token & a refresh token for the user.
+		 * A new session is created if `sessionID` is not defined (new login).
+		 * If the user has to set up the mandatory 2FA, the new login gets only
+		 * a 2FA enrollment token.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String?} sessionID Session of the rotated refresh token
+		 * @param {Object?} claims Additional claims of the access token, kept by the refresh token
+		 * @returns {Object} `{ token, refreshToken }` or `{ twoFactorEnrollment, token }`
+		 */
+		async getTokens(ctx, user, sessionID, claims) {
+			if (!sessionID && await this.isTwoFactorEnrollmentRequired(ctx, user)) {
+				return {
+					twoFactorEnrollment: true,
+					token: await this.generateJWT(ctx, { id: user._id.toString(), enroll: true })
+				};
+			}
+
+			if (!sessionID) {
+				const session = await ctx.call("v1.sessions.create", {
+					owner: user._id.toString(),
+					userAgent: ctx.meta.userAgent,
+					ip: ctx.meta.ip
+				});
+				sessionID = session._id.toString();
+			}
+
+			// The refresh token family is the session
+			const refreshToken = await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_REFRESH,
+				owner: user._id.toString(),
+				family: sessionID,
+				expiry: Date.now() + Number(this.config["accounts.refreshToken.expires"]),
+				data: claims
+			});
+
+			return {
+				token: await this.getToken(ctx, user, sessionID, claims),
+				refreshToken: refreshToken.token
+			};
+		},
+
+		/**
+		 * Map the account fields to OpenID Connect standard claims
+		 *
+		 * @param {Object} user
+		 * @param {Array<String>} scopes Granted scopes
+		 * @returns {Object} Claims
+		 */
+		getUserClaims(user, scopes) {
+			const claims = { sub: user._id.toString() };
+
+			if (scopes.indexOf("profile") !== -1) {
+				Object.assign(claims, {
+					given_name: user.firstName,
+					family_name: user.lastName,
+					picture: user.avatar
+				});
+			}
+
+			if (scopes.indexOf("email") !== -1) {
+				Object.assign(claims, {
+					email: user.email,
+					email_verified: !!user.verified
+				});
+			}
+
+			return _.omitBy(claims, _.isNil);
+		},
+
+		/**
+		 * Check whether the JWT token has been revoked by its ID
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} decoded Decoded JWT payload
+		 */
+		async checkRevokedJWT(ctx, decoded) {
+			if (!decoded.jti)
+				return;
+
+			const revoked = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_REVOKED_JWT, token: decoded.jti });
+			if (revoked)
+				throw new MoleculerClientError("Token has been revoked", 401, "ERR_TOKEN_REVOKED");
+		},
+
+		/**
+		 * Revoke sessions of a user with the refresh tokens.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} userID
+		 * @param {Object?} opts `ids` to revoke (all if not defined), `except` to keep
+		 * @returns {Array<String>} Revoked session IDs
+		 */
+		async revokeSessions(ctx, userID, opts = {}) {
+			const revoked = await ctx.call("v1.sessions.revoke", Object.assign({ owner: userID.toString() }, opts));
+
+			await this.Promise.all(revoked.map(id => ctx.call("v1.tokens.removeMany", {
+				type: C.TOKEN_TYPE_REFRESH,
+				family: id
+			})));
+
+			if (revoked.length > 0)
+				this.clearTokenCache();
+
+			return revoked;
+		},
+
+		/**
+		 * Add a JWT token to the denylist (by the `jti` claim) until it expires.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} decoded Decoded JWT payload
+		 */
+		async revokeJWT(ctx, decoded) {
+			if (!decoded.jti)
+				return;
+
+			await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_REVOKED_JWT,
+				owner: (decoded.id || decoded.cid).toString(),
+				token: decoded.jti,
+				expiry: decoded.exp * 1000
+			});
+		},
+
+		/**
+		 * Notify all nodes to remove revoked tokens from the `resolveToken` cache.
+		 *
+		 * @param {String?} token Revoked JWT token. If not defined, the whole cache is cleared
+		 */
+		clearTokenCache(token) {
+			this.broker.broadcast("accounts.tokens.revoked", token ? { token } : {});
+		},
+
+		/**
+		 * The phone number of the SMS 2FA can't be replaced or removed,
+		 * otherwise a stolen session could take over the second factor.
+		 *
+		 * @param {Object} user
+		 */
+		checkPhoneChangeable(user) {
+			if (user.smsOtp && user.smsOtp.enabled)
+				throw new MoleculerClientError("Please disable the SMS 2FA before changing the phone number!", 400, "ERR_SMS_2FA_ENABLED");
+		},
+
+		/**
+		 * Forbid the API key management with an API key,
+		 * otherwise a scoped key could mint an unscoped one.
+		 *
+		 * @param {Context} ctx
+		 */
+		checkNotApiKey(ctx) {
+			if (ctx.meta.apiKeyID)
+				throw new MoleculerClientError("API keys can't be managed with an API key!", 403, "ERR_API_KEY_NOT_ALLOWED");
+		},
+
+		/**
+		 * Get the user ID of the target account from the `id` param.
+		 * Only administrators can target other accounts than their own,
+		 * the calls without roles are rejected as well.
+		 *
+		 * @param {Context} ctx
+		 * @returns {String} User ID
+		 */
+		async getTargetUserID(ctx) {
+			if (!ctx.meta.userID)
+				throw new MoleculerClientError("Missing user ID!", 400, "MISSING_USER_ID");
+
+			const id = ctx.params.id ? ctx.params.id : ctx.meta.userID;
+			if (id != ctx.meta.userID) {
+				const res = await ctx.call("v1.acl.hasAccess", { roles: ctx.meta.roles || [], permissions: ["administrator"] });
+				if (res !== true)
+					throw new MoleculerClientError("You have no right for this operation!", 401, "ERR_HAS_NO_ACCESS", { action: ctx.action.name });
+			}
+
+			return id;
+		},
+
+		/**
+		 * Generate a JWT token from user entity.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} payload
+		 * @param {String|Number} [expiresIn]
+		 * Expressed in seconds or a string describing a time span [zeit/ms](https://github.com/zeit/ms.js).  
+		 * Eg: 60, "2 days", "10h", "7d"
+		 */
+		async generateJWT(ctx, payload, expiresIn) {
+			const key = await ctx.call("v1.keys.getSigningKey");
+
+			return new this.Promise((resolve, reject) => {
+				const jwtExpiresIn = expiresIn || this.config["accounts.jwt.expiresIn"];
+				const opts = {
+					expiresIn: jwtExpiresIn,
+					algorithm: key.algorithm,
+					keyid: key.kid,
+					// Unique token ID for revoking
+					jwtid: this.generateToken(16)
+				};
+				return jwt.sign(payload, key.privateKey, opts, (err, token) => {
+					if (err) {
+						this.logger.warn("JWT token generation error:", err);
+						return reject(new MoleculerRetryableError("Unable to generate token", 500, "UNABLE_GENERATE_TOKEN"));
+					}
+
+					resolve(token);
+				});
+			});
+		},
+
+		/**
+		 * Verify a JWT token and return the decoded payload.
+		 * The token is verified with the key of its `kid` header.
+		 * Tokens without `kid` are verified with all valid keys.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} token
+		 */
+		async verifyJWT(ctx, token) {
+			const decoded = jwt.decode(token, { complete: true });
+			if (!decoded) {
+				this.logger.warn("JWT verifying error: malformed token");
+				throw new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN");
+			}
+
+			const keys = await ctx.call("v1.keys.getVerificationKeys", decoded.header.kid ? { kid: decoded.header.kid } : {});
+
+			let lastError = new Error("No valid key found");
+			for (const key of keys) {
+				try {
+					return await this.verifyJWTWithKey(token, key);
+				} catch(err) {
+					lastError = err;
+				}
+			}
+
+			this.logger.warn("JWT verifying error:", lastError);
+			throw new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN");
+		},
+
+		/**
+		 * Verify a JWT token with a key
+		 *
+		 * @param {String} token
+		 * @param {Object} key `algorithm` & `key`
+		 */
+		verifyJWTWithKey(token, key) {
+			return new this.Promise((resolve, reject) => {
+				jwt.verify(token, key.key, { algorithms: [key.algorithm] }, (err, decoded) => {
+					if (err)
+						return reject(err);
+
+					resolve(decoded);
+				});
+			});
+		},
+
+		/**
+		 * Link account to a social account
+		 */
+		async link(id, provider, profile) {
+			return await this.adapter.updateById(id, { $set: {
+				[`socialLinks.${provider}`]: profile.socialID,
+				verified: true, // if not verified yet via email
+				verificationToken: null
+			} });
+		},
+
+		/**
+		 * Check that the IP address of the request is not blocked
+		 * because of too many failed logins.
+		 *
+		 * @param {Context} ctx
+		 */
+		checkIPLockout(ctx) {
+			if (!this.isLockoutEnabled() || !ctx.meta.ip)
+				return;
+
+			const entry = this.ipLoginAttempts.get(ctx.meta.ip);
+			if (entry && entry.lockedUntil > Date.now())
+				throw new MoleculerClientError("Too many failed login attempts. Please try again later.", 429, "ERR_TOO_MANY_ATTEMPTS", { retryAfter: entry.lockedUntil });
+		},
+
+		/**
+		 * Check that the account is not locked and the exponential
+		 * back-off delay of the last failed login has elapsed.
+		 *
+		 * @param {Object} user
+		 */
+		checkAccountLockout(user) {
+			if (!this.isLockoutEnabled())
+				return;
+
+			if (user.lockedUntil > Date.now())
+				throw new MoleculerClientError("Account is locked because of too many failed login attempts!", 400, "ERR_ACCOUNT_LOCKED", { lockedUntil: user.lockedUntil });
+
+			if (user.failedLoginAttempts > 0) {
+				const retryAfter = user.lastFailedLoginAt + this.getBackoffDelay(user.failedLoginAttempts);
+				if (retryAfter > Date.now())
+					throw new MoleculerClientError("Too many failed login attempts. Please try again later.", 429, "ERR_TOO_MANY_ATTEMPTS", { retryAfter });
+			}
+		},
+
+		/**
+		 * Get the delay after the n-th failed login. It's doubled by every attempt
+		 * but never longer than the lockout duration.
+		 *
+		 * @param {Number} attempts
+		 * @returns {Number}
+		 */
+		getBackoffDelay(attempts) {
+			const base = Number(this.config["accounts.lockout.backoff"]) || 0;
+			const duration = Number(this.config["accounts.lockout.duration"]) || 0;
+
+			return Math.min(base * Math.pow(2, attempts - 1), duration);
+		},
+
+		/**
+		 * Register a failed login of the account & the IP address.
+		 * If the count reaches the threshold, the account is locked
+		 * and an unlock link is sent to the owner.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 */
+		async loginFailed(ctx, user) {
+			this.ipLoginFailed(ctx);
+
+			if (!this.isLockoutEnabled())
+				return;
+
+			// Counting restarts after an expired lockout
+			if (user.lockedUntil)
+				await this.adapter.updateMany({ _id: user._id, lockedUntil: user.lockedUntil }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+
+			// Increment atomically, the parallel logins must not overwrite each other's count
+			const doc = await this.adapter.updateById(user._id, {
+				$inc: { failedLoginAttempts: 1 },
+				$set: { lastFailedLoginAt: Date.now() }
+			});
+			const attempts = doc.failedLoginAttempts;
+
+			const threshold = Number(this.config["accounts.lockout.threshold"]);
+			if (threshold > 0 && attempts >= threshold) {
+				const lockedUntil = Date.now() + Number(this.config["accounts.lockout.duration"]);
+
+				// Only one of the parallel failed logins locks the account & sends the mail
+				const count = await this.adapter.updateMany({ _id: user._id, failedLoginAttempts: attempts }, { $set: { failedLoginAttempts: 0, lockedUntil } });
+				if (count > 0) {
+					this.logger.warn(`Account '${user.email}' is locked because of too many failed login attempts.`);
+
+					const { token } = await ctx.call("v1.tokens.generate", {
+						type: C.TOKEN_TYPE_UNLOCK,
+						owner: user._id.toString(),
+						expiry: lockedUntil
+					});
+
+					this.sendMail(ctx, user, "account-locked", { token, lockedUntil: new Date(lockedUntil).toUTCString() });
+				}
+			}
+		},
+
+		/**
+		 * Register a failed login of the IP address.
+		 * The counters are stored in the memory of the node, they are not shared
+		 * between the instances of the service. So with N instances behind a load
+		 * balancer, an IP address can try up to N times the threshold before it's
+		 * blocked everywhere. The per-account lockout is stored in the database,
+		 * so it's enforced on every node.
+		 *
+		 * @param {Context} ctx
+		 */
+		ipLoginFailed(ctx) {
+			if (!this.isLockoutEnabled() || !ctx.meta.ip)
+				return;
+
+			const now = Date.now();
+			const duration = Number(this.config["accounts.lockout.duration"]);
+
+			let entry = this.ipLoginAttempts.get(ctx.meta.ip);
+			if (!entry || entry.lastFailedAt + duration < now || entry.lockedUntil)
+				entry = { count: 0 };
+
+			entry.count++;
+			entry.lastFailedAt = now;
+
+			const threshold = Number(this.config["accounts.lockout.ipThreshold"]);
+			if (threshold > 0 && entry.count >= threshold) {
+				this.logger.warn(`IP address '${ctx.meta.ip}' is blocked because of too many failed login attempts.`);
+				entry.lockedUntil = now + duration;
+			}
+
+			this.ipLoginAttempts.set(ctx.meta.ip, entry);
+		},
+
+		/**
+		 * Check whether a feature flag of the config is enabled
+		 *
+		 * @param {String} key - Config key, e.g. `sms.enabled`
+		 * @returns {Boolean}
+		 */
+		isConfigEnabled(key) {
+			// The values from the environment variables are strings
+			const value = this.config[key];
+			return value === true || value === "true";
+		},
+
+		/**
+		 * Check whether the lockout of the failed logins is enabled
+		 *
+		 * @returns {Boolean}
+		 */
+		isLockoutEnabled() {
+			return this.isConfigEnabled("accounts.lockout.enabled");
+		},
+
+		/**
+		 * Check whether the 2FA is enabled on the site
+		 *
+		 * @returns {Boolean}
+		 */
+		isTwoFactorEnabled() {
+			return this.isConfigEnabled("accounts.two-factor.enabled");
+		},
+
+		/**
+		 * Check the 2FA is available on the site
+		 */
+		checkTwoFactorAvailable() {
+			if (!this.isTwoFactorEnabled())
+				throw new MoleculerClientError("Two-factor authentication is not available.", 400, "ERR_TWOFACTOR_DISABLED");
+		},
+
+		/**
+		 * Check whether the user has to set up the 2FA before the login
+		 * because it is mandatory for a role of the user
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @returns {Promise<Boolean>}
+		 */
+		async isTwoFactorEnrollmentRequired(ctx, user) {
+			const roles = this.config["accounts.two-factor.requiredRoles"];
+			if (!this.isTwoFactorEnabled() || !Array.isArray(roles) || _.intersection(roles, user.roles || []).length == 0)
+				return false;
+
+			const methods = await this.getTwoFactorMethods(ctx, user);
+			return methods.length == 0;
+		},
+
+		/**
+		 * Get the enabled second factors of the user
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @returns {Promise<Array<String>>} `totp`, `webauthn`, `email` and/or `sms`
+		 */
+		async getTwoFactorMethods(ctx, user) {
+			const methods = [];
+			if (user.totp && user.totp.enabled)
+				methods.push("totp");
 
-					const otpauthURL = speakeasy.otpauthURL({
-						secret: secret.ascii,
-						label: ctx.meta.user.email,
-						issuer: this.configObj.site.name
-					});
+			const authenticators = await ctx.call("v1.authenticators.listByOwner", { owner: user._id.toString() });
+			if (authenticators.length > 0)
+				methods.push("webauthn");
 
-					return {
-						secret: secret.base32,
-						otpauthURL
-					};
-				} else {
-					// Verify the token with secret
-					const secret = user.totp.secret;
-					if (!(await this.verify2FA(secret, ctx.params.token)))
-						throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+			if (user.emailOtp && user.emailOtp.enabled)
+				methods.push("email");
 
-					await this.adapter.updateById(ctx.meta.userID, { $set: {
-						"totp.enabled": true,
-					} });
+			if (user.smsOtp && user.smsOtp.enabled && user.phoneVerified)
+				methods.push("sms");
 
-					return true;
-				}
-			}
+			return methods;
 		},
 
 		/**
-		 * Disable Two-Factor authentication (2FA)
+		 * Generate & send a 6-digit 2FA code by email or SMS
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String} purpose - `login`, `enable`, `disable`, `phone` or `password`
+		 * @param {String} channel - `email` or `sms`
+		 * @param {String?} phone - Phone number to verify. Default is the phone of the user
+		 * @returns {Promise<Object>} `{ challenge }` - Identifies the code for the verification
 		 */
-		disable2Fa: {
-			params: {
-				token: "string"
-			},
-			permissions: [C.ROLE_AUTHENTICATED],
-			async handler(ctx) {
-				const user = await this.adapter.findById(ctx.meta.userID);
-				if (!user)
-					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+		async send2FaCode(ctx, user, purpose, channel, phone) {
+			const opts = OTP_CHANNELS[channel];
+			if (!this.isConfigEnabled(opts.configKey))
+				throw new MoleculerClientError(`${opts.name} 2FA is not available because ${opts.name.toLowerCase()} transporter is not configured.`, 400, `ERR_${channel.toUpperCase()}_2FA_UNAVAILABLE`);
+
+			const expires = Number(this.config[`accounts.two-factor.${channel}.expires`]) || 10 * 60 * 1000;
+			const challenge = this.generateToken();
+			// The modulo bias of a 32-bit random number is negligible
+			const code = String(crypto.randomBytes(4).readUInt32BE(0) % 1000000).padStart(6, "0");
+
+			await ctx.call("v1.tokens.generate", {
+				type: opts.tokenType,
+				owner: user._id.toString(),
+				expiry: Date.now() + expires,
+				token: challenge,
+				data: { purpose, code: this.hash2FaCode(challenge, code), attempts: 0, phone }
+			});
 
-				if (!user.totp || !user.totp.enabled)
-					throw new MoleculerClientError("Two-factor authentication is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+			const data = { code, expiresIn: Math.round(expires / 60000) };
+			if (channel == "sms")
+				await this.sendSms(ctx, user, phone || user.phone, "two-factor-code", data);
+			else
+				await this.sendMail(ctx, user, "two-factor-code", data);
 
-				const secret = user.totp.secret;
-				if (!(await this.verify2FA(secret, ctx.params.token)))
-					throw new MoleculerClientError("Invalid token!", 400, "TWOFACTOR_INVALID_TOKEN");
+			return { challenge };
+		},
 
-				await this.adapter.updateById(ctx.meta.userID, { $set: {
-					"totp.enabled": false,
-					"totp.secret": null,
-				} });
+		/**
+		 * Get a not-expired 2FA challenge
+		 *
+		 * @param {Context} ctx
+		 * @param {String} challenge
+		 * @param {String} purpose - `login`, `enable`, `disable`, `phone` or `password`
+		 * @param {String} channel - `email` or `sms`
+		 * @param {String?} owner - User ID
+		 * @returns {Promise<Object>} Token entity with the plaintext `challenge`
+		 */
+		async get2FaChallenge(ctx, challenge, purpose, channel, owner) {
+			const entity = await ctx.call("v1.tokens.check", { type: OTP_CHANNELS[channel].tokenType, token: challenge, owner });
+			if (!entity || !entity.data || entity.data.purpose != purpose)
+				throw new MoleculerClientError("Invalid or expired 2FA challenge!", 400, "ERR_INVALID_2FA_CHALLENGE");
 
-				return true;
+			return Object.assign(entity, { challenge });
+		},
+
+		/**
+		 * Verify a 2FA code sent by email or SMS. The code is removed after
+		 * the successful verification or after too many attempts.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} entity - Returned by `get2FaChallenge`
+		 * @param {String?} code
+		 * @returns {Promise<Boolean>}
+		 */
+		async verify2FaCode(ctx, entity, code) {
+			const expected = Buffer.from(entity.data.code, "hex");
+			const actual = Buffer.from(this.hash2FaCode(entity.challenge, code || ""), "hex");
+			const valid = !!code && crypto.timingSafeEqual(expected, actual);
+
+			if (valid) {
+				// Only one of the parallel requests can consume the code
+				const removed = await ctx.call("v1.tokens.removeMany", { type: entity.type, family: entity.family });
+				return removed > 0;
 			}
+
+			// Count atomically, the parallel wrong codes must not overwrite each other's count
+			const updated = await ctx.call("v1.tokens.incAttempts", { id: entity._id });
+			const channel = _.findKey(OTP_CHANNELS, { tokenType: entity.type });
+			const maxAttempts = Number(this.config[`accounts.two-factor.${channel}.maxAttempts`]) || 5;
+
+			if (updated && updated.data.attempts >= maxAttempts)
+				await ctx.call("v1.tokens.removeMany", { type: entity.type, family: entity.family });
+
+			return false;
 		},
 
 		/**
-		 * Generate a Two-Factor authentication token (TOTP)
-		 * For tests
+		 * Verify the 2FA code of a login & issue the tokens
+		 *
+		 * @param {Context} ctx
+		 * @param {String} channel - `email` or `sms`
+		 * @returns {Promise<Object>} `{ token, refreshToken }`
 		 */
-		generate2FaToken: {
-			visibility: "protected",
-			params: {
-				id: "string"
-			},
-			async handler(ctx) {
-				const user = await this.adapter.findById(ctx.params.id);
-				if (!user)
-					throw new MoleculerClientError("User not found!", 400, "USER_NOT_FOUND");
+		async verifyLogin2FaCode(ctx, channel) {
+			// Check brute-force protection of the IP address
+			this.checkIPLockout(ctx);
 
-				if (!user.totp || !user.totp.enabled)
-					throw new MoleculerClientError("Two-factor authentication is not enabled!", 400, "TWOFACTOR_NOT_ENABLED");
+			const entity = await this.get2FaChallenge(ctx, ctx.params.challenge, "login", channel);
 
-				const secret = user.totp.secret;
-				const token = this.generate2FaToken(secret);
+			const user = await this.adapter.findById(entity.owner);
+			if (!user)
+				throw new MoleculerClientError("User not found!", 400, "ERR_USER_NOT_FOUND");
 
-				return { token };
+			// Check brute-force protection of the account
+			this.checkAccountLockout(user);
+
+			if (user.status !== 1)
+				throw new MoleculerClientError("Account is disabled!", 400, "ERR_ACCOUNT_DISABLED");
+
+			if (!(await this.verify2FaCode(ctx, entity, ctx.params.code))) {
+				await this.loginFailed(ctx, user);
+				throw new MoleculerClientError("Invalid 2FA token!", 400, "TWOFACTOR_INVALID_TOKEN");
 			}
+
+			await this.resetLockout(user);
+
+			const res = await this.getTokens(ctx, user);
+			if (ctx.params.rememberDevice)
+				Object.assign(res, await this.trustDevice(ctx, user));
+
+			return res;
 		},
 
 		/**
-		 * Send login magic link to user email
+		 * Remember the device of the request to skip the 2FA of the next logins.
+		 * The signed token has no `id` claim, so it is not accepted as an access token.
 		 *
 		 * @param {Context} ctx
 		 * @param {Object} user
+		 * @returns {Promise<Object>} `{ deviceToken, deviceTokenExpires }` or empty object if it is disabled
 		 */
-		async sendMagicLink(ctx, user) {
-			const token = this.generateToken();
+		async trustDevice(ctx, user) {
+			const days = this.config["accounts.two-factor.trustedDevice.days"] != null ? Number(this.config["accounts.two-factor.trustedDevice.days"]) : 30;
+			if (!days)
+				return {};
+
+			const expiry = Date.now() + days * 24 * 60 * 60 * 1000;
+			const entity = await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_TRUSTED_DEVICE,
+				owner: user._id.toString(),
+				expiry,
+				data: {
+					userAgent: ctx.meta.userAgent,
+					ip: ctx.meta.ip
+				}
+			});
 
-			const usr = await this.adapter.updateById(user._id, { $set: {
-				passwordlessToken: token,
-				passwordlessTokenExpires: Date.now() + Number(process.env.ACCOUNTS_PASSWORDLESS_TOKEN_EXPIRES)
-			} });
+			return {
+				deviceToken: await this.generateJWT(ctx, { type: C.TOKEN_TYPE_TRUSTED_DEVICE, sub: user._id.toString(), did: entity.token }, `${days}d`),
+				deviceTokenExpires: expiry
+			};
+		},
 
-			return await this.sendMail(ctx, usr, "magic-link", { token });
+		/**
+		 * Revoke the session of a reused (rotated) refresh token
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} entity - Refresh token entity
+		 * @throws {MoleculerClientError}
+		 */
+		async refreshTokenReused(ctx, entity) {
+			this.logger.warn("Rotated refresh token is reused. Revoke the session.", { owner: entity.owner });
+			await this.revokeSessions(ctx, entity.owner, { ids: [entity.family] });
+			throw new MoleculerClientError("Refresh token has already been used!", 401, "ERR_REFRESH_TOKEN_REUSED");
 		},
-	},
 
-	/**
-	 * Events
-	 */
-	events: {
+		/**
+		 * Check the trusted device token of the user & refresh its last usage
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String?} token
+		 * @returns {Promise<Boolean>}
+		 */
+		async checkTrustedDevice(ctx, user, token) {
+			if (!token)
+				return false;
 
-	},
+			try {
+				const decoded = await this.verifyJWT(ctx, token);
+				if (decoded.type != C.TOKEN_TYPE_TRUSTED_DEVICE || !decoded.did || decoded.sub != user._id.toString())
+					return false;
 
-	/**
-	 * Methods
-	 */
-	methods: {
+				const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_TRUSTED_DEVICE, token: decoded.did, owner: decoded.sub });
+				if (!entity)
+					return false;
 
-		/**
-		 * Seed an empty collection with an `admin` and a `test` users.
-		 */
-		async seedDB() {
-			const res = await this.adapter.insertMany([
-				// Administrator
-				{
-					username: "admin",
-					password: await this.hashPassword("admin"),
-					firstName: "Administrator",
-					lastName: "",
-					email: "admin@ecameleon.com",
-					roles: ["administrator"],
-					socialLinks: {},
-					status: 1,
-					plan: "full",
-					verified: true,
-					passwordless: false,
-					createdAt: Date.now(),
-				},
+				await ctx.call("v1.tokens.use", { id: entity._id });
 
-				// Test user
-				{
-					username: "test",
-					password: await this.hashPassword("test"),
-					firstName: "Test",
-					lastName: "User",
-					email: "test@ecameleon.com",
-					roles: ["user"],
-					socialLinks: {},
-					status: 1,
-					plan: "free",
-					verified: true,
-					passwordless: false,
-					createdAt: Date.now(),
-				}
-			]);
+				return true;
+			} catch(err) {
+				this.logger.debug("Invalid trusted device token.", err.message);
+				return false;
+			}
+		},
 
-			this.logger.info(`Generated ${res.length} users.`);
+		/**
+		 * Hash a 2FA code for storing
+		 *
+		 * @param {String} challenge
+		 * @param {String} code
+		 * @returns {String}
+		 */
+		hash2FaCode(challenge, code) {
+			return crypto.createHash("sha256").update(`${challenge}:${code.trim()}`).digest("hex");
 		},
 
 		/**
-		 * Hashing a plaintext password
+		 * Normalize a phone number to E.164 format
 		 *
-		 * @param {String} pass
-		 * @returns {Promise} hashed password
+		 * @param {String} phone
+		 * @returns {String?} `null` if invalid
 		 */
-		async hashPassword(pass) {
-			return bcrypt.hash(pass, Number(process.env.ACCOUNTS_HASH_SALT_ROUND));
+		normalizePhone(phone) {
+			const normalized = phone.replace(/[\s\-().]/g, "");
+			return /^\+[1-9]\d{6,14}$/.test(normalized) ? normalized : null;
 		},
 
 		/**
-		 * Generate a token
+		 * Verify a TOTP token
 		 *
-		 * @param {Number} len Token length
+		 * @param {String} secret - Base32 secret
+		 * @param {String} token
+		 * @returns {Promise<Boolean>}
 		 */
-		generateToken(len = 25) {
-			return crypto.randomBytes(len).toString("hex");
+		async verify2FA(secret, token) {
+			return speakeasy.totp.verify({
+				secret,
+				encoding: "base32",
+				token,
+				window: 1
+			});
 		},
 
 		/**
-		 * Get user by email
+		 * Generate the current TOTP token
 		 *
-		 * @param {Context} ctx
-		 * @param {String} email
+		 * @param {String} secret - Base32 secret
+		 * @returns {String}
 		 */
-		async getUserByEmail(ctx, email) {
-			return await this.adapter.findOne({ email });
+		generate2FaToken(secret) {
+			return speakeasy.totp({
+				secret,
+				encoding: "base32"
+			});
 		},
 
 		/**
-		 * Get user by username
+		 * Generate new 2FA recovery codes (`xxxx-xxxx-xxxx-xxxx`) & remove the old ones.
+		 * The codes are stored hashed in the tokens service.
 		 *
 		 * @param {Context} ctx
-		 * @param {String} username
+		 * @param {Object} user
+		 * @returns {Promise<Array<String>>} Plaintext recovery codes
 		 */
-		async getUserByUsername(ctx, username) {
-			return await this.adapter.findOne({ username });
+		async generateRecoveryCodes(ctx, user) {
+			const owner = user._id.toString();
+			await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_RECOVERY_CODE, owner });
+
+			const count = Number(this.config["accounts.two-factor.recoveryCodes"]) || 10;
+			const codes = _.times(count, () => this.generateToken(8).match(/.{4}/g).join("-"));
+
+			await this.Promise.all(codes.map(code => ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_RECOVERY_CODE,
+				owner,
+				token: this.normalizeRecoveryCode(code)
+			})));
+
+			return codes;
 		},
 
 		/**
-		 * Send email to the user email address
+		 * Use a 2FA recovery code. A used code is removed & the user is notified in email.
 		 *
 		 * @param {Context} ctx
 		 * @param {Object} user
-		 * @param {String} template
-		 * @param {Object?} data
+		 * @param {String} code
+		 * @returns {Promise<Boolean>} `false` if the code is not valid
 		 */
-		async sendMail(ctx, user, template, data) {
-			if (!this.config["mail.enabled"])
-				return this.Promise.resolve(false);
+		async useRecoveryCode(ctx, user, code) {
+			const owner = user._id.toString();
+			const entity = await ctx.call("v1.tokens.check", {
+				type: C.TOKEN_TYPE_RECOVERY_CODE,
+				token: this.normalizeRecoveryCode(code),
+				owner
+			});
+			if (!entity)
+				return false;
 
-			try {
-				return await ctx.call(this.settings.actions.sendMail, {
-					to: user.email,
-					template: template,
-					data: _.defaultsDeep(data, {
-						user,
-						siteUrl: this.config["site.url"],
-						siteName: this.config["site.name"]
-					})
-				}, { retries: 3, timeout: 10000 });
+			// Mark it as used atomically, the parallel logins can't redeem the same code
+			if (!(await ctx.call("v1.tokens.use", { id: entity._id, once: true })))
+				return false;
 
-			} catch(err) {
-				/* istanbul ignore next */
-				this.logger.error("Send mail error!", err);
-				/* istanbul ignore next */
-				throw err;
-			}
+			await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_RECOVERY_CODE, family: entity.family });
+
+			const remaining = await ctx.call("v1.tokens.count", { type: C.TOKEN_TYPE_RECOVERY_CODE, owner });
+			this.sendMail(ctx, user, "recovery-code-used", { remaining });
+
+			return true;
 		},
 
-		async getToken(user) {
-			return await this.generateJWT({ id: user._id.toString() });
+		/**
+		 * Normalize a recovery code for hashing (remove separators & whitespaces)
+		 *
+		 * @param {String} code
+		 * @returns {String}
+		 */
+		normalizeRecoveryCode(code) {
+			return code.replace(/[\s-]/g, "").toLowerCase();
 		},
 
 		/**
-		 * Generate a JWT token from user entity.
+		 * Re-check the password of the logged in user if the breached passwords dataset
+		 * has been updated since the last check. If it's breached, the user must reset
+		 * the password, the reset link is sent in email.
 		 *
-		 * @param {Object} payload
-		 * @param {String|Number} [expiresIn]
-		 * Expressed in seconds or a string describing a time span [zeit/ms](https://github.com/zeit/ms.js).  
-		 * Eg: 60, "2 days", "10h", "7d"
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {String} password - Plaintext password
 		 */
-		generateJWT(payload, expiresIn) {
-			return new this.Promise((resolve, reject) => {
-				const jwtExpiresIn = expiresIn || this.config["accounts.jwt.expiresIn"];
-				return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: jwtExpiresIn }, (err, token) => {
-					if (err) {
-						this.logger.warn("JWT token generation error:", err);
-						return reject(new MoleculerRetryableError("Unable to generate token", 500, "UNABLE_GENERATE_TOKEN"));
-					}
+		async checkBreachedPassword(ctx, user, password) {
+			if (!user.passwordResetRequired) {
+				const updatedAt = await this.getBreachedDatasetUpdatedAt();
+				if (this.getPasswordPolicy().breached == "off" || !updatedAt || user.passwordCheckedAt >= updatedAt)
+					return;
 
-					resolve(token);
-				});
-			});
+				if (!(await this.isBreachedPassword(password))) {
+					await this.adapter.updateById(user._id, { $set: {
+						passwordCheckedAt: Date.now()
+					} });
+					return;
+				}
+
+				this.logger.warn(`The password of '${user.email}' has been found in the breached passwords dataset.`);
+
+				const token = this.generateToken();
+				await this.adapter.updateById(user._id, { $set: {
+					passwordBreached: true,
+					passwordCheckedAt: Date.now(),
+					passwordResetRequired: true,
+					resetToken: token,
+					resetTokenExpires: Date.now() + Number(process.env.ACCOUNTS_RESET_TOKEN_EXPIRES)
+				} });
+
+				this.sendMail(ctx, user, "password-breached", { token });
+			}
+
+			throw new MoleculerClientError("Your password has appeared in a data breach. Please reset your password!", 400, "ERR_PASSWORD_RESET_REQUIRED");
 		},
 
 		/**
-		 * Verify a JWT token and return the decoded payload
+		 * Clear the failed login counters of the account
 		 *
-		 * @param {String} token
+		 * @param {Object} user
+		 * @param {Boolean?} force - Update even if there is no failed login
+		 * @returns {Object} Updated user
 		 */
-		verifyJWT(token) {
-			return new this.Promise((resolve, reject) => {
-				jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-					if (err) {
-						this.logger.warn("JWT verifying error:", err);
-						return reject(new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN"));
-					}
+		async resetLockout(user, force) {
+			if (!force && !user.failedLoginAttempts && !user.lockedUntil)
+				return user;
+
+			return await this.adapter.updateById(user._id, { $set: {
+				failedLoginAttempts: 0,
+				lastFailedLoginAt: null,
+				lockedUntil: null
+			} });
+		},
 
-					resolve(decoded);
-				});
+		/**
+		 * Remove the expired entries of the IP address counters
+		 */
+		clearExpiredIPAttempts() {
+			const now = Date.now();
+			const duration = Number(this.config["accounts.lockout.duration"]) || 0;
+
+			this.ipLoginAttempts.forEach((entry, ip) => {
+				if ((entry.lockedUntil || entry.lastFailedAt + duration) < now)
+					this.ipLoginAttempts.delete(ip);
 			});
 		},
 
 		/**
-		 * Link account to a social account
+		 * Purge the accounts whose deletion grace period is over, with their
+		 * sessions, API keys, authenticators, tokens & OAuth consents. The social links are
+		 * stored in the account entity, so they are removed with it.
+		 * The `accounts.deleted` event is broadcasted, so the other services
+		 * can erase their copies of the user data.
 		 */
-		async link(id, provider, profile) {
-			return await this.adapter.updateById(id, { $set: {
-				[`socialLinks.${provider}`]: profile.socialID,
-				verified: true, // if not verified yet via email
-				verificationToken: null
-			} });
+		async purgeDeletedAccounts() {
+			const now = Date.now();
+			const users = await this.adapter.find({ query: { status: 0, deleteAt: { $lte: now } } });
+
+			let count = 0;
+			for (const user of users) {
+				// Every node runs the timer. The account is claimed by postponing its deletion,
+				// so only one node purges it. If that node fails, it's retried after the postponement.
+				const claimed = await this.adapter.updateMany({ _id: user._id, deleteAt: user.deleteAt }, { $set: { deleteAt: now + this.settings.deletionCheckInterval } });
+				if (claimed == 0)
+					continue;
+
+				const owner = user._id.toString();
+				await this.broker.call("v1.sessions.removeByOwner", { owner });
+				await this.broker.call("v1.apikeys.removeByOwner", { owner });
+				await this.broker.call("v1.authenticators.removeByOwner", { owner });
+				await this.broker.call("v1.tokens.removeByOwner", { owner });
+				await this.broker.call("v1.oauth.removeByOwner", { owner });
+				await this.adapter.removeById(user._id);
+
+				this.logger.info(`Account '${owner}' has been deleted.`);
+				this.broker.broadcast("accounts.deleted", { id: owner, email: user.email });
+				count++;
+			}
+
+			if (count > 0)
+				this.clearTokenCache();
+
+			return count;
 		},
 
 		/**
@@ -912,20 +3552,30 @@ module.exports = {
 	 * Service created lifecycle event handler
 	 */
 	created() {
-
+		// Failed login counters of the IP addresses, local to this node (see `ipLoginFailed`)
+		this.ipLoginAttempts = new Map();
 	},
 
 	/**
 	 * Service started lifecycle event handler
 	 */
 	started() {
+		// Fail fast on the wrong hashing settings
+		this.validateHasherOptions();
 
+		this.ipCleanupTimer = setInterval(() => this.clearExpiredIPAttempts(), 60 * 1000);
+		this.deletionTimer = setInterval(() => {
+			this.purgeDeletedAccounts().catch(err => this.logger.error("Unable to purge the deleted accounts.", err));
+		}, this.settings.deletionCheckInterval);
 	},
 
 	/**
 	 * Service stopped lifecycle event handler
 	 */
 	stopped() {
-
+		if (this.ipCleanupTimer)
+			clearInterval(this.ipCleanupTimer);
+		if (this.deletionTimer)
+			clearInterval(this.deletionTimer);
 	}
 };
\ No newline at end of file
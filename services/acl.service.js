@@ -0,0 +1,407 @@
+"use strict";
+
+const _ 						= require("lodash");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+const { MoleculerClientError } 	= require("moleculer").Errors;
+const { match } 				= require("moleculer").Utils;
+
+/**
+ * acl service
+ */
+module.exports = {
+	name: "acl",
+	version: 1,
+
+	mixins: [
+		DbService("roles"),
+		CacheCleaner([
+			"cache.clean.acl"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			name: { type: "string", maxlength: 50, required: true },
+			description: { type: "string", maxlength: 255 },
+			permissions: { type: "array", default: [] },
+			inherits: { type: "array", default: [] },
+			status: { type: "number", default: 1 },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+			updatedAt: { type: "number", readonly: true, updateDefault: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ name: 1 }
+		]
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Check whether the given roles have access to any of the given
+		 * role or permission names (used by the CheckPermissions middleware).
+		 *
+		 * @actions
+		 * @param {Array<String>} roles - Roles of the logged in user (e.g. `ctx.meta.roles`)
+		 * @param {Array<String>} permissions - Required role or permission names
+		 *
+		 * @returns {Boolean}
+		 */
+		hasAccess: {
+			cache: {
+				keys: ["roles", "permissions"]
+			},
+			params: {
+				roles: { type: "array", items: "string" },
+				permissions: { type: "array", items: "string" }
+			},
+			async handler(ctx) {
+				return await this.hasAccess(ctx.params.roles, ctx.params.permissions);
+			}
+		},
+
+		/**
+		 * Get all permissions of the given roles (including inherited roles)
+		 *
+		 * @actions
+		 * @param {Array<String>} roles
+		 *
+		 * @returns {Array<String>} Permission names
+		 */
+		getPermissions: {
+			cache: {
+				keys: ["roles"]
+			},
+			params: {
+				roles: { type: "array", items: "string" }
+			},
+			async handler(ctx) {
+				const roles = await this.resolveRoles(ctx.params.roles);
+				return this.collectPermissions(roles);
+			}
+		},
+
+		/**
+		 * Create a new role
+		 */
+		createRole: {
+			params: {
+				name: { type: "string", min: 2 },
+				description: { type: "string", optional: true },
+				permissions: { type: "array", items: "string", optional: true },
+				inherits: { type: "array", items: "string", optional: true }
+			},
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const params = ctx.params;
+
+				this.validateRoleName(params.name);
+
+				const found = await this.getRoleByName(params.name);
+				if (found)
+					throw new MoleculerClientError("Role has already been created.", 400, "ERR_ROLE_EXISTS");
+
+				const inherits = _.uniq(params.inherits || []);
+				await this.validateInherits(params.name, inherits);
+
+				const role = await this.adapter.insert({
+					name: params.name,
+					description: params.description,
+					permissions: _.uniq(params.permissions || []),
+					inherits,
+					status: 1,
+					createdAt: Date.now()
+				});
+
+				const json = await this.transformDocuments(ctx, {}, role);
+				await this.entityChanged("created", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Update the description, permissions or inherited roles of a role
+		 */
+		updateRole: {
+			params: {
+				id: { type: "string" },
+				description: { type: "string", optional: true },
+				permissions: { type: "array", items: "string", optional: true },
+				inherits: { type: "array", items: "string", optional: true },
+				status: { type: "number", optional: true }
+			},
+			// needEntity attribute triggers the FindEntity middleware
+			// which is populating the ctx.entity by finding it using the passed role id
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const role = ctx.entity;
+				const changes = _.pick(ctx.params, ["description", "status"]);
+
+				if (ctx.params.permissions)
+					changes.permissions = _.uniq(ctx.params.permissions);
+
+				if (ctx.params.inherits) {
+					changes.inherits = _.uniq(ctx.params.inherits);
+					await this.validateInherits(role.name, changes.inherits);
+				}
+
+				changes.updatedAt = Date.now();
+
+				const res = await this.adapter.updateById(role._id, { $set: changes });
+
+				const json = await this.transformDocuments(ctx, {}, res);
+				await this.entityChanged("updated", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Delete a role
+		 */
+		deleteRole: {
+			params: {
+				id: { type: "string" }
+			},
+			// needEntity attribute triggers the FindEntity middleware
+			// which is populating the ctx.entity by finding it using the passed role id
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const role = ctx.entity;
+
+				const children = await this.adapter.find({ query: { inherits: role.name } });
+				if (children.length > 0)
+					throw new MoleculerClientError("Role is inherited by other roles!", 400, "ERR_ROLE_IN_USE", { roles: children.map(r => r.name) });
+
+				await this.adapter.removeById(role._id);
+
+				const json = await this.transformDocuments(ctx, {}, role);
+				await this.entityChanged("removed", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Grant a permission to a role
+		 */
+		grant: {
+			params: {
+				id: { type: "string" },
+				permission: { type: "string" }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const role = ctx.entity;
+
+				const res = await this.adapter.updateById(role._id, {
+					$addToSet: { permissions: ctx.params.permission },
+					$set: { updatedAt: Date.now() }
+				});
+
+				const json = await this.transformDocuments(ctx, {}, res);
+				await this.entityChanged("updated", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Revoke a permission from a role
+		 */
+		revoke: {
+			params: {
+				id: { type: "string" },
+				permission: { type: "string" }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const role = ctx.entity;
+
+				const res = await this.adapter.updateById(role._id, {
+					$pull: { permissions: ctx.params.permission },
+					$set: { updatedAt: Date.now() }
+				});
+
+				const json = await this.transformDocuments(ctx, {}, res);
+				await this.entityChanged("updated", json, ctx);
+
+				return json;
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Seed an empty collection with the default roles.
+		 */
+		async seedDB() {
+			const res = await this.adapter.insertMany([
+				// Administrator has all permissions
+				{
+					name: "administrator",
+					description: "System administrator",
+					permissions: ["**"],
+					inherits: ["user"],
+					status: 1,
+					createdAt: Date.now(),
+				},
+
+				// Registered user
+				{
+					name: "user",
+					description: "Registered user",
+					permissions: [],
+					inherits: [],
+					status: 1,
+					createdAt: Date.now(),
+				}
+			]);
+
+			this.logger.info(`Generated ${res.length} roles.`);
+		},
+
+		/**
+		 * Get a role by name
+		 *
+		 * @param {String} name
+		 */
+		async getRoleByName(name) {
+			return await this.adapter.findOne({ name });
+		},
+
+		/**
+		 * Check a role name. Role names can't start with `$`
+		 * (internal special role marker) and can't contain `:`
+		 * (permission separator).
+		 *
+		 * @param {String} name
+		 */
+		validateRoleName(name) {
+			if (name.startsWith("$") || name.indexOf(":") !== -1)
+				throw new MoleculerClientError("Invalid role name!", 400, "ERR_INVALID_ROLE_NAME", { name });
+		},
+
+		/**
+		 * Check that all inherited roles exist and the inheritance
+		 * doesn't create a loop.
+		 *
+		 * @param {String} name Name of the inheriting role
+		 * @param {Array<String>} inherits
+		 */
+		async validateInherits(name, inherits) {
+			if (inherits.length == 0)
+				return;
+
+			const found = await this.adapter.find({ query: { name: { $in: inherits } } });
+			const missing = _.difference(inherits, found.map(role => role.name));
+			if (missing.length > 0)
+				throw new MoleculerClientError("Inherited role not found!", 400, "ERR_ROLE_NOT_FOUND", { roles: missing });
+
+			const ancestors = await this.resolveRoles(inherits, false);
+			if (ancestors.some(role => role.name == name))
+				throw new MoleculerClientError("Circular role inheritance!", 400, "ERR_ROLE_CIRCULAR_INHERITANCE", { name });
+		},
+
+		/**
+		 * Load the role entities by names, following the inheritance chain.
+		 * Special roles (starting with `$`) have no entity, they are skipped.
+		 *
+		 * @param {Array<String>} names
+		 * @param {Boolean} activeOnly Skip disabled roles (and their parents)
+		 * @returns {Array<Object>} Role entities
+		 */
+		async resolveRoles(names, activeOnly = true) {
+			const resolved = new Map();
+			const loadLevel = async pending => {
+				if (pending.length == 0)
+					return;
+
+				const roles = await this.adapter.find({ query: { name: { $in: pending } } });
+
+				const parents = [];
+				roles.forEach(role => {
+					if (resolved.has(role.name) || (activeOnly && role.status !== 1))
+						return;
+
+					resolved.set(role.name, role);
+					if (Array.isArray(role.inherits))
+						parents.push(...role.inherits.filter(name => !resolved.has(name)));
+				});
+
+				return loadLevel(_.uniq(parents));
+			};
+
+			await loadLevel(_.uniq(names.filter(name => !name.startsWith("$"))));
+
+			return Array.from(resolved.values());
+		},
+
+		/**
+		 * Collect the unique permission names of role entities
+		 *
+		 * @param {Array<Object>} roles
+		 * @returns {Array<String>}
+		 */
+		collectPermissions(roles) {
+			return _.uniq(_.flatten(roles.map(role => role.permissions || [])));
+		},
+
+		/**
+		 * Check whether the roles have access to any of the required
+		 * role or permission names.
+		 *
+		 * Special roles are matched against the given roles directly:
+		 * 	- `$everyone` always has access
+		 * 	- `$authenticated` & `$system` have access if they are in the roles
+		 *
+		 * Other names are matched against the (inherited) role names first,
+		 * then against the role permissions, which can contain wildcards (e.g. `accounts.*`).
+		 *
+		 * @param {Array<String>} roles
+		 * @param {Array<String>} permissions
+		 * @returns {Boolean}
+		 */
+		async hasAccess(roles, permissions) {
+			if (permissions.indexOf(C.ROLE_EVERYONE) !== -1)
+				return true;
+
+			const specials = permissions.filter(p => p.startsWith("$"));
+			if (specials.some(p => roles.indexOf(p) !== -1))
+				return true;
+
+			const required = _.difference(permissions, specials);
+			if (required.length == 0)
+				return false;
+
+			const resolved = await this.resolveRoles(roles);
+			const roleNames = resolved.map(role => role.name);
+			if (required.some(p => roleNames.indexOf(p) !== -1))
+				return true;
+
+			const granted = this.collectPermissions(resolved);
+			return required.some(p => granted.some(perm => match(p, perm)));
+		}
+	}
+};
@@ -1,9 +1,11 @@
 "use strict";
 
 const ApiGateway 										= require("moleculer-web");
-const { UnAuthorizedError } 				= ApiGateway.Errors;
+const { UnAuthorizedError, ForbiddenError } = ApiGateway.Errors;
 
+const { Utils } 										= require("moleculer");
 const _ 														= require("lodash");
+const cookie 												= require("cookie");
 const helmet 												= require("helmet");
 const { ApolloService } 						= require("moleculer-apollo-server");
 
@@ -26,6 +28,19 @@ module.exports = {
 		PassportMixin({
 			routePath: "/auth",
 			localAuthAlias: "v1.accounts.login",
+			refreshTokenAlias: "v1.accounts.refreshToken",
+			logoutAlias: "v1.accounts.logout",
+			twoFactorAliases: {
+				email: "v1.accounts.verifyEmail2Fa",
+				sms: "v1.accounts.verifySms2Fa"
+			},
+			trustedDeviceCookie: "trusted-device",
+			webauthnAliases: {
+				"register/begin": "v1.accounts.webauthnRegisterBegin",
+				"register/finish": "v1.accounts.webauthnRegisterFinish",
+				"login/begin": "v1.accounts.webauthnLoginBegin",
+				"login/finish": "v1.accounts.webauthnLoginFinish"
+			},
 			successRedirect: "/",
 			providers: {
 				google: process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET,
@@ -97,6 +112,9 @@ module.exports = {
 	settings: {
 		port: process.env.SITE_PORT,
 
+		// Addresses of the reverse proxies. The `X-Forwarded-For` header is honored only from them
+		trustedProxies: process.env.TRUSTED_PROXIES ? process.env.TRUSTED_PROXIES.split(",").map(ip => ip.trim()) : [],
+
 		use: [
 			helmet()
 		],
@@ -136,12 +154,27 @@ module.exports = {
 					urlencoded: { extended: true, limit: "2MB" }
 				},
 
+				aliases: {
+					"GET /me": "v1.accounts.me",
+					"PUT /me": "v1.accounts.updateProfile"
+				},
+
 				onBeforeCall(ctx, route, req, res) {
 					return new this.Promise(resolve => {
 						this.logger.info("async onBeforeCall in public. Action:", ctx.action.name);
 						ctx.meta.userAgent = req.headers["user-agent"];
+						ctx.meta.ip = this.getClientIP(req);
 						//ctx.meta.headers = req.headers;
+						// The anonymous requests are checked by the CheckPermissions middleware as well
+						ctx.meta.roles = [C.ROLE_EVERYONE];
 						resolve();
+					}).then(() => {
+						// The user is optional, the profile actions need it
+						if (this.getApiKey(req) || this.getAuthToken(req)) {
+							return this.authenticate(ctx, req, route)
+								.then(user => ctx.meta.user = user)
+								.catch(err => this.logger.debug("API request with invalid token.", err.message));
+						}
 					});
 				},
 
@@ -154,6 +187,74 @@ module.exports = {
 				},
 			},
 
+			{
+				// Well-known URIs (RFC 8615)
+				path: "/.well-known",
+
+				cors: {
+					origin: "*",
+					methods: ["GET", "OPTIONS"]
+				},
+
+				aliases: {
+					"GET /jwks.json": "v1.keys.jwks",
+					"GET /openid-configuration": "v1.oauth.openidConfiguration"
+				},
+
+				mappingPolicy: "restrict"
+			},
+
+			{
+				// OAuth 2.0 authorization server
+				path: "/oauth",
+
+				bodyParsers: {
+					json: true,
+					urlencoded: { extended: true }
+				},
+
+				aliases: {
+					"GET /authorize": "v1.oauth.authorize",
+					"POST /authorize": "v1.oauth.consent",
+					"POST /token": "v1.oauth.token",
+					"GET /userinfo": "v1.oauth.userinfo",
+					"POST /userinfo": "v1.oauth.userinfo"
+				},
+
+				mappingPolicy: "restrict",
+
+				// Actions accepting the access tokens issued to OAuth clients (checked by `authenticate`)
+				oauthTokenActions: ["v1.oauth.userinfo"],
+
+				onBeforeCall(ctx, route, req) {
+					ctx.meta.userAgent = req.headers["user-agent"];
+					ctx.meta.ip = this.getClientIP(req);
+					ctx.meta.clientCredentials = this.getClientCredentials(req);
+					// The anonymous requests are checked by the CheckPermissions middleware as well
+					ctx.meta.roles = [C.ROLE_EVERYONE];
+
+					// The user is optional, the authorization endpoint redirects to the login page
+					if (this.getAuthToken(req)) {
+						return this.authorize(ctx, route, req)
+							.then(user => ctx.meta.user = user)
+							.catch(err => this.logger.debug("OAuth request with invalid token.", err.message));
+					}
+				},
+
+				// OAuth error response (RFC 6749 5.2, RFC 6750 3.1)
+				onError(req, res, err) {
+					if (err.type == "invalid_token" || err.type == "insufficient_scope")
+						res.setHeader("WWW-Authenticate", `Bearer error="${err.type}"`);
+
+					res.setHeader("Content-Type", "application/json; charset=utf-8");
+					res.writeHead(err.code >= 400 && err.code < 600 ? err.code : 500);
+					res.end(JSON.stringify({
+						error: err.type == "VALIDATION_ERROR" ? "invalid_request" : err.type || "server_error",
+						error_description: err.message
+					}));
+				}
+			},
+
 			{
 				// Path prefix to this route
 				path: "/admin",
@@ -173,6 +274,8 @@ module.exports = {
 				// Whitelist of actions (array of string mask or regex)
 				whitelist: [
 					"v1.users.*",
+					"v1.accounts.disable",
+					"v1.accounts.enable",
 					"$node.*"
 				],
 
@@ -180,9 +283,13 @@ module.exports = {
 
 				autoAliases: true,
 
-				aliases: {},
+				aliases: {
+					"POST /accounts/:id/disable": "v1.accounts.disable",
+					"POST /accounts/:id/enable": "v1.accounts.enable"
+				},
 
-				//roles: [C.ROLE_SYSTEM],
+				// Only for machine clients & administrators (checked by `authorize`)
+				roles: [C.ROLE_SYSTEM, "administrator"],
 
 				onBeforeCall(ctx, route, req, res) {
 					this.logger.info("onBeforeCall in protected route");
@@ -223,7 +330,7 @@ module.exports = {
 	methods: {
 
 		/**
-		 * Authorize the request
+		 * Authorize the request. If the route has `roles`, the caller must have one of them.
 		 *
 		 * @param {Context} ctx
 		 * @param {Object} route
@@ -231,6 +338,151 @@ module.exports = {
 		 * @returns {Promise}
 		 */
 		async authorize(ctx, route, req) {
+			const res = await this.authenticate(ctx, req, route);
+
+			if (route.opts.roles) {
+				const hasAccess = await ctx.call("v1.acl.hasAccess", { roles: ctx.meta.roles, permissions: route.opts.roles });
+				if (hasAccess !== true)
+					throw new ForbiddenError("ERR_HAS_NO_ACCESS");
+			}
+
+			return res;
+		},
+
+		/**
+		 * Authenticate the user or the machine client of the request
+		 * by the personal API key or by the JWT token.
+		 * The access tokens issued to OAuth clients are accepted only by
+		 * the `oauthTokenActions` of the route, they don't give access to the account.
+		 * The API keys with scopes are accepted only by the actions matched by the scopes.
+		 *
+		 * @param {Context} ctx
+		 * @param {IncomingRequest} req
+		 * @param {Object} route
+		 * @returns {Promise}
+		 */
+		async authenticate(ctx, req, route) {
+			ctx.meta.roles = [C.ROLE_EVERYONE];
+
+			const apiKey = this.getApiKey(req);
+			if (apiKey) {
+				const user = await ctx.call("v1.accounts.resolveApiKey", { key: apiKey });
+
+				if (!this.isApiKeyScopeGranted(user.scope, req.$action))
+					return Promise.reject(new ForbiddenError("ERR_API_KEY_SCOPE"));
+
+				this.logger.info("User authenticated via API key.", { username: user.username, email: user.email, id: user.id });
+
+				return this.setUserMeta(ctx, user, {
+					apiKeyID: user.apiKeyID,
+					scope: user.scope
+				});
+			}
+
+			const token = this.getAuthToken(req);
+
+			if (token) {
+
+				// Verify JWT token
+				const user = await ctx.call("v1.accounts.resolveToken", { token });
+
+				if (user && user.clientID) {
+					this.logger.info("Client authenticated via JWT.", { clientID: user.clientID, name: user.name });
+
+					ctx.meta.roles.push(C.ROLE_SYSTEM);
+
+					Object.assign(ctx.meta, {
+						token,
+						clientID: user.clientID,
+						scope: user.scope
+					});
+
+					return _.pick(user, ["clientID", "name"]);
+				}
+
+				if (user && user.twoFactorEnrollment) {
+					this.logger.info("User authenticated via 2FA enrollment token.", { username: user.username, email: user.email, id: user.id });
+
+					// Only the actions of the 2FA setup are permitted, not the roles of the user
+					ctx.meta.roles.push(C.ROLE_TWOFACTOR_ENROLLMENT);
+
+					Object.assign(ctx.meta, {
+						token,
+						userID: user.id,
+						twoFactorEnrollment: true
+					});
+
+					return _.pick(user, ["id", "email", "username", "firstName", "lastName", "avatar"]);
+				}
+
+				if (user && user.audience) {
+					const actions = route.opts.oauthTokenActions || [];
+					if (!req.$action || actions.indexOf(req.$action.name) === -1)
+						return Promise.reject(new UnAuthorizedError());
+				}
+
+				if (user) {
+					this.logger.info("User authenticated via JWT.", { username: user.username, email: user.email, id: user.id });
+
+					return this.setUserMeta(ctx, user, {
+						token,
+						sessionID: user.sessionID,
+						// Scopes of the tokens issued to OAuth clients
+						scope: user.scope
+					});
+				}
+
+				return Promise.reject(new UnAuthorizedError());
+			}
+
+			return Promise.reject(new UnAuthorizedError());
+		},
+
+		/**
+		 * Check the scopes of an API key against the called action.
+		 * The scopes are action name masks (e.g. `v1.boards.*`),
+		 * a key without scopes can call every action of the owner.
+		 *
+		 * @param {String} scope - Space-separated scopes of the key
+		 * @param {Object?} action - Called action
+		 * @returns {Boolean}
+		 */
+		isApiKeyScopeGranted(scope, action) {
+			const scopes = scope ? scope.split(" ") : [];
+			if (scopes.length == 0)
+				return true;
+
+			return !!action && scopes.some(mask => Utils.match(action.name, mask));
+		},
+
+		/**
+		 * Set the roles & the meta of the authenticated user
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user - Resolved user
+		 * @param {Object} meta - Additional meta fields
+		 * @returns {Object} Reduced user
+		 */
+		setUserMeta(ctx, user, meta) {
+			ctx.meta.roles.push(C.ROLE_AUTHENTICATED);
+
+			if (Array.isArray(user.roles))
+				ctx.meta.roles.push(...user.roles);
+
+			Object.assign(ctx.meta, { userID: user.id }, meta);
+
+			// Reduce user fields (it will be transferred to other nodes)
+			return _.pick(user, ["id", "email", "username", "firstName", "lastName", "avatar"]);
+		},
+
+		/**
+		 * Get the JWT token of the request from the cookie
+		 * or from the Authorization header
+		 *
+		 * @param {IncomingRequest} req
+		 * @returns {String?}
+		 */
+		getAuthToken(req) {
 			let token;
 
 			// Try get JWT token from Cookie
@@ -248,32 +500,72 @@ module.exports = {
 				}
 			}
 
-			ctx.meta.roles = [C.ROLE_EVERYONE];
-
-			if (token) {
+			return token;
+		},
 
-				// Verify JWT token
-				const user = await ctx.call("v1.accounts.resolveToken", { token });
-				
-				if (user) {
-					this.logger.info("User authenticated via JWT.", { username: user.username, email: user.email, id: user.id });
+		/**
+		 * Get the personal API key from the Authorization header
+		 * (`Authorization: ApiKey <key>`)
+		 *
+		 * @param {IncomingRequest} req
+		 * @returns {String?}
+		 */
+		getApiKey(req) {
+			const auth = req.headers.authorization;
+			if (!auth || auth.split(" ")[0] !== "ApiKey")
+				return null;
 
-					ctx.meta.roles.push(C.ROLE_AUTHENTICATED);
+			return auth.split(" ")[1] || null;
+		},
 
-					if (Array.isArray(user.roles))
-						ctx.meta.roles.push(...user.roles);
+		/**
+		 * Get the OAuth client credentials from the HTTP Basic
+		 * Authorization header (RFC 6749 2.3.1)
+		 *
+		 * @param {IncomingRequest} req
+		 * @returns {Object?} `{ clientID, clientSecret }`
+		 */
+		getClientCredentials(req) {
+			const auth = req.headers.authorization;
+			if (!auth || auth.split(" ")[0] !== "Basic")
+				return null;
 
-					ctx.meta.token = token;
-					ctx.meta.userID = user.id;
+			const decoded = Buffer.from(auth.split(" ")[1] || "", "base64").toString();
+			const idx = decoded.indexOf(":");
+			if (idx === -1)
+				return null;
 
-					// Reduce user fields (it will be transferred to other nodes)
-					return _.pick(user, ["id", "email", "username", "firstName", "lastName", "avatar"]);
-				}
+			try {
+				return {
+					clientID: decodeURIComponent(decoded.substring(0, idx)),
+					clientSecret: decodeURIComponent(decoded.substring(idx + 1))
+				};
+			} catch(err) {
+				// Malformed percent-encoding
+				return null;
+			}
+		},
 
-				return Promise.reject(new UnAuthorizedError());
+		/**
+		 * Get the IP address of the client.
+		 * The `X-Forwarded-For` header can be forged by anyone, so it's
+		 * read only behind the `trustedProxies`, from right to left.
+		 *
+		 * @param {IncomingRequest} req
+		 * @returns {String}
+		 */
+		getClientIP(req) {
+			const trusted = ip => this.settings.trustedProxies.indexOf(ip.replace(/^::ffff:/, "")) !== -1;
+
+			let ip = req.connection ? req.connection.remoteAddress : undefined;
+			const forwarded = req.headers["x-forwarded-for"];
+			if (ip && forwarded) {
+				const chain = forwarded.split(",").map(addr => addr.trim()).filter(addr => !!addr);
+				while (trusted(ip) && chain.length > 0)
+					ip = chain.pop();
 			}
 
-			return Promise.reject(new UnAuthorizedError());
+			return ip;
 		},
 
 		async signInSocialUser(params, cb) {
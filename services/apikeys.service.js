@@ -0,0 +1,214 @@
+"use strict";
+
+const _ 						= require("lodash");
+const crypto 					= require("crypto");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+
+/**
+ * apikeys service
+ *
+ * Personal API keys of the users for scripts & CI jobs which can't do
+ * interactive login. The keys are stored hashed, only a short prefix
+ * is kept in plaintext to recognize them in the lists.
+ */
+module.exports = {
+	name: "apikeys",
+	version: 1,
+
+	mixins: [
+		DbService("apikeys"),
+		CacheCleaner([
+			"cache.clean.apikeys"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			owner: { type: "string", required: true },
+			name: { type: "string", maxlength: 100, required: true },
+			key: { type: "string", required: true, hidden: true },
+			prefix: { type: "string", readonly: true },
+			scopes: { type: "array", default: [] },
+			expiresAt: { type: "number" },
+			lastUsedAt: { type: "number" },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ key: 1 },
+			{ owner: 1 }
+		],
+
+		// Prefix of the generated keys
+		keyPrefix: "kt_",
+
+		// Minimum time between two `lastUsedAt` updates (in ms)
+		usageUpdateInterval: 60 * 1000
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Create a new API key
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {String} name - Name of the key (e.g. "CI deploy")
+		 * @param {Array<String>?} scopes - Granted scopes
+		 * @param {Number?} expiresAt - Expiration timestamp
+		 *
+		 * @returns {Object} API key entity with the plaintext `key`
+		 */
+		create: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				name: { type: "string" },
+				scopes: { type: "array", items: "string", optional: true },
+				expiresAt: { type: "number", optional: true }
+			},
+			async handler(ctx) {
+				const key = this.settings.keyPrefix + crypto.randomBytes(32).toString("hex");
+
+				const entity = await this.adapter.insert({
+					owner: ctx.params.owner,
+					name: ctx.params.name,
+					key: this.secureKey(key),
+					prefix: key.slice(0, this.settings.keyPrefix.length + 8),
+					scopes: _.uniq(ctx.params.scopes || []),
+					expiresAt: ctx.params.expiresAt || null,
+					lastUsedAt: null,
+					createdAt: Date.now()
+				});
+
+				const json = await this.transformDocuments(ctx, {}, entity);
+				json.key = key;
+
+				return json;
+			}
+		},
+
+		/**
+		 * List the API keys of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Array<Object>} API key entities
+		 */
+		listByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const keys = await this.adapter.find({
+					query: { owner: ctx.params.owner },
+					sort: ["-createdAt"]
+				});
+
+				return await this.transformDocuments(ctx, {}, keys);
+			}
+		},
+
+		/**
+		 * Get a not-expired API key by the plaintext value & refresh the last usage
+		 *
+		 * @actions
+		 * @param {String} key - Plaintext API key
+		 *
+		 * @returns {Object?} API key entity or `null` if not found or expired
+		 */
+		resolve: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				key: { type: "string" }
+			},
+			async handler(ctx) {
+				let entity = await this.adapter.findOne({ key: this.secureKey(ctx.params.key) });
+				if (!entity || (entity.expiresAt && entity.expiresAt < Date.now()))
+					return null;
+
+				if (!entity.lastUsedAt || Date.now() - entity.lastUsedAt > this.settings.usageUpdateInterval) {
+					entity = await this.adapter.updateById(entity._id, { $set: {
+						lastUsedAt: Date.now()
+					} });
+				}
+
+				return await this.transformDocuments(ctx, {}, entity);
+			}
+		},
+
+		/**
+		 * Revoke (remove) an API key of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {String} id - API key ID
+		 *
+		 * @returns {Boolean} `false` if the key is not found
+		 */
+		revoke: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				id: { type: "string" }
+			},
+			async handler(ctx) {
+				const keys = await this.adapter.find({ query: { owner: ctx.params.owner } });
+				const entity = keys.find(key => key._id.toString() == ctx.params.id);
+				if (!entity)
+					return false;
+
+				await this.adapter.removeById(entity._id);
+
+				return true;
+			}
+		},
+
+		/**
+		 * Remove all API keys of a user (on deleting the account)
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Number} Count of removed API keys
+		 */
+		removeByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				return await this.adapter.removeMany({ owner: ctx.params.owner });
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Hash a plaintext API key for storing
+		 *
+		 * @param {String} key
+		 */
+		secureKey(key) {
+			return crypto.createHash("sha256").update(key).digest("hex");
+		}
+	}
+};
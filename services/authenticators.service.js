@@ -0,0 +1,271 @@
+"use strict";
+
+const _ 						= require("lodash");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+
+/**
+ * authenticators service
+ *
+ * WebAuthn credentials (passkeys, security keys) of the users.
+ * The ceremonies are verified by the `accounts` service, this service
+ * only stores the public keys & the signature counters.
+ */
+module.exports = {
+	name: "authenticators",
+	version: 1,
+
+	mixins: [
+		DbService("authenticators"),
+		CacheCleaner([
+			"cache.clean.authenticators"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			owner: { type: "string", required: true },
+			name: { type: "string", maxlength: 100, required: true },
+			// Base64URL encoded credential ID
+			credentialID: { type: "string", required: true },
+			// PEM encoded public key
+			publicKey: { type: "string", required: true, hidden: true },
+			// COSE algorithm identifier
+			algorithm: { type: "number", required: true },
+			counter: { type: "number", default: 0 },
+			transports: { type: "array", default: [] },
+			aaguid: { type: "string" },
+			lastUsedAt: { type: "number" },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ credentialID: 1 },
+			{ owner: 1 }
+		]
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Store a new authenticator
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {String} name - Name of the authenticator (e.g. "YubiKey")
+		 * @param {String} credentialID - Base64URL encoded credential ID
+		 * @param {String} publicKey - PEM encoded public key
+		 * @param {Number} algorithm - COSE algorithm identifier
+		 * @param {Number?} counter - Signature counter
+		 * @param {Array<String>?} transports - Transport hints of the authenticator
+		 * @param {String?} aaguid - Model of the authenticator
+		 *
+		 * @returns {Object} Authenticator entity
+		 */
+		create: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				name: { type: "string" },
+				credentialID: { type: "string" },
+				publicKey: { type: "string" },
+				algorithm: { type: "number" },
+				counter: { type: "number", optional: true },
+				transports: { type: "array", items: "string", optional: true },
+				aaguid: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const entity = await this.adapter.insert({
+					owner: ctx.params.owner,
+					name: ctx.params.name,
+					credentialID: ctx.params.credentialID,
+					publicKey: ctx.params.publicKey,
+					algorithm: ctx.params.algorithm,
+					counter: ctx.params.counter || 0,
+					transports: _.uniq(ctx.params.transports || []),
+					aaguid: ctx.params.aaguid || null,
+					lastUsedAt: null,
+					createdAt: Date.now()
+				});
+
+				return await this.transformDocuments(ctx, {}, entity);
+			}
+		},
+
+		/**
+		 * List the authenticators of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Array<Object>} Authenticator entities
+		 */
+		listByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const entities = await this.adapter.find({
+					query: { owner: ctx.params.owner },
+					sort: ["-createdAt"]
+				});
+
+				return await this.transformDocuments(ctx, {}, entities);
+			}
+		},
+
+		/**
+		 * Get an authenticator by the credential ID
+		 *
+		 * @actions
+		 * @param {String} credentialID - Base64URL encoded credential ID
+		 *
+		 * @returns {Object?} Authenticator entity with the `publicKey` or `null` if not found
+		 */
+		resolve: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				credentialID: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await this.adapter.findOne({ credentialID: ctx.params.credentialID });
+				if (!entity)
+					return null;
+
+				const json = await this.transformDocuments(ctx, {}, entity);
+				json.publicKey = entity.publicKey;
+
+				return json;
+			}
+		},
+
+		/**
+		 * Store the signature counter of a successful assertion & refresh the last usage
+		 *
+		 * @actions
+		 * @param {String} id - Authenticator ID
+		 * @param {Number} counter - Signature counter
+		 *
+		 * @returns {Object} Authenticator entity
+		 */
+		used: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" },
+				counter: { type: "number" }
+			},
+			async handler(ctx) {
+				const entity = await this.adapter.updateById(ctx.params.id, { $set: {
+					counter: ctx.params.counter,
+					lastUsedAt: Date.now()
+				} });
+
+				return await this.transformDocuments(ctx, {}, entity);
+			}
+		},
+
+		/**
+		 * Rename an authenticator of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {String} id - Authenticator ID
+		 * @param {String} name - New name
+		 *
+		 * @returns {Object?} Authenticator entity or `null` if not found
+		 */
+		rename: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				id: { type: "string" },
+				name: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await this.findByOwner(ctx.params.owner, ctx.params.id);
+				if (!entity)
+					return null;
+
+				const res = await this.adapter.updateById(entity._id, { $set: {
+					name: ctx.params.name
+				} });
+
+				return await this.transformDocuments(ctx, {}, res);
+			}
+		},
+
+		/**
+		 * Revoke (remove) an authenticator of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {String} id - Authenticator ID
+		 *
+		 * @returns {Boolean} `false` if the authenticator is not found
+		 */
+		revoke: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				id: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await this.findByOwner(ctx.params.owner, ctx.params.id);
+				if (!entity)
+					return false;
+
+				await this.adapter.removeById(entity._id);
+
+				return true;
+			}
+		},
+
+		/**
+		 * Remove all authenticators of a user (on deleting the account)
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Number} Count of removed authenticators
+		 */
+		removeByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				return await this.adapter.removeMany({ owner: ctx.params.owner });
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Find an authenticator of a user
+		 *
+		 * @param {String} owner - User ID
+		 * @param {String} id - Authenticator ID
+		 * @returns {Promise<Object?>} Raw entity
+		 */
+		async findByOwner(owner, id) {
+			const entities = await this.adapter.find({ query: { owner } });
+			return entities.find(entity => entity._id.toString() == id);
+		}
+	}
+};
@@ -0,0 +1,235 @@
+"use strict";
+
+const _ 						= require("lodash");
+const crypto 					= require("crypto");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+const { MoleculerClientError } 	= require("moleculer").Errors;
+
+const GRANTS = ["authorization_code", "refresh_token", "client_credentials"];
+
+/**
+ * clients service
+ *
+ * Registered OAuth client applications. The client secrets are stored hashed,
+ * the plaintext secret is returned only once, on creating.
+ *
+ * Machine clients (other services) use the `client_credentials` grant,
+ * their tokens have the `$system` role.
+ */
+module.exports = {
+	name: "clients",
+	version: 1,
+
+	mixins: [
+		DbService("clients"),
+		CacheCleaner([
+			"cache.clean.clients"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			name: { type: "string", maxlength: 100, required: true },
+			clientID: { type: "string", readonly: true },
+			clientSecret: { type: "string", hidden: true },
+			// Confidential clients (web servers) have secret, public clients (SPA, mobile apps) must use PKCE
+			confidential: { type: "boolean", default: true },
+			redirectURIs: { type: "array", default: [] },
+			scopes: { type: "array", default: [] },
+			grants: { type: "array", default: ["authorization_code", "refresh_token"] },
+			status: { type: "number", default: 1 },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+			updatedAt: { type: "number", readonly: true, updateDefault: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ clientID: 1 }
+		]
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Register a new client application
+		 *
+		 * @actions
+		 * @param {String} name - Displayed on the consent page
+		 * @param {Array<String>} redirectURIs - Allowed redirect URIs
+		 * @param {Array<String>} scopes - Allowed scopes
+		 * @param {Boolean?} confidential - Generate a client secret
+		 * @param {Array<String>?} grants - Allowed grant types. Default is `authorization_code` & `refresh_token`
+		 *
+		 * @returns {Object} Client entity with the plaintext `clientSecret`
+		 */
+		createClient: {
+			params: {
+				name: { type: "string", min: 2 },
+				redirectURIs: { type: "array", items: "string", min: 1 },
+				scopes: { type: "array", items: "string", optional: true },
+				confidential: { type: "boolean", optional: true },
+				grants: { type: "array", items: { type: "enum", values: GRANTS }, min: 1, optional: true }
+			},
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const params = ctx.params;
+				const confidential = params.confidential !== false;
+				const grants = _.uniq(params.grants || ["authorization_code", "refresh_token"]);
+
+				if (!confidential && grants.indexOf("client_credentials") !== -1)
+					throw new MoleculerClientError("Client credentials grant is allowed only for confidential clients!", 400, "ERR_INVALID_CLIENT_GRANTS");
+
+				const secret = confidential ? this.generateToken(32) : null;
+
+				const client = await this.adapter.insert({
+					name: params.name,
+					clientID: this.generateToken(16),
+					clientSecret: secret ? this.secureToken(secret) : null,
+					confidential,
+					redirectURIs: _.uniq(params.redirectURIs),
+					scopes: _.uniq(params.scopes || []),
+					grants,
+					status: 1,
+					createdAt: Date.now()
+				});
+
+				const json = await this.transformDocuments(ctx, {}, client);
+				await this.entityChanged("created", json, ctx);
+
+				if (secret)
+					json.clientSecret = secret;
+
+				return json;
+			}
+		},
+
+		/**
+		 * Update a client application
+		 */
+		updateClient: {
+			params: {
+				id: { type: "string" },
+				name: { type: "string", min: 2, optional: true },
+				redirectURIs: { type: "array", items: "string", min: 1, optional: true },
+				scopes: { type: "array", items: "string", optional: true },
+				status: { type: "number", optional: true }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const changes = _.pick(ctx.params, ["name", "status"]);
+				if (ctx.params.redirectURIs)
+					changes.redirectURIs = _.uniq(ctx.params.redirectURIs);
+				if (ctx.params.scopes)
+					changes.scopes = _.uniq(ctx.params.scopes);
+
+				changes.updatedAt = Date.now();
+
+				const res = await this.adapter.updateById(ctx.entity._id, { $set: changes });
+
+				const json = await this.transformDocuments(ctx, {}, res);
+				await this.entityChanged("updated", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Delete a client application
+		 */
+		deleteClient: {
+			params: {
+				id: { type: "string" }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				await this.adapter.removeById(ctx.entity._id);
+
+				const json = await this.transformDocuments(ctx, {}, ctx.entity);
+				await this.entityChanged("removed", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Get an active client by client ID. If `clientSecret` is defined, it's verified.
+		 *
+		 * @actions
+		 * @param {String} clientID
+		 * @param {String?} clientSecret
+		 *
+		 * @returns {Object?} Client entity or `null` if not found or the secret is wrong
+		 */
+		resolveClient: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				clientID: { type: "string" },
+				clientSecret: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const client = await this.adapter.findOne({ clientID: ctx.params.clientID });
+				if (!client || client.status !== 1)
+					return null;
+
+				if (ctx.params.clientSecret != null && !this.checkSecret(client, ctx.params.clientSecret))
+					return null;
+
+				return await this.transformDocuments(ctx, {}, client);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Generate a random token
+		 *
+		 * @param {Number} len Token length
+		 */
+		generateToken(len) {
+			return crypto.randomBytes(len).toString("hex");
+		},
+
+		/**
+		 * Hash a plaintext secret for storing
+		 *
+		 * @param {String} secret
+		 */
+		secureToken(secret) {
+			return crypto.createHash("sha256").update(secret).digest("hex");
+		},
+
+		/**
+		 * Compare the secret with the stored hash in constant time
+		 *
+		 * @param {Object} client
+		 * @param {String} secret
+		 * @returns {Boolean}
+		 */
+		checkSecret(client, secret) {
+			if (!client.clientSecret)
+				return false;
+
+			const expected = Buffer.from(client.clientSecret, "hex");
+			const actual = Buffer.from(this.secureToken(secret), "hex");
+
+			return crypto.timingSafeEqual(expected, actual);
+		}
+	}
+};
@@ -31,6 +31,8 @@ module.exports = {
 			"mail.enabled": process.env.MAIL_ENABLED,
 			"mail.from": process.env.MAIL_NOREPLY,
 
+			"sms.enabled": process.env.SMS_ENABLED,
+
 			"accounts.signup.enabled": process.env.ACCOUNTS_SIGNUP_ENABLED,
 			"accounts.username.enabled": process.env.ACCOUNTS_USERNAME_ENABLED,
 			"accounts.passwordless.enabled": process.env.ACCOUNTS_PASSWORDLESS_ENABLED,
@@ -38,7 +40,49 @@ module.exports = {
 			"accounts.defaultRoles": [process.env.ACCOUNTS_DEFAULT_ROLE],
 			"accounts.defaultPlan": process.env.ACCOUNTS_DEFAULT_PLAN,
 			"accounts.jwt.expiresIn": process.env.ACCOUNTS_JWT_EXPIRESIN,
-			"accounts.two-factor.enabled": process.env.ACCOUNTS_TWOFACTOR_ENABLED
+			"accounts.refreshToken.expires": process.env.ACCOUNTS_REFRESH_TOKEN_EXPIRES,
+			"accounts.two-factor.enabled": process.env.ACCOUNTS_TWOFACTOR_ENABLED,
+			"accounts.two-factor.requiredRoles": _.compact((process.env.ACCOUNTS_TWOFACTOR_REQUIRED_ROLES || "").split(",").map(role => role.trim())),
+			"accounts.two-factor.recoveryCodes": process.env.ACCOUNTS_TWOFACTOR_RECOVERY_CODES,
+			"accounts.two-factor.email.expires": process.env.ACCOUNTS_TWOFACTOR_EMAIL_EXPIRES,
+			"accounts.two-factor.email.maxAttempts": process.env.ACCOUNTS_TWOFACTOR_EMAIL_MAX_ATTEMPTS,
+			"accounts.two-factor.sms.expires": process.env.ACCOUNTS_TWOFACTOR_SMS_EXPIRES,
+			"accounts.two-factor.sms.maxAttempts": process.env.ACCOUNTS_TWOFACTOR_SMS_MAX_ATTEMPTS,
+			"accounts.two-factor.trustedDevice.days": process.env.ACCOUNTS_TWOFACTOR_TRUSTED_DEVICE_DAYS,
+			"accounts.webauthn.rpID": process.env.ACCOUNTS_WEBAUTHN_RP_ID,
+			"accounts.webauthn.origin": process.env.ACCOUNTS_WEBAUTHN_ORIGIN,
+			"accounts.webauthn.timeout": process.env.ACCOUNTS_WEBAUTHN_TIMEOUT,
+			"accounts.elevation.expires": process.env.ACCOUNTS_ELEVATION_EXPIRES,
+			"accounts.emailChange.expires": process.env.ACCOUNTS_EMAIL_CHANGE_EXPIRES,
+			"accounts.emailChange.revertExpires": process.env.ACCOUNTS_EMAIL_CHANGE_REVERT_EXPIRES,
+			"accounts.deletion.gracePeriod": process.env.ACCOUNTS_DELETION_GRACE_PERIOD,
+			"accounts.lockout.enabled": process.env.ACCOUNTS_LOCKOUT_ENABLED,
+			"accounts.lockout.threshold": process.env.ACCOUNTS_LOCKOUT_THRESHOLD,
+			"accounts.lockout.ipThreshold": process.env.ACCOUNTS_LOCKOUT_IP_THRESHOLD,
+			"accounts.lockout.duration": process.env.ACCOUNTS_LOCKOUT_DURATION,
+			"accounts.lockout.backoff": process.env.ACCOUNTS_LOCKOUT_BACKOFF,
+			"accounts.hash.algorithm": process.env.ACCOUNTS_HASH_ALGORITHM,
+			"accounts.hash.bcrypt.rounds": process.env.ACCOUNTS_HASH_SALT_ROUND,
+			"accounts.hash.scrypt.cost": process.env.ACCOUNTS_HASH_SCRYPT_COST,
+			"accounts.hash.argon2.memoryCost": process.env.ACCOUNTS_HASH_ARGON2_MEMORY_COST,
+			"accounts.hash.argon2.timeCost": process.env.ACCOUNTS_HASH_ARGON2_TIME_COST,
+			"accounts.password.minLength": process.env.ACCOUNTS_PASSWORD_MIN_LENGTH,
+			"accounts.password.maxLength": process.env.ACCOUNTS_PASSWORD_MAX_LENGTH,
+			"accounts.password.minLowercase": process.env.ACCOUNTS_PASSWORD_MIN_LOWERCASE,
+			"accounts.password.minUppercase": process.env.ACCOUNTS_PASSWORD_MIN_UPPERCASE,
+			"accounts.password.minDigits": process.env.ACCOUNTS_PASSWORD_MIN_DIGITS,
+			"accounts.password.minSymbols": process.env.ACCOUNTS_PASSWORD_MIN_SYMBOLS,
+			"accounts.password.maxRepeated": process.env.ACCOUNTS_PASSWORD_MAX_REPEATED,
+			"accounts.password.personalInfo": process.env.ACCOUNTS_PASSWORD_PERSONAL_INFO,
+			"accounts.password.history": process.env.ACCOUNTS_PASSWORD_HISTORY,
+			"accounts.password.breached": process.env.ACCOUNTS_PASSWORD_BREACHED,
+			"accounts.password.breachedDir": process.env.ACCOUNTS_PASSWORD_BREACHED_DIR,
+
+			"oauth.issuer": process.env.OAUTH_ISSUER,
+			"oauth.loginURL": process.env.OAUTH_LOGIN_URL,
+			"oauth.consentURL": process.env.OAUTH_CONSENT_URL,
+			"oauth.code.expires": process.env.OAUTH_CODE_EXPIRES,
+			"oauth.consent.expires": process.env.OAUTH_CONSENT_EXPIRES
 		},
 
 		// Fields in responses
@@ -0,0 +1,433 @@
+"use strict";
+
+const crypto 					= require("crypto");
+const fs 						= require("fs");
+const path 						= require("path");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+const { MoleculerError, MoleculerClientError } = require("moleculer").Errors;
+
+const ALGORITHMS = ["HS256", "HS384", "HS512", "RS256", "RS384", "RS512", "ES256", "ES384", "ES512"];
+
+/**
+ * keys service
+ *
+ * Key store of the JWT signing keys. Only one key is `active` (signing the new tokens),
+ * the `pending` & `retiring` keys are used only for verifying, so the keys
+ * can be rotated without logging out everyone:
+ *
+ * 	1. `generate` a new key. It's published in the JWKS, but doesn't sign tokens yet.
+ * 	2. `promote` it. The previous active key becomes `retiring` for the grace period.
+ * 	3. `retire` the old key when its grace period is over (or immediately, if it's compromised).
+ */
+module.exports = {
+	name: "keys",
+	version: 1,
+
+	mixins: [
+		DbService("keys"),
+		// moleculer-db broadcasts the cleaning event with the versioned name
+		CacheCleaner([
+			"cache.clean.v1.keys"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			kid: { type: "string", readonly: true },
+			algorithm: { type: "string", required: true },
+			privateKey: { type: "string", required: true, hidden: true },
+			publicKey: { type: "string" },
+			status: { type: "string", required: true },
+			promotedAt: { type: "number" },
+			expiresAt: { type: "number" },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ kid: 1 },
+			{ status: 1 }
+		],
+
+		// Initial key. HS256 uses the `JWT_SECRET`, the asymmetric
+		// algorithms (RS256, RS384, RS512, ES256, ES384, ES512) use the PEM key files.
+		// It's also the default algorithm of the generated keys.
+		jwt: {
+			algorithm: process.env.JWT_ALGORITHM || "HS256",
+			privateKeyFile: process.env.JWT_PRIVATE_KEY_FILE,
+			publicKeyFile: process.env.JWT_PUBLIC_KEY_FILE
+		},
+
+		// Validity of the retiring keys after promoting a new one (in ms)
+		gracePeriod: Number(process.env.JWT_KEY_GRACE_PERIOD) || 24 * 60 * 60 * 1000
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Get the active key for signing tokens
+		 *
+		 * @actions
+		 * @returns {Object} `kid`, `algorithm` & `privateKey`
+		 */
+		getSigningKey: {
+			visibility: C.VISIBILITY_PUBLIC,
+			cache: true,
+			async handler() {
+				const key = await this.adapter.findOne({ status: C.KEY_STATUS_ACTIVE });
+				if (!key)
+					throw new MoleculerError("No active signing key!", 500, "ERR_NO_ACTIVE_KEY");
+
+				return { kid: key.kid, algorithm: key.algorithm, privateKey: key.privateKey };
+			}
+		},
+
+		/**
+		 * Get the non-expired keys for verifying tokens
+		 *
+		 * @actions
+		 * @param {String?} kid - Key ID. If not defined, all valid keys are returned (tokens without `kid`)
+		 *
+		 * @returns {Array<Object>} `kid`, `algorithm` & `key` (public key or secret)
+		 */
+		getVerificationKeys: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				kid: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const keys = await this.getValidKeys(ctx.params.kid);
+
+				return keys.map(key => ({
+					kid: key.kid,
+					algorithm: key.algorithm,
+					key: key.publicKey || key.privateKey
+				}));
+			}
+		},
+
+		/**
+		 * Get the public keys as JSON Web Key Set, so other services can verify the tokens.
+		 *
+		 * @actions
+		 * @returns {Object} JWKS
+		 */
+		jwks: {
+			cache: true,
+			async handler() {
+				const keys = await this.getValidKeys();
+
+				return {
+					keys: keys
+						.filter(key => key.publicKey)
+						.map(key => Object.assign({ kid: key.kid }, this.publicKeyToJWK(key.publicKey, key.algorithm)))
+				};
+			}
+		},
+
+		/**
+		 * Generate a new pending key
+		 *
+		 * @actions
+		 * @param {String?} algorithm - Signing algorithm. Default is the configured algorithm
+		 *
+		 * @returns {Object} Key entity
+		 */
+		generate: {
+			params: {
+				algorithm: { type: "enum", values: ALGORITHMS, optional: true }
+			},
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const key = await this.adapter.insert(Object.assign({
+					kid: this.generateKid(),
+					status: C.KEY_STATUS_PENDING,
+					createdAt: Date.now()
+				}, this.generateKeyPair(ctx.params.algorithm || this.settings.jwt.algorithm)));
+
+				const json = await this.transformDocuments(ctx, {}, key);
+				await this.entityChanged("created", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Promote a key to active. The previous active key becomes retiring.
+		 *
+		 * @actions
+		 * @param {String} id - Key ID
+		 *
+		 * @returns {Object} Key entity
+		 */
+		promote: {
+			params: {
+				id: { type: "string" }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const key = ctx.entity;
+
+				if (key.status == C.KEY_STATUS_ACTIVE)
+					throw new MoleculerClientError("Key is already active!", 400, "ERR_KEY_ALREADY_ACTIVE");
+
+				if (!this.isValidKey(key))
+					throw new MoleculerClientError("Key is retired!", 400, "ERR_KEY_RETIRED");
+
+				const now = Date.now();
+				const current = await this.adapter.findOne({ status: C.KEY_STATUS_ACTIVE });
+				if (current) {
+					const old = await this.adapter.updateById(current._id, { $set: {
+						status: C.KEY_STATUS_RETIRING,
+						expiresAt: now + this.settings.gracePeriod
+					} });
+					await this.entityChanged("updated", await this.transformDocuments(ctx, {}, old), ctx);
+				}
+
+				const res = await this.adapter.updateById(key._id, { $set: {
+					status: C.KEY_STATUS_ACTIVE,
+					promotedAt: now,
+					expiresAt: null
+				} });
+
+				const json = await this.transformDocuments(ctx, {}, res);
+				await this.entityChanged("updated", json, ctx);
+
+				return json;
+			}
+		},
+
+		/**
+		 * Retire a key. The tokens signed with it become invalid.
+		 * The active key can't be retired, promote an other key first.
+		 *
+		 * @actions
+		 * @param {String} id - Key ID
+		 *
+		 * @returns {Object} Key entity
+		 */
+		retire: {
+			params: {
+				id: { type: "string" }
+			},
+			needEntity: true,
+			permissions: ["administrator"],
+			async handler(ctx) {
+				const key = ctx.entity;
+
+				if (key.status == C.KEY_STATUS_ACTIVE)
+					throw new MoleculerClientError("The active key can't be retired!", 400, "ERR_KEY_ACTIVE");
+
+				const res = await this.adapter.updateById(key._id, { $set: {
+					status: C.KEY_STATUS_RETIRED,
+					expiresAt: Date.now()
+				} });
+
+				const json = await this.transformDocuments(ctx, {}, res);
+				await this.entityChanged("updated", json, ctx);
+
+				return json;
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Seed an empty collection with the configured key,
+		 * so the tokens signed before keep working.
+		 */
+		async seedDB() {
+			await this.adapter.insert(Object.assign({
+				kid: this.generateKid(),
+				status: C.KEY_STATUS_ACTIVE,
+				promotedAt: Date.now(),
+				createdAt: Date.now()
+			}, this.loadKeyFiles(this.settings.jwt)));
+
+			this.logger.info(`Generated the initial '${this.settings.jwt.algorithm}' signing key.`);
+		},
+
+		/**
+		 * Get the not expired & not retired keys
+		 *
+		 * @param {String?} kid
+		 * @returns {Array<Object>} Key entities
+		 */
+		async getValidKeys(kid) {
+			const query = { status: { $in: [C.KEY_STATUS_PENDING, C.KEY_STATUS_ACTIVE, C.KEY_STATUS_RETIRING] } };
+			if (kid)
+				query.kid = kid;
+
+			const keys = await this.adapter.find({ query });
+			return keys.filter(key => this.isValidKey(key));
+		},
+
+		/**
+		 * Check whether the key can be used for verifying
+		 *
+		 * @param {Object} key
+		 * @returns {Boolean}
+		 */
+		isValidKey(key) {
+			return key.status != C.KEY_STATUS_RETIRED && (!key.expiresAt || key.expiresAt > Date.now());
+		},
+
+		/**
+		 * Generate a random key ID
+		 */
+		generateKid() {
+			return crypto.randomBytes(8).toString("hex");
+		},
+
+		/**
+		 * Generate a new secret or key pair
+		 *
+		 * @param {String} algorithm
+		 * @returns {Object} `algorithm`, `privateKey` & `publicKey` (only for asymmetric algorithms)
+		 */
+		generateKeyPair(algorithm) {
+			this.checkAlgorithm(algorithm);
+
+			if (algorithm.startsWith("HS"))
+				return { algorithm, privateKey: crypto.randomBytes(64).toString("hex") };
+
+			const encoding = {
+				publicKeyEncoding: { type: "spki", format: "pem" },
+				privateKeyEncoding: { type: "pkcs8", format: "pem" }
+			};
+
+			const { privateKey, publicKey } = algorithm.startsWith("RS")
+				? crypto.generateKeyPairSync("rsa", Object.assign({ modulusLength: 2048 }, encoding))
+				: crypto.generateKeyPairSync("ec", Object.assign({ namedCurve: this.getCurve(algorithm)[0] }, encoding));
+
+			return { algorithm, privateKey, publicKey };
+		},
+
+		/**
+		 * Load the configured secret or PEM key files
+		 *
+		 * @param {Object} opts `algorithm`, `privateKeyFile`, `publicKeyFile`
+		 * @returns {Object} `algorithm`, `privateKey` & `publicKey` (only for asymmetric algorithms)
+		 */
+		loadKeyFiles(opts) {
+			const algorithm = opts.algorithm;
+			this.checkAlgorithm(algorithm);
+
+			if (algorithm.startsWith("HS")) {
+				if (!process.env.JWT_SECRET)
+					return this.generateKeyPair(algorithm);
+
+				return { algorithm, privateKey: process.env.JWT_SECRET };
+			}
+
+			if (!opts.privateKeyFile || !opts.publicKeyFile)
+				throw new Error(`The '${algorithm}' JWT algorithm requires the JWT_PRIVATE_KEY_FILE & JWT_PUBLIC_KEY_FILE environment variables.`);
+
+			return {
+				algorithm,
+				privateKey: fs.readFileSync(path.resolve(opts.privateKeyFile), "utf8"),
+				publicKey: fs.readFileSync(path.resolve(opts.publicKeyFile), "utf8")
+			};
+		},
+
+		/**
+		 * Check the signing algorithm
+		 *
+		 * @param {String} algorithm
+		 */
+		checkAlgorithm(algorithm) {
+			if (ALGORITHMS.indexOf(algorithm) === -1)
+				throw new Error(`Unsupported JWT algorithm '${algorithm}'.`);
+		},
+
+		/**
+		 * Get the curve name & coordinate size of an ECDSA algorithm
+		 *
+		 * @param {String} algorithm
+		 * @returns {Array} `[crv, size]`
+		 */
+		getCurve(algorithm) {
+			return { ES256: ["P-256", 32], ES384: ["P-384", 48], ES512: ["P-521", 66] }[algorithm];
+		},
+
+		/**
+		 * Convert a PEM (SPKI) public key to JSON Web Key
+		 *
+		 * @param {String} pem
+		 * @param {String} algorithm
+		 * @returns {Object} JWK
+		 */
+		publicKeyToJWK(pem, algorithm) {
+			const der = Buffer.from(pem.replace(/-----[^-]+-----/g, "").replace(/\s+/g, ""), "base64");
+
+			// Read a DER tag-length-value
+			const readTLV = (buf, offset) => {
+				let len = buf[offset + 1];
+				let start = offset + 2;
+				if (len & 0x80) {
+					const bytes = len & 0x7f;
+					len = 0;
+					for (let i = 0; i < bytes; i++)
+						len = len * 256 + buf[start + i];
+					start += bytes;
+				}
+				return { tag: buf[offset], start, end: start + len };
+			};
+
+			const base64url = buf => buf.toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+
+			// SubjectPublicKeyInfo ::= SEQUENCE { algorithm, BIT STRING }
+			const spki = readTLV(der, 0);
+			const algo = readTLV(der, spki.start);
+			const bits = readTLV(der, algo.end);
+			// Skip the "unused bits" byte of the BIT STRING
+			const key = der.slice(bits.start + 1, bits.end);
+
+			const jwk = { use: "sig", alg: algorithm };
+
+			if (algorithm.startsWith("RS")) {
+				// RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+				const seq = readTLV(key, 0);
+				const n = readTLV(key, seq.start);
+				const e = readTLV(key, n.end);
+
+				let modulus = key.slice(n.start, n.end);
+				if (modulus[0] === 0)
+					modulus = modulus.slice(1);
+
+				return Object.assign(jwk, {
+					kty: "RSA",
+					n: base64url(modulus),
+					e: base64url(key.slice(e.start, e.end))
+				});
+			}
+
+			// Uncompressed EC point: 0x04 | X | Y
+			const [crv, size] = this.getCurve(algorithm);
+			const point = key.slice(key.length - size * 2);
+
+			return Object.assign(jwk, {
+				kty: "EC",
+				crv,
+				x: base64url(point.slice(0, size)),
+				y: base64url(point.slice(size))
+			});
+		}
+	}
+};
@@ -0,0 +1,656 @@
+"use strict";
+
+const _ 						= require("lodash");
+const crypto 					= require("crypto");
+const querystring 				= require("querystring");
+const jwt 						= require("jsonwebtoken");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const ConfigLoader 				= require("../mixins/config.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+const { MoleculerClientError } 	= require("moleculer").Errors;
+
+const GRANT_TYPES = ["authorization_code", "refresh_token", "client_credentials"];
+
+/**
+ * oauth service
+ *
+ * OAuth 2.0 authorization server (RFC 6749) with the authorization code grant & PKCE (RFC 7636),
+ * the client credentials grant for machine clients
+ * and OpenID Connect provider (ID tokens, userinfo & discovery).
+ * The users are authenticated by the login page of the website (the existing login & 2FA flow),
+ * the granted scopes are stored as consents.
+ *
+ * The errors have the OAuth error codes as `type` (e.g. `invalid_grant`).
+ */
+module.exports = {
+	name: "oauth",
+	version: 1,
+
+	mixins: [
+		DbService("consents"),
+		CacheCleaner([
+			"cache.clean.oauth"
+		]),
+		ConfigLoader([
+			"oauth.**"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			owner: { type: "string", required: true },
+			clientID: { type: "string", required: true },
+			scopes: { type: "array", default: [] },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+			updatedAt: { type: "number", readonly: true, updateDefault: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ owner: 1, clientID: 1 }
+		],
+
+		// Supported scopes with the description for the consent page
+		scopes: {
+			openid: "Sign you in with your account",
+			profile: "Read your name & avatar",
+			email: "Read your email address"
+		}
+	},
+
+	/**
+	 * Service dependencies
+	 */
+	dependencies: [
+		{ name: "clients", version: 1 },
+		{ name: "tokens", version: 1 },
+		{ name: "keys", version: 1 },
+		{ name: "accounts", version: 1 }
+	],
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Authorization endpoint. Redirects the user to the login page if not logged in,
+		 * to the consent page if the scopes are not granted yet, otherwise back to
+		 * the client with an authorization code.
+		 *
+		 * @actions
+		 * @param {String} response_type - Only `code` is supported
+		 * @param {String} client_id
+		 * @param {String?} redirect_uri - Required if the client has more redirect URIs
+		 * @param {String?} scope - Space separated scopes. Default is the scopes of the client
+		 * @param {String?} state
+		 * @param {String?} code_challenge - PKCE code challenge. Required for public clients
+		 * @param {String?} code_challenge_method - `S256` or `plain`
+		 * @param {String?} nonce - OpenID Connect nonce, returned in the ID token
+		 * @param {String?} prompt - `consent` forces the consent page
+		 */
+		authorize: {
+			params: {
+				response_type: { type: "string", optional: true },
+				client_id: { type: "string" },
+				redirect_uri: { type: "string", optional: true },
+				scope: { type: "string", optional: true },
+				state: { type: "string", optional: true },
+				nonce: { type: "string", optional: true },
+				code_challenge: { type: "string", optional: true },
+				code_challenge_method: { type: "string", optional: true },
+				prompt: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const request = await this.validateAuthorizationRequest(ctx);
+				if (request.error)
+					return this.redirect(ctx, request.redirectURI, request.error);
+
+				if (!ctx.meta.userID) {
+					if (!this.config["oauth.loginURL"])
+						throw new MoleculerClientError("Login required!", 401, "login_required");
+
+					return this.redirect(ctx, this.config["oauth.loginURL"], {
+						redirect: `${this.config["oauth.issuer"]}/oauth/authorize?${querystring.stringify(_.omitBy(ctx.params, _.isNil))}`
+					});
+				}
+
+				const consent = ctx.params.prompt != "consent" && await this.hasConsent(ctx.meta.userID, request.client.clientID, request.scopes);
+				if (!consent) {
+					if (!this.config["oauth.consentURL"])
+						throw new MoleculerClientError("Consent required!", 403, "consent_required");
+
+					return this.redirect(ctx, this.config["oauth.consentURL"], Object.assign(_.omit(ctx.params, ["prompt"]), {
+						client_name: request.client.name,
+						scope: request.scopes.join(" "),
+						consent_token: await this.generateConsentToken(ctx, request)
+					}));
+				}
+
+				return this.redirect(ctx, request.redirectURI, {
+					code: await this.generateCode(ctx, request),
+					state: ctx.params.state
+				});
+			}
+		},
+
+		/**
+		 * Consent endpoint. The consent page posts the decision of the user
+		 * with the parameters of the authorization request. The `consent_token`
+		 * of the consent page is required against CSRF.
+		 *
+		 * @actions
+		 * @param {String} consent_token - Single-use token, issued by the `authorize` action
+		 * @param {Boolean} approve
+		 */
+		consent: {
+			params: {
+				response_type: { type: "string", optional: true },
+				client_id: { type: "string" },
+				redirect_uri: { type: "string", optional: true },
+				scope: { type: "string", optional: true },
+				state: { type: "string", optional: true },
+				nonce: { type: "string", optional: true },
+				code_challenge: { type: "string", optional: true },
+				code_challenge_method: { type: "string", optional: true },
+				consent_token: { type: "string" },
+				approve: { type: "boolean", convert: true }
+			},
+			async handler(ctx) {
+				if (!ctx.meta.userID)
+					throw new MoleculerClientError("Login required!", 401, "login_required");
+
+				const request = await this.validateAuthorizationRequest(ctx);
+				if (request.error)
+					return this.redirect(ctx, request.redirectURI, request.error);
+
+				await this.checkConsentToken(ctx, request);
+
+				const approved = ctx.params.approve === true || ["true", "1", "on"].indexOf(ctx.params.approve) !== -1;
+				if (!approved) {
+					return this.redirect(ctx, request.redirectURI, {
+						error: "access_denied",
+						error_description: "The user denied the request.",
+						state: ctx.params.state
+					});
+				}
+
+				await this.saveConsent(ctx, ctx.meta.userID, request.client.clientID, request.scopes);
+
+				return this.redirect(ctx, request.redirectURI, {
+					code: await this.generateCode(ctx, request),
+					state: ctx.params.state
+				});
+			}
+		},
+
+		/**
+		 * Token endpoint. Exchanges an authorization code, a refresh token
+		 * or the credentials of a machine client to tokens.
+		 * The client credentials can be passed with HTTP Basic authentication
+		 * (`ctx.meta.clientCredentials`) or in the body.
+		 *
+		 * @actions
+		 * @param {String} grant_type - `authorization_code`, `refresh_token` or `client_credentials`
+		 *
+		 * @returns {Object} `{ access_token, token_type, expires_in, refresh_token, scope, id_token? }`
+		 */
+		token: {
+			params: {
+				grant_type: { type: "string" },
+				code: { type: "string", optional: true },
+				redirect_uri: { type: "string", optional: true },
+				code_verifier: { type: "string", optional: true },
+				refresh_token: { type: "string", optional: true },
+				scope: { type: "string", optional: true },
+				client_id: { type: "string", optional: true },
+				client_secret: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				// The responses must not be cached (RFC 6749 5.1)
+				ctx.meta.$responseHeaders = {
+					"Cache-Control": "no-store",
+					"Pragma": "no-cache"
+				};
+
+				const client = await this.authenticateClient(ctx);
+
+				const grantType = ctx.params.grant_type;
+				if (GRANT_TYPES.indexOf(grantType) === -1)
+					throw new MoleculerClientError("Unsupported grant type!", 400, "unsupported_grant_type");
+
+				if (!this.hasGrant(client, grantType))
+					throw new MoleculerClientError("The grant type is not allowed for the client!", 400, "unauthorized_client");
+
+				switch(grantType) {
+					case "authorization_code":
+						return await this.exchangeCode(ctx, client);
+					case "refresh_token":
+						return await this.exchangeRefreshToken(ctx, client);
+					case "client_credentials":
+						return await this.exchangeClientCredentials(ctx, client);
+				}
+			}
+		},
+
+		/**
+		 * OpenID Connect userinfo endpoint. Requires an access token with `openid` scope.
+		 *
+		 * @actions
+		 * @returns {Object} Claims of the user
+		 */
+		userinfo: {
+			async handler(ctx) {
+				if (!ctx.meta.userID)
+					throw new MoleculerClientError("Invalid access token!", 401, "invalid_token");
+
+				const scopes = (ctx.meta.scope || "").split(" ");
+				if (scopes.indexOf("openid") === -1)
+					throw new MoleculerClientError("The access token has no 'openid' scope!", 403, "insufficient_scope");
+
+				return await ctx.call("v1.accounts.getUserInfo", { id: ctx.meta.userID, scope: ctx.meta.scope });
+			}
+		},
+
+		/**
+		 * OpenID Connect discovery document
+		 *
+		 * @actions
+		 * @returns {Object} Provider metadata
+		 */
+		openidConfiguration: {
+			async handler(ctx) {
+				const issuer = this.config["oauth.issuer"];
+				const keys = await ctx.call("v1.keys.getVerificationKeys");
+
+				return {
+					issuer,
+					authorization_endpoint: `${issuer}/oauth/authorize`,
+					token_endpoint: `${issuer}/oauth/token`,
+					userinfo_endpoint: `${issuer}/oauth/userinfo`,
+					jwks_uri: `${issuer}/.well-known/jwks.json`,
+					scopes_supported: Object.keys(this.settings.scopes),
+					response_types_supported: ["code"],
+					grant_types_supported: GRANT_TYPES,
+					subject_types_supported: ["public"],
+					id_token_signing_alg_values_supported: _.uniq(keys.map(key => key.algorithm)),
+					token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+					code_challenge_methods_supported: ["S256", "plain"],
+					claims_supported: ["sub", "iss", "aud", "exp", "iat", "nonce", "email", "email_verified", "given_name", "family_name", "picture"]
+				};
+			}
+		},
+
+		/**
+		 * Remove all consents of a user (on deleting the account)
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Number} Count of removed consents
+		 */
+		removeByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				return await this.adapter.removeMany({ owner: ctx.params.owner });
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Validate the parameters of an authorization request.
+		 * If the client or the redirect URI is invalid, an error is thrown,
+		 * the other errors are returned, they must be sent to the redirect URI.
+		 *
+		 * @param {Context} ctx
+		 * @returns {Object} `client`, `redirectURI`, `scopes` or `error`
+		 */
+		async validateAuthorizationRequest(ctx) {
+			const params = ctx.params;
+
+			const client = await ctx.call("v1.clients.resolveClient", { clientID: params.client_id });
+			if (!client)
+				throw new MoleculerClientError("Unknown client!", 400, "invalid_client");
+
+			let redirectURI = params.redirect_uri;
+			if (!redirectURI && client.redirectURIs.length == 1)
+				redirectURI = client.redirectURIs[0];
+
+			if (!redirectURI || client.redirectURIs.indexOf(redirectURI) === -1)
+				throw new MoleculerClientError("Invalid redirect URI!", 400, "invalid_request");
+
+			const error = (error, description) => ({ redirectURI, error: { error, error_description: description, state: params.state } });
+
+			if (params.response_type != "code")
+				return error("unsupported_response_type", "Only the 'code' response type is supported.");
+
+			if (!this.hasGrant(client, "authorization_code"))
+				return error("unauthorized_client", "The authorization code grant is not allowed for the client.");
+
+			const scopes = params.scope ? _.uniq(params.scope.split(" ").filter(Boolean)) : client.scopes;
+			const supported = Object.keys(this.settings.scopes);
+			if (scopes.some(scope => client.scopes.indexOf(scope) === -1 || supported.indexOf(scope) === -1))
+				return error("invalid_scope", "The requested scope is not allowed for the client.");
+
+			if (params.code_challenge) {
+				if (["S256", "plain"].indexOf(params.code_challenge_method || "plain") === -1)
+					return error("invalid_request", "Unsupported code challenge method.");
+			} else if (!client.confidential) {
+				return error("invalid_request", "PKCE code challenge is required for public clients.");
+			}
+
+			return { client, redirectURI, scopes };
+		},
+
+		/**
+		 * Check whether the grant type is allowed for the client
+		 *
+		 * @param {Object} client
+		 * @param {String} grantType
+		 * @returns {Boolean}
+		 */
+		hasGrant(client, grantType) {
+			const grants = client.grants || ["authorization_code", "refresh_token"];
+			return grants.indexOf(grantType) !== -1;
+		},
+
+		/**
+		 * Redirect the user-agent to an URL with query parameters
+		 *
+		 * @param {Context} ctx
+		 * @param {String} url
+		 * @param {Object} query
+		 */
+		redirect(ctx, url, query) {
+			const qs = querystring.stringify(_.omitBy(query, _.isNil));
+
+			ctx.meta.$statusCode = 302;
+			ctx.meta.$location = url + (url.indexOf("?") !== -1 ? "&" : "?") + qs;
+
+			return null;
+		},
+
+		/**
+		 * Check whether the user has granted the scopes to the client
+		 *
+		 * @param {String} userID
+		 * @param {String} clientID
+		 * @param {Array<String>} scopes
+		 * @returns {Boolean}
+		 */
+		async hasConsent(userID, clientID, scopes) {
+			const consent = await this.adapter.findOne({ owner: userID, clientID });
+			return !!consent && _.difference(scopes, consent.scopes).length == 0;
+		},
+
+		/**
+		 * Store the granted scopes of the user
+		 *
+		 * @param {Context} ctx
+		 * @param {String} userID
+		 * @param {String} clientID
+		 * @param {Array<String>} scopes
+		 */
+		async saveConsent(ctx, userID, clientID, scopes) {
+			const consent = await this.adapter.findOne({ owner: userID, clientID });
+			let res;
+			if (consent) {
+				res = await this.adapter.updateById(consent._id, { $set: {
+					scopes: _.union(consent.scopes, scopes),
+					updatedAt: Date.now()
+				} });
+			} else {
+				res = await this.adapter.insert({
+					owner: userID,
+					clientID,
+					scopes,
+					createdAt: Date.now()
+				});
+			}
+
+			const json = await this.transformDocuments(ctx, {}, res);
+			await this.entityChanged(consent ? "updated" : "created", json, ctx);
+
+			return json;
+		},
+
+		/**
+		 * Generate the single-use token of the consent page.
+		 * It's bound to the user & the authorization request.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} request Validated authorization request
+		 * @returns {String}
+		 */
+		async generateConsentToken(ctx, request) {
+			const res = await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_OAUTH_CONSENT,
+				owner: ctx.meta.userID,
+				expiry: Date.now() + (Number(this.config["oauth.consent.expires"]) || 10 * 60 * 1000),
+				data: {
+					clientID: request.client.clientID,
+					redirectURI: request.redirectURI,
+					scope: request.scopes.join(" ")
+				}
+			});
+
+			return res.token;
+		},
+
+		/**
+		 * Check & use the token of the consent page
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} request Validated authorization request
+		 */
+		async checkConsentToken(ctx, request) {
+			const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_OAUTH_CONSENT, token: ctx.params.consent_token, owner: ctx.meta.userID });
+
+			const data = entity ? entity.data : {};
+			if (data.clientID != request.client.clientID || data.redirectURI != request.redirectURI || data.scope != request.scopes.join(" "))
+				throw new MoleculerClientError("Invalid consent token!", 403, "access_denied");
+
+			if (!(await ctx.call("v1.tokens.use", { id: entity._id, once: true })))
+				throw new MoleculerClientError("Invalid consent token!", 403, "access_denied");
+		},
+
+		/**
+		 * Generate an authorization code
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} request Validated authorization request
+		 * @returns {String}
+		 */
+		async generateCode(ctx, request) {
+			const res = await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_OAUTH_CODE,
+				owner: ctx.meta.userID,
+				expiry: Date.now() + Number(this.config["oauth.code.expires"]),
+				data: _.omitBy({
+					clientID: request.client.clientID,
+					redirectURI: ctx.params.redirect_uri,
+					scope: request.scopes.join(" "),
+					nonce: ctx.params.nonce,
+					codeChallenge: ctx.params.code_challenge,
+					codeChallengeMethod: ctx.params.code_challenge ? ctx.params.code_challenge_method || "plain" : null
+				}, _.isNil)
+			});
+
+			return res.token;
+		},
+
+		/**
+		 * Authenticate the client of a token request.
+		 * Confidential clients must send the secret.
+		 *
+		 * @param {Context} ctx
+		 * @returns {Object} Client entity
+		 */
+		async authenticateClient(ctx) {
+			const credentials = ctx.meta.clientCredentials || {
+				clientID: ctx.params.client_id,
+				clientSecret: ctx.params.client_secret
+			};
+
+			if (!credentials.clientID)
+				throw new MoleculerClientError("Missing client ID!", 401, "invalid_client");
+
+			const client = await ctx.call("v1.clients.resolveClient", _.omitBy(credentials, _.isNil));
+			if (!client || (client.confidential && !credentials.clientSecret))
+				throw new MoleculerClientError("Client authentication failed!", 401, "invalid_client");
+
+			return client;
+		},
+
+		/**
+		 * Exchange an authorization code to tokens
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} client
+		 */
+		async exchangeCode(ctx, client) {
+			const params = ctx.params;
+			if (!params.code)
+				throw new MoleculerClientError("Missing authorization code!", 400, "invalid_request");
+
+			const entity = await ctx.call("v1.tokens.check", { type: C.TOKEN_TYPE_OAUTH_CODE, token: params.code });
+			if (!entity)
+				throw new MoleculerClientError("Invalid authorization code!", 400, "invalid_grant");
+
+			// The code can be used only once. It's atomic, a parallel request can't redeem it
+			if (!(await ctx.call("v1.tokens.use", { id: entity._id, once: true })))
+				throw new MoleculerClientError("Invalid authorization code!", 400, "invalid_grant");
+
+			await ctx.call("v1.tokens.removeMany", { type: C.TOKEN_TYPE_OAUTH_CODE, family: entity.family });
+
+			const data = entity.data;
+			if (data.clientID != client.clientID || data.redirectURI != params.redirect_uri)
+				throw new MoleculerClientError("Invalid authorization code!", 400, "invalid_grant");
+
+			if (data.codeChallenge && !this.verifyCodeChallenge(data, params.code_verifier))
+				throw new MoleculerClientError("Invalid code verifier!", 400, "invalid_grant");
+
+			let tokens;
+			try {
+				tokens = await ctx.call("v1.accounts.issueTokens", {
+					id: entity.owner,
+					claims: { aud: client.clientID, scope: data.scope }
+				});
+			} catch(err) {
+				throw new MoleculerClientError(err.message, 400, "invalid_grant");
+			}
+
+			const res = this.tokenResponse(tokens);
+
+			// OpenID Connect authentication request
+			if (data.scope.split(" ").indexOf("openid") !== -1) {
+				res.id_token = await ctx.call("v1.accounts.issueIDToken", {
+					id: entity.owner,
+					scope: data.scope,
+					claims: _.omitBy({
+						iss: this.config["oauth.issuer"],
+						aud: client.clientID,
+						nonce: data.nonce
+					}, _.isNil)
+				});
+			}
+
+			return res;
+		},
+
+		/**
+		 * Exchange a refresh token of the client to new tokens
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} client
+		 */
+		async exchangeRefreshToken(ctx, client) {
+			if (!ctx.params.refresh_token)
+				throw new MoleculerClientError("Missing refresh token!", 400, "invalid_request");
+
+			let tokens;
+			try {
+				tokens = await ctx.call("v1.accounts.refreshToken", {
+					refreshToken: ctx.params.refresh_token,
+					clientID: client.clientID
+				});
+			} catch(err) {
+				throw new MoleculerClientError(err.message, 400, "invalid_grant");
+			}
+
+			return this.tokenResponse(tokens);
+		},
+
+		/**
+		 * Issue an access token for a machine client. No refresh token is issued,
+		 * the client can request a new token with its credentials.
+		 * The scopes of machine clients are not limited to the user scopes.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} client
+		 */
+		async exchangeClientCredentials(ctx, client) {
+			const scopes = ctx.params.scope ? _.uniq(ctx.params.scope.split(" ").filter(Boolean)) : client.scopes;
+			if (_.difference(scopes, client.scopes).length > 0)
+				throw new MoleculerClientError("The requested scope is not allowed for the client!", 400, "invalid_scope");
+
+			const token = await ctx.call("v1.accounts.issueClientToken", {
+				clientID: client.clientID,
+				scope: scopes.length > 0 ? scopes.join(" ") : undefined
+			});
+
+			return this.tokenResponse({ token });
+		},
+
+		/**
+		 * Verify the PKCE code verifier
+		 *
+		 * @param {Object} data Data of the authorization code
+		 * @param {String?} verifier
+		 * @returns {Boolean}
+		 */
+		verifyCodeChallenge(data, verifier) {
+			if (!verifier)
+				return false;
+
+			const challenge = data.codeChallengeMethod == "S256"
+				? crypto.createHash("sha256").update(verifier).digest("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_")
+				: verifier;
+
+			return challenge === data.codeChallenge;
+		},
+
+		/**
+		 * Create the token response
+		 *
+		 * @param {Object} tokens `{ token, refreshToken }`
+		 * @returns {Object}
+		 */
+		tokenResponse(tokens) {
+			const decoded = jwt.decode(tokens.token);
+
+			return {
+				access_token: tokens.token,
+				token_type: "Bearer",
+				expires_in: decoded.exp - Math.floor(Date.now() / 1000),
+				refresh_token: tokens.refreshToken,
+				scope: decoded.scope
+			};
+		}
+	}
+};
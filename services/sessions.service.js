@@ -0,0 +1,264 @@
+"use strict";
+
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+
+/**
+ * sessions service
+ *
+ * Server-side record of the logins. Every issued JWT contains
+ * the session ID (`sid`), so revoking a session invalidates its tokens.
+ */
+module.exports = {
+	name: "sessions",
+	version: 1,
+
+	mixins: [
+		DbService("sessions"),
+		CacheCleaner([
+			"cache.clean.sessions"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			owner: { type: "string", required: true },
+			device: { type: "string" },
+			userAgent: { type: "string" },
+			ip: { type: "string" },
+			revokedAt: { type: "number" },
+			// Re-authenticated ("sudo mode") until
+			elevatedUntil: { type: "number" },
+			lastActivityAt: { type: "number" },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ owner: 1 }
+		],
+
+		// Minimum time between two `lastActivityAt` updates (in ms)
+		activityUpdateInterval: 60 * 1000
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Create a new session
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {String?} userAgent
+		 * @param {String?} ip
+		 *
+		 * @returns {Object} Session entity
+		 */
+		create: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				userAgent: { type: "string", optional: true },
+				ip: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const now = Date.now();
+				const session = await this.adapter.insert({
+					owner: ctx.params.owner,
+					device: this.getDeviceName(ctx.params.userAgent),
+					userAgent: ctx.params.userAgent,
+					ip: ctx.params.ip,
+					revokedAt: null,
+					lastActivityAt: now,
+					createdAt: now
+				});
+
+				return await this.transformDocuments(ctx, {}, session);
+			}
+		},
+
+		/**
+		 * Get an active session & refresh the last activity
+		 *
+		 * @actions
+		 * @param {String} id - Session ID
+		 *
+		 * @returns {Object?} Session entity or `null` if not found or revoked
+		 */
+		touch: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" }
+			},
+			async handler(ctx) {
+				let session = await this.adapter.findById(ctx.params.id);
+				if (!session || session.revokedAt)
+					return null;
+
+				if (Date.now() - session.lastActivityAt > this.settings.activityUpdateInterval) {
+					session = await this.adapter.updateById(session._id, { $set: {
+						lastActivityAt: Date.now()
+					} });
+				}
+
+				return await this.transformDocuments(ctx, {}, session);
+			}
+		},
+
+		/**
+		 * Elevate an active session after a re-authentication
+		 *
+		 * @actions
+		 * @param {String} id - Session ID
+		 * @param {Number} until - Expiration timestamp of the elevation
+		 *
+		 * @returns {Object?} Session entity or `null` if not found or revoked
+		 */
+		elevate: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" },
+				until: { type: "number" }
+			},
+			async handler(ctx) {
+				const session = await this.adapter.findById(ctx.params.id);
+				if (!session || session.revokedAt)
+					return null;
+
+				const res = await this.adapter.updateById(session._id, { $set: {
+					elevatedUntil: ctx.params.until,
+					lastActivityAt: Date.now()
+				} });
+
+				return await this.transformDocuments(ctx, {}, res);
+			}
+		},
+
+		/**
+		 * List the active sessions of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Array<Object>} Session entities
+		 */
+		listByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const sessions = await this.adapter.find({
+					query: { owner: ctx.params.owner, revokedAt: null },
+					sort: ["-lastActivityAt"]
+				});
+
+				return await this.transformDocuments(ctx, {}, sessions);
+			}
+		},
+
+		/**
+		 * Revoke sessions of a user
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 * @param {Array<String>?} ids - Session IDs. If not defined, all sessions are revoked
+		 * @param {String?} except - Session ID to keep
+		 *
+		 * @returns {Array<String>} IDs of the revoked sessions
+		 */
+		revoke: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" },
+				ids: { type: "array", items: "string", optional: true },
+				except: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const sessions = await this.adapter.find({
+					query: { owner: ctx.params.owner, revokedAt: null }
+				});
+
+				const ids = sessions
+					.map(session => session._id.toString())
+					.filter(id => !ctx.params.ids || ctx.params.ids.indexOf(id) !== -1)
+					.filter(id => id !== ctx.params.except);
+
+				await this.Promise.all(ids.map(id => this.adapter.updateById(id, { $set: {
+					revokedAt: Date.now()
+				} })));
+
+				return ids;
+			}
+		},
+
+		/**
+		 * Remove all sessions of a user (on deleting the account)
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Number} Count of removed sessions
+		 */
+		removeByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				return await this.adapter.removeMany({ owner: ctx.params.owner });
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Get a human readable device name from the user agent.
+		 * E.g.: "Chrome on Windows"
+		 *
+		 * @param {String?} userAgent
+		 * @returns {String}
+		 */
+		getDeviceName(userAgent) {
+			if (!userAgent)
+				return "Unknown device";
+
+			const browsers = [
+				["Edge", /Edg(e|A|iOS)?\//],
+				["Opera", /OPR\//],
+				["Chrome", /Chrome\//],
+				["Firefox", /Firefox\//],
+				["Safari", /Safari\//]
+			];
+			const systems = [
+				["Android", /Android/],
+				["iOS", /iPhone|iPad|iPod/],
+				["Windows", /Windows/],
+				["macOS", /Mac OS X/],
+				["Linux", /Linux/]
+			];
+
+			const browser = browsers.find(([, re]) => re.test(userAgent));
+			const system = systems.find(([, re]) => re.test(userAgent));
+
+			if (!browser && !system)
+				return userAgent.substring(0, 50);
+
+			return [browser ? browser[0] : "Unknown browser", system ? system[0] : "unknown OS"].join(" on ");
+		}
+	}
+};
@@ -0,0 +1,250 @@
+"use strict";
+
+const _ 			= require("lodash");
+const fs 			= require("fs");
+const path 			= require("path");
+const util 			= require("util");
+const Handlebars 	= require("handlebars");
+const ConfigLoader 	= require("../mixins/config.mixin");
+
+const { MoleculerError, MoleculerRetryableError, MoleculerClientError } = require("moleculer").Errors;
+
+const appendFile = util.promisify(fs.appendFile);
+
+/**
+ * Built-in transports for development & tests
+ */
+const TRANSPORTS = {
+
+	/**
+	 * Print the messages to the log
+	 */
+	console: (opts, logger) => ({
+		send(msg) {
+			logger.info(`SMS to ${msg.to}: ${msg.text}`);
+			return Promise.resolve({ to: msg.to });
+		}
+	}),
+
+	/**
+	 * Append the messages to a file as JSON lines
+	 */
+	file: opts => ({
+		async send(msg) {
+			await appendFile(opts.path || "sms.log", JSON.stringify(Object.assign({ date: new Date().toISOString() }, msg)) + "\n");
+			return { to: msg.to };
+		}
+	})
+};
+
+/**
+ * sms service
+ *
+ * Send text messages with templates. The real providers can be plugged in
+ * with a `createTransport` method which returns an object with a
+ * `send({ from, to, text })` method, the same way as in `moleculer-mail`.
+ *
+ * The messages are throttled per phone number.
+ */
+module.exports = {
+	name: "sms",
+
+	mixins: [
+		ConfigLoader([
+			"site.**",
+			"sms.**"
+		])
+	],
+
+	/**
+	 * Service dependencies
+	 */
+	dependencies: [
+		{ name: "config", version: 1 }
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		from: process.env.SMS_FROM,
+
+		// Built-in transport: `console` or `file` (`{ type: "file", path: "./sms.log" }`)
+		transport: {
+			type: process.env.SMS_TRANSPORT || "console",
+			path: process.env.SMS_FILE_PATH
+		},
+
+		templateFolder: path.join(__dirname, "../templates/sms"),
+
+		throttle: {
+			// Minimum time between two messages to the same number (in ms)
+			interval: 60 * 1000,
+			// Maximum messages to the same number in the window
+			limit: 5,
+			// in ms
+			window: 60 * 60 * 1000
+		}
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Send a text message
+		 *
+		 * @actions
+		 * @param {String} to - Phone number in E.164 format
+		 * @param {String?} template - Template name in the `templateFolder` (without `.hbs`)
+		 * @param {Object?} data - Template data
+		 * @param {String?} text - Message text if there is no template
+		 *
+		 * @returns {Object} Response of the transport
+		 */
+		send: {
+			params: {
+				to: { type: "string" },
+				template: { type: "string", optional: true },
+				data: { type: "object", optional: true },
+				text: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const text = ctx.params.template
+					? this.renderTemplate(ctx.params.template, ctx.params.data || {})
+					: ctx.params.text;
+
+				if (!text)
+					throw new MoleculerClientError("Missing SMS text or template!", 400, "ERR_SMS_MISSING_TEXT");
+
+				this.throttle(ctx.params.to);
+
+				return await this.send({
+					from: this.settings.from,
+					to: ctx.params.to,
+					text: text.trim()
+				});
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Render a template
+		 *
+		 * @param {String} name
+		 * @param {Object} data
+		 * @returns {String}
+		 */
+		renderTemplate(name, data) {
+			if (!this.templates[name]) {
+				const filename = path.join(this.settings.templateFolder, `${name}.hbs`);
+				if (!fs.existsSync(filename))
+					throw new MoleculerError("Missing SMS template: " + name);
+
+				this.templates[name] = Handlebars.compile(fs.readFileSync(filename, "utf8"));
+			}
+
+			return this.templates[name](_.defaultsDeep({}, data, {
+				siteName: this.config["site.name"],
+				siteUrl: this.config["site.url"]
+			}));
+		},
+
+		/**
+		 * Check & register a message to the number
+		 *
+		 * @param {String} to
+		 */
+		throttle(to) {
+			const { interval, limit, window } = this.settings.throttle;
+			const now = Date.now();
+
+			const sent = (this.sentMessages.get(to) || []).filter(time => time > now - window);
+			const last = sent[sent.length - 1];
+
+			let retryAfter = null;
+			if (last && last + interval > now)
+				retryAfter = last + interval;
+			else if (limit && sent.length >= limit)
+				retryAfter = sent[sent.length - limit] + window;
+
+			if (retryAfter)
+				throw new MoleculerClientError("Too many text messages to this phone number. Please try again later.", 429, "ERR_SMS_THROTTLED", { retryAfter });
+
+			sent.push(now);
+			this.sentMessages.set(to, sent);
+		},
+
+		/**
+		 * Send a message with the transport
+		 *
+		 * @param {Object} msg
+		 * @returns {Promise}
+		 */
+		async send(msg) {
+			if (!this.transporter)
+				throw new MoleculerError("Unable to send SMS! Invalid transport: " + this.settings.transport.type);
+
+			this.logger.debug(`Sending SMS to ${msg.to}...`);
+			try {
+				const res = await this.transporter.send(msg);
+				this.logger.info("SMS message sent.", { to: msg.to });
+				return res;
+			} catch(err) {
+				this.logger.warn("Unable to send SMS: ", err);
+				throw new MoleculerRetryableError("Unable to send SMS! " + err.message);
+			}
+		},
+
+		/**
+		 * Remove the expired entries of the throttling
+		 */
+		clearExpiredThrottling() {
+			const since = Date.now() - this.settings.throttle.window;
+			this.sentMessages.forEach((sent, to) => {
+				if (sent[sent.length - 1] <= since)
+					this.sentMessages.delete(to);
+			});
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {
+		this.templates = {};
+		this.sentMessages = new Map();
+
+		if (_.isFunction(this.createTransport)) {
+			this.transporter = this.createTransport();
+		} else {
+			const factory = TRANSPORTS[this.settings.transport.type];
+			if (!factory) {
+				this.logger.error("Invalid SMS transport configuration!", this.settings.transport.type);
+				return;
+			}
+			this.transporter = factory(this.settings.transport, this.logger);
+		}
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	started() {
+		this.throttleCleanupTimer = setInterval(() => this.clearExpiredThrottling(), this.settings.throttle.window);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	stopped() {
+		if (this.throttleCleanupTimer)
+			clearInterval(this.throttleCleanupTimer);
+	}
+};
@@ -0,0 +1,340 @@
+"use strict";
+
+const crypto 					= require("crypto");
+const DbService 				= require("../mixins/db.mixin");
+const CacheCleaner 				= require("../mixins/cache.cleaner.mixin");
+const SecureAutoalias 			= require("../mixins/secureautoalias.mixin");
+const C 						= require("../constants");
+
+/**
+ * tokens service
+ *
+ * Stores opaque tokens (refresh tokens...) hashed, so the database
+ * never contains the plaintext values.
+ */
+module.exports = {
+	name: "tokens",
+	version: 1,
+
+	mixins: [
+		DbService("tokens"),
+		CacheCleaner([
+			"cache.clean.tokens"
+		]),
+		SecureAutoalias
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		fields: {
+			id: { type: "string", readonly: true, primaryKey: true, secure: true, columnName: "_id" },
+			type: { type: "string", required: true },
+			token: { type: "string", required: true, hidden: true },
+			owner: { type: "string", required: true },
+			family: { type: "string" },
+			data: { type: "object" },
+			expiry: { type: "number" },
+			usedAt: { type: "number" },
+			createdAt: { type: "number", updateable: false, default: Date.now },
+		},
+
+		// Indexes on collection
+		indexes: [
+			{ type: 1, token: 1 },
+			{ type: 1, owner: 1 },
+			{ type: 1, family: 1 },
+			{ expiry: 1 }
+		],
+
+		// Interval of removing the expired tokens (in ms)
+		cleanupInterval: 60 * 60 * 1000
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+
+		/**
+		 * Generate a new token
+		 *
+		 * @actions
+		 * @param {String} type - Token type (e.g. `C.TOKEN_TYPE_REFRESH`)
+		 * @param {String} owner - Owner entity ID
+		 * @param {String?} family - Token family. Tokens generated from each other share it
+		 * @param {Number?} expiry - Expiration timestamp
+		 * @param {String?} token - Store this value instead of a random one (e.g. a JWT ID)
+		 * @param {Object?} data - Additional data bound to the token
+		 *
+		 * @returns {Object} Token entity with the plaintext `token`
+		 */
+		generate: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				type: { type: "string" },
+				owner: { type: "string" },
+				family: { type: "string", optional: true },
+				expiry: { type: "number", optional: true },
+				token: { type: "string", optional: true },
+				data: { type: "object", optional: true }
+			},
+			async handler(ctx) {
+				const token = ctx.params.token || this.generateToken();
+
+				const entity = await this.adapter.insert({
+					type: ctx.params.type,
+					token: this.secureToken(token),
+					owner: ctx.params.owner,
+					family: ctx.params.family || this.generateToken(16),
+					expiry: ctx.params.expiry,
+					data: ctx.params.data,
+					createdAt: Date.now()
+				});
+
+				const json = await this.transformDocuments(ctx, {}, entity);
+				json.token = token;
+
+				return json;
+			}
+		},
+
+		/**
+		 * Find a not-expired token by the plaintext value
+		 *
+		 * @actions
+		 * @param {String} type - Token type
+		 * @param {String} token - Plaintext token
+		 * @param {String?} owner - Owner entity ID
+		 *
+		 * @returns {Object?} Token entity or `null`
+		 */
+		check: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				type: { type: "string" },
+				token: { type: "string" },
+				owner: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const query = {
+					type: ctx.params.type,
+					token: this.secureToken(ctx.params.token)
+				};
+				if (ctx.params.owner)
+					query.owner = ctx.params.owner;
+
+				const entity = await this.adapter.findOne(query);
+				if (!entity || (entity.expiry && entity.expiry < Date.now()))
+					return null;
+
+				return await this.transformDocuments(ctx, {}, entity);
+			}
+		},
+
+		/**
+		 * Count the not-expired tokens of an owner
+		 *
+		 * @actions
+		 * @param {String} type - Token type
+		 * @param {String} owner - Owner entity ID
+		 *
+		 * @returns {Number}
+		 */
+		count: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				type: { type: "string" },
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const tokens = await this.adapter.find({ query: { type: ctx.params.type, owner: ctx.params.owner } });
+				return tokens.filter(entity => !entity.expiry || entity.expiry >= Date.now()).length;
+			}
+		},
+
+		/**
+		 * List the not-expired tokens of an owner
+		 *
+		 * @actions
+		 * @param {String} type - Token type
+		 * @param {String} owner - Owner entity ID
+		 *
+		 * @returns {Array<Object>} Token entities
+		 */
+		listByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				type: { type: "string" },
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const entities = await this.adapter.find({
+					query: { type: ctx.params.type, owner: ctx.params.owner },
+					sort: ["-createdAt"]
+				});
+
+				return await this.transformDocuments(ctx, {}, entities.filter(entity => !entity.expiry || entity.expiry >= Date.now()));
+			}
+		},
+
+		/**
+		 * Mark a token as used
+		 *
+		 * @actions
+		 * @param {String} id - Token entity ID
+		 * @param {Boolean?} once - Mark it atomically, only if it has not been used yet
+		 *
+		 * @returns {Object?} Token entity or `null` if it has already been used (with `once`)
+		 */
+		use: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" },
+				once: { type: "boolean", optional: true }
+			},
+			async handler(ctx) {
+				if (ctx.params.once) {
+					const id = this.adapter.stringToObjectID ? this.adapter.stringToObjectID(ctx.params.id) : ctx.params.id;
+					const count = await this.adapter.updateMany({ _id: id, usedAt: { $exists: false } }, { $set: {
+						usedAt: Date.now()
+					} });
+					if (count == 0)
+						return null;
+
+					return await this.transformDocuments(ctx, {}, await this.adapter.findById(ctx.params.id));
+				}
+
+				const entity = await this.adapter.updateById(ctx.params.id, { $set: {
+					usedAt: Date.now()
+				} });
+
+				return await this.transformDocuments(ctx, {}, entity);
+			}
+		},
+
+		/**
+		 * Increment the failed attempts counter (`data.attempts`) of a token atomically
+		 *
+		 * @actions
+		 * @param {String} id - Token entity ID
+		 *
+		 * @returns {Object?} Token entity with the new count or `null` if it's removed
+		 */
+		incAttempts: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				id: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await this.adapter.updateById(ctx.params.id, { $inc: {
+					"data.attempts": 1
+				} });
+				if (!entity)
+					return null;
+
+				return await this.transformDocuments(ctx, {}, entity);
+			}
+		},
+
+		/**
+		 * Remove tokens by owner or family
+		 *
+		 * @actions
+		 * @param {String} type - Token type
+		 * @param {String?} owner - Owner entity ID
+		 * @param {String?} family - Token family
+		 *
+		 * @returns {Number} Count of removed tokens
+		 */
+		removeMany: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				type: { type: "string" },
+				owner: { type: "string", optional: true },
+				family: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const query = { type: ctx.params.type };
+				if (ctx.params.owner)
+					query.owner = ctx.params.owner;
+				if (ctx.params.family)
+					query.family = ctx.params.family;
+
+				if (!query.owner && !query.family)
+					return 0;
+
+				return await this.adapter.removeMany(query);
+			}
+		},
+
+		/**
+		 * Remove all tokens of a user (on deleting the account)
+		 *
+		 * @actions
+		 * @param {String} owner - User ID
+		 *
+		 * @returns {Number} Count of removed tokens
+		 */
+		removeByOwner: {
+			visibility: C.VISIBILITY_PUBLIC,
+			params: {
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				return await this.adapter.removeMany({ owner: ctx.params.owner });
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+
+		/**
+		 * Generate a random token
+		 *
+		 * @param {Number} len Token length
+		 */
+		generateToken(len = 50) {
+			return crypto.randomBytes(len).toString("hex");
+		},
+
+		/**
+		 * Hash a plaintext token for storing
+		 *
+		 * @param {String} token
+		 */
+		secureToken(token) {
+			return crypto.createHash("sha256").update(token).digest("hex");
+		},
+
+		/**
+		 * Remove the expired tokens
+		 */
+		async clearExpired() {
+			const count = await this.adapter.removeMany({ expiry: { $lt: Date.now() } });
+			if (count > 0)
+				this.logger.info(`Removed ${count} expired tokens.`);
+		}
+	},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	started() {
+		this.cleanupTimer = setInterval(() => {
+			this.clearExpired().catch(err => this.logger.error("Unable to remove expired tokens.", err));
+		}, this.settings.cleanupInterval);
+	},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	stopped() {
+		if (this.cleanupTimer)
+			clearInterval(this.cleanupTimer);
+	}
+};
@@ -1,23 +1,60 @@
 "use strict";
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
 const { ServiceBroker, Context } = require("moleculer");
 const TestService = require("../../../services/accounts.service");
 const ConfigService = require("../../../services/config.service");
+const TokensService = require("../../../services/tokens.service");
+const SessionsService = require("../../../services/sessions.service");
+const AclService = require("../../../services/acl.service");
+const KeysService = require("../../../services/keys.service");
+const ClientsService = require("../../../services/clients.service");
+const ApiKeysService = require("../../../services/apikeys.service");
+const AuthenticatorsService = require("../../../services/authenticators.service");
+const OAuthService = require("../../../services/oauth.service");
+const C = require("../../../constants");
 const E = require("moleculer").Errors;
 
 const FindEntityMiddleware = require("../../../middlewares/FindEntity");
+const CheckElevationMiddleware = require("../../../middlewares/CheckElevation");
 
 process.env.JWT_SECRET = "kantab-secret-test";
 
 describe("Test Accounts service", () => {
 	let broker = new ServiceBroker({ logger: false, middlewares: [
 		FindEntityMiddleware,
+		CheckElevationMiddleware,
 		//CheckPermissionsMiddleware
 	] });
 
 	// Config service
 	broker.createService(ConfigService);
 
+	// Tokens service
+	broker.createService(TokensService);
+
+	// Sessions service
+	broker.createService(SessionsService);
+
+	// ACL service
+	broker.createService(AclService);
+
+	// Keys service
+	const keysService = broker.createService(KeysService);
+
+	// Clients service
+	broker.createService(ClientsService);
+
+	// API keys service
+	broker.createService(ApiKeysService);
+
+	// Authenticators service
+	broker.createService(AuthenticatorsService);
+
 	// Mail service
 	const mailSendMock = jest.fn(() => Promise.resolve(true));
 	broker.createService({
@@ -27,6 +64,18 @@ describe("Test Accounts service", () => {
 		}
 	});
 
+	// SMS service
+	const smsSendMock = jest.fn(() => Promise.resolve(true));
+	broker.createService({
+		name: "sms",
+		actions: {
+			send: smsSendMock
+		}
+	});
+
+	// OAuth service
+	broker.createService(OAuthService);
+
 	// Accounts service
 	const service = broker.createService(TestService, {});
 
@@ -59,23 +108,24 @@ describe("Test Accounts service", () => {
 	describe("Test JWT methods", () => {
 		it("should generate & verify a JWT", async () => {
 			const payload = { id: 1, name: "John" };
-			const token = await service.generateJWT(payload);
+			const token = await service.generateJWT(new Context(broker), payload);
 
 			expect(token).toEqual(expect.any(String));
 
-			const res = await service.verifyJWT(token);
+			const res = await service.verifyJWT(new Context(broker), token);
 
 			expect(res).toEqual({
 				...payload,
 				exp: expect.any(Number),
 				iat: expect.any(Number),
+				jti: expect.any(String),
 			});
 		});
 
 		it("should throw error if token is not valid", async () => {
 			expect.assertions(4);
 			try {
-				await service.verifyJWT("123456");
+				await service.verifyJWT(new Context(broker), "123456");
 			} catch (err) {
 				expect(err).toBeInstanceOf(E.MoleculerClientError);
 				expect(err.name).toBe("MoleculerClientError");
@@ -87,7 +137,7 @@ describe("Test Accounts service", () => {
 		it("should throw error if payload is not valid", async () => {
 			expect.assertions(4);
 			try {
-				await service.generateJWT(null);
+				await service.generateJWT(new Context(broker), null);
 			} catch (err) {
 				expect(err).toBeInstanceOf(E.MoleculerRetryableError);
 				expect(err.name).toBe("MoleculerRetryableError");
@@ -100,11 +150,12 @@ describe("Test Accounts service", () => {
 			const oldGenerateJWT = service.generateJWT;
 			service.generateJWT = jest.fn();
 
+			const ctx = new Context(broker);
 			const user = { _id: 1, name: "John", status: 1 };
-			await service.getToken(user);
+			await service.getToken(ctx, user);
 
 			expect(service.generateJWT).toHaveBeenCalledTimes(1);
-			expect(service.generateJWT).toHaveBeenCalledWith({ id: "1" });
+			expect(service.generateJWT).toHaveBeenCalledWith(ctx, { id: "1" });
 
 			service.generateJWT = oldGenerateJWT;
 		});
@@ -285,7 +336,8 @@ describe("Test Accounts service", () => {
 				verified: true,
 				status: 1,
 				avatar: "https://s3.amazonaws.com/uifaces/faces/twitter/ekvium/128.jpg",
-				token: expect.any(String)
+				token: expect.any(String),
+				refreshToken: expect.any(String)
 			});
 
 			expect(service.sendMail).toHaveBeenCalledTimes(1);
@@ -376,7 +428,8 @@ describe("Test Accounts service", () => {
 
 			const res = await broker.call("v1.accounts.verify", { token: user3VerificationToken });
 			expect(res).toEqual({
-				token: expect.any(String)
+				token: expect.any(String),
+				refreshToken: expect.any(String)
 			});
 
 			expect(service.sendMail).toHaveBeenCalledTimes(1);
@@ -486,7 +539,8 @@ describe("Test Accounts service", () => {
 			it("should logged with correct email & password", async () => {
 				const res = await broker.call("v1.accounts.login", { email: "user4@kantab.io", password: "password4" });
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -508,7 +562,8 @@ describe("Test Accounts service", () => {
 				service.config["accounts.username.enabled"] = true;
 				const res = await broker.call("v1.accounts.login", { email: "user4", password: "password4" });
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -741,7 +796,7 @@ describe("Test Accounts service", () => {
 			});
 
 			it("should throw error if token is invalid", async () => {
-				const wrongToken = await service.generateJWT({});
+				const wrongToken = await service.generateJWT(new Context(broker), {});
 				expect.assertions(4);
 				try {
 					await broker.call("v1.accounts.resolveToken", { token: wrongToken });
@@ -754,7 +809,7 @@ describe("Test Accounts service", () => {
 			});
 
 			it("should throw error if user is not found", async () => {
-				const wrongToken = await service.generateJWT({ id: 1 });
+				const wrongToken = await service.generateJWT(new Context(broker), { id: 1 });
 				expect.assertions(4);
 				try {
 					await broker.call("v1.accounts.resolveToken", { token: wrongToken });
@@ -963,7 +1018,8 @@ describe("Test Accounts service", () => {
 						google: 1000
 					},
 					verified: true,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -983,7 +1039,8 @@ describe("Test Accounts service", () => {
 						google: 1000
 					},
 					verified: true,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 
 				// TODO: check that link action is not called.
@@ -1006,7 +1063,8 @@ describe("Test Accounts service", () => {
 						facebook: 2000
 					},
 					verified: true,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1064,7 +1122,8 @@ describe("Test Accounts service", () => {
 					verified: true,
 					status: 1,
 					avatar: "social-avatar.jpg",
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1124,7 +1183,8 @@ describe("Test Accounts service", () => {
 						google: 4000
 					},
 					verified: true,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1143,7 +1203,8 @@ describe("Test Accounts service", () => {
 						google: 4000
 					},
 					verified: true,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1163,7 +1224,8 @@ describe("Test Accounts service", () => {
 						facebook: 5000
 					},
 					verified: true,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1205,7 +1267,8 @@ describe("Test Accounts service", () => {
 				verified: true,
 				status: 1,
 				createdAt: expect.any(Number),
-				token: expect.any(String)
+				token: expect.any(String),
+				refreshToken: expect.any(String)
 			});
 
 			delete savedUser.token;
@@ -1368,7 +1431,8 @@ describe("Test Accounts service", () => {
 			const res = await broker.call("v1.accounts.passwordless", { token: passwordlessToken });
 
 			expect(res).toEqual({
-				token: expect.any(String)
+				token: expect.any(String),
+				refreshToken: expect.any(String)
 			});
 		});
 
@@ -1376,7 +1440,8 @@ describe("Test Accounts service", () => {
 			const res = await broker.call("v1.accounts.passwordless", { token: passwordlessToken });
 
 			expect(res).toEqual({
-				token: expect.any(String)
+				token: expect.any(String),
+				refreshToken: expect.any(String)
 			});
 		});
 
@@ -1386,7 +1451,8 @@ describe("Test Accounts service", () => {
 			const res = await broker.call("v1.accounts.passwordless", { token: passwordlessToken });
 
 			expect(res).toEqual({
-				token: expect.any(String)
+				token: expect.any(String),
+				refreshToken: expect.any(String)
 			});
 
 			const user = await service.getUserByUsername(new Context(broker), "user10");
@@ -1438,7 +1504,8 @@ describe("Test Accounts service", () => {
 				const res = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
 
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1559,7 +1626,8 @@ describe("Test Accounts service", () => {
 				const res = await broker.call("v1.accounts.resetPassword", { token: resetToken, password: "newpass1234" });
 
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 
 				expect(service.sendMail).toHaveBeenCalledTimes(1);
@@ -1582,7 +1650,8 @@ describe("Test Accounts service", () => {
 				const res = await broker.call("v1.accounts.login", { email: user.email, password: "newpass1234" });
 
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1689,4 +1758,2148 @@ describe("Test Accounts service", () => {
 		});
 	});
 
+	describe("Test password hashing", () => {
+
+		const user = {
+			password: "Hash#Passw0rd",
+			email: "user20@kantab.io",
+			firstName: "User",
+			lastName: "Twenty"
+		};
+
+		beforeAll(() => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.password.history"] = 2;
+			service.config["accounts.hash.bcrypt.rounds"] = 4;
+			service.config["accounts.hash.scrypt.cost"] = 10;
+		});
+
+		afterAll(() => {
+			["password.history", "hash.algorithm", "hash.bcrypt.rounds", "hash.scrypt.cost"].forEach(key => delete service.config[`accounts.${key}`]);
+		});
+
+		it("should hash & verify with bcrypt", async () => {
+			const hash = await service.hashPassword("secret");
+			expect(hash).toMatch(/^\$2b\$04\$/);
+			expect(await service.verifyPassword("secret", hash)).toBe(true);
+			expect(await service.verifyPassword("wrong", hash)).toBe(false);
+
+			expect(service.passwordNeedsRehash(hash)).toBe(false);
+			service.config["accounts.hash.bcrypt.rounds"] = 5;
+			expect(service.passwordNeedsRehash(hash)).toBe(true);
+			service.config["accounts.hash.bcrypt.rounds"] = 4;
+		});
+
+		it("should hash & verify with scrypt", async () => {
+			service.config["accounts.hash.algorithm"] = "scrypt";
+
+			const hash = await service.hashPassword("secret");
+			expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+			expect(await service.verifyPassword("secret", hash)).toBe(true);
+			expect(await service.verifyPassword("wrong", hash)).toBe(false);
+
+			expect(service.passwordNeedsRehash(hash)).toBe(false);
+			service.config["accounts.hash.scrypt.cost"] = 11;
+			expect(service.passwordNeedsRehash(hash)).toBe(true);
+			service.config["accounts.hash.scrypt.cost"] = 10;
+
+			// Other algorithm
+			service.config["accounts.hash.algorithm"] = "bcrypt";
+			expect(service.passwordNeedsRehash(hash)).toBe(true);
+			expect(await service.verifyPassword("secret", hash)).toBe(true);
+		});
+
+		it("should check the argon2 parameters", async () => {
+			service.config["accounts.hash.algorithm"] = "argon2";
+
+			expect(service.passwordNeedsRehash("$argon2id$v=19$m=65536,t=3,p=1$c2FsdHNhbHQ$aGFzaA")).toBe(false);
+			expect(service.passwordNeedsRehash("$argon2id$v=19$m=4096,t=3,p=1$c2FsdHNhbHQ$aGFzaA")).toBe(true);
+			expect(service.passwordNeedsRehash("$argon2i$v=19$m=65536,t=3,p=1$c2FsdHNhbHQ$aGFzaA")).toBe(true);
+
+			service.config["accounts.hash.algorithm"] = "bcrypt";
+		});
+
+		it("should normalize & validate the hashing settings", async () => {
+			service.config["accounts.hash.algorithm"] = " SCrypt ";
+			expect(service.validateHasherOptions()).toEqual(expect.objectContaining({ algorithm: "scrypt", "scrypt.cost": 10 }));
+
+			service.config["accounts.hash.algorithm"] = "md5";
+			expect(() => service.validateHasherOptions()).toThrow("Unsupported password hashing algorithm: 'md5'");
+			await expect(service.hashPassword("secret")).rejects.toThrow("Unsupported password hashing algorithm: 'md5'");
+
+			service.config["accounts.hash.algorithm"] = "bcrypt";
+			service.config["accounts.hash.bcrypt.rounds"] = "ten";
+			expect(() => service.validateHasherOptions()).toThrow("Invalid password hashing option 'accounts.hash.bcrypt.rounds': 'ten'");
+			service.config["accounts.hash.bcrypt.rounds"] = 4;
+		});
+
+		it("should rehash the outdated hash on login", async () => {
+			const savedUser = await broker.call("v1.accounts.register", user);
+			const before = await service.adapter.findById(savedUser._id);
+			expect(before.password).toMatch(/^\$2b\$04\$/);
+
+			service.config["accounts.hash.algorithm"] = "scrypt";
+
+			const res = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			expect(res.token).toEqual(expect.any(String));
+
+			const after = await service.adapter.findById(savedUser._id);
+			expect(after.password).toMatch(/^\$scrypt\$ln=10,/);
+			expect(after.passwordHistory).toEqual([after.password]);
+
+			// Login with the new hash
+			const res2 = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			expect(res2.token).toEqual(expect.any(String));
+		});
+	});
+
+	describe("Test password policy", () => {
+
+		const user = {
+			password: "Str0ng!Pass99",
+			email: "user18@kantab.io",
+			firstName: "User",
+			lastName: "Eighteen"
+		};
+
+		const policy = {
+			minLength: 10,
+			minUppercase: 1,
+			minDigits: 2,
+			minSymbols: 1,
+			maxRepeated: 2,
+			personalInfo: true,
+			history: 2
+		};
+
+		let savedUser;
+
+		async function resetPassword(password) {
+			await service.adapter.updateById(savedUser._id, { $set: { resetToken: "reset-token-18", resetTokenExpires: Date.now() + 60 * 1000 } });
+			return await broker.call("v1.accounts.resetpassword", { token: "reset-token-18", password });
+		}
+
+		beforeAll(() => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			Object.keys(policy).forEach(rule => service.config[`accounts.password.${rule}`] = policy[rule]);
+			service.sendMail = jest.fn();
+		});
+
+		afterAll(() => {
+			Object.keys(policy).forEach(rule => delete service.config[`accounts.password.${rule}`]);
+		});
+
+		it("should return the violated rules", async () => {
+			expect.assertions(5);
+			try {
+				await broker.call("v1.accounts.register", Object.assign({}, user, { password: "aaabbbcc" }));
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.ValidationError);
+				expect(err.code).toBe(422);
+				expect(err.type).toBe("ERR_PASSWORD_POLICY");
+				expect(err.data.map(v => v.type)).toEqual(["minLength", "minUppercase", "minDigits", "minSymbols", "maxRepeated"]);
+				expect(err.data[0]).toEqual({
+					type: "minLength",
+					field: "password",
+					message: "The password must be at least 10 characters long.",
+					expected: 10
+				});
+			}
+		});
+
+		it("should not allow personal info in the password", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("v1.accounts.register", Object.assign({}, user, { password: "Eighteen!42x" }));
+			} catch (err) {
+				expect(err.data.map(v => v.type)).toEqual(["personalInfo"]);
+			}
+		});
+
+		it("should register with a valid password", async () => {
+			savedUser = await broker.call("v1.accounts.register", user);
+			expect(savedUser.passwordHistory).toBeUndefined();
+
+			const entity = await service.adapter.findById(savedUser._id);
+			expect(entity.passwordHistory).toEqual([entity.password]);
+		});
+
+		it("should not reuse the recent passwords", async () => {
+			expect.assertions(3);
+			try {
+				await resetPassword(user.password);
+			} catch (err) {
+				expect(err.type).toBe("ERR_PASSWORD_POLICY");
+				expect(err.data.map(v => v.type)).toEqual(["history"]);
+			}
+
+			const res = await resetPassword("N3w!Passw0rd1");
+			expect(res.token).toEqual(expect.any(String));
+		});
+
+		it("should allow the old passwords out of the history", async () => {
+			await resetPassword("0ther#Passw0rd");
+
+			// The history contains only the last 2 passwords
+			const res = await resetPassword(user.password);
+			expect(res.token).toEqual(expect.any(String));
+		});
+	});
+
+	describe("Test breached passwords check", () => {
+
+		const user = {
+			password: "Clean#Passw0rd",
+			email: "user19@kantab.io",
+			firstName: "User",
+			lastName: "Nineteen"
+		};
+
+		const breachedPassword = "Leaked#Passw0rd";
+
+		let dir;
+
+		function sha1(password) {
+			return crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+		}
+
+		// Add a password to the range file (with a padding line)
+		function addToDataset(password) {
+			const hash = sha1(password);
+			fs.appendFileSync(path.join(dir, `${hash.slice(0, 5)}.txt`), `${hash.slice(5)}:42\r\n0000000000000000000000000000000000A:0\r\n`);
+		}
+
+		beforeAll(async () => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), "breached-"));
+			addToDataset(breachedPassword);
+
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.password.breached"] = "block";
+			service.config["accounts.password.breachedDir"] = dir;
+			await service.refreshBreachedDataset();
+
+			service.sendMail = jest.fn();
+		});
+
+		afterAll(() => {
+			delete service.config["accounts.password.breached"];
+			delete service.config["accounts.password.breachedDir"];
+			service.breachedDatasetUpdatedAt = undefined;
+
+			fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+			fs.rmdirSync(dir);
+		});
+
+		it("should find the breached passwords in the range files", async () => {
+			expect(await service.isBreachedPassword(breachedPassword)).toBe(true);
+			expect(await service.isBreachedPassword(user.password)).toBe(false);
+		});
+
+		it("should reject breached password in 'block' mode", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.accounts.register", Object.assign({}, user, { password: breachedPassword }));
+			} catch (err) {
+				expect(err.type).toBe("ERR_PASSWORD_POLICY");
+				expect(err.data.map(v => v.type)).toEqual(["breached"]);
+			}
+		});
+
+		it("should flag breached password in 'warn' mode", async () => {
+			service.config["accounts.password.breached"] = "warn";
+
+			const res = await broker.call("v1.accounts.register", Object.assign({}, user, { email: "user19b@kantab.io", password: breachedPassword }));
+			expect(res.passwordBreached).toBe(true);
+
+			service.config["accounts.password.breached"] = "block";
+		});
+
+		it("should force a password reset if the password appears in the new dataset", async () => {
+			const savedUser = await broker.call("v1.accounts.register", user);
+			expect(savedUser.passwordBreached).toBe(false);
+			service.sendMail.mockClear();
+
+			// Import new data
+			addToDataset(user.password);
+			const future = new Date(Date.now() + 10 * 1000);
+			fs.writeFileSync(path.join(dir, "VERSION"), "2");
+			fs.utimesSync(path.join(dir, "VERSION"), future, future);
+			await service.refreshBreachedDataset();
+
+			for (let i = 0; i < 2; i++) {
+				const err = await broker.call("v1.accounts.login", { email: user.email, password: user.password }).catch(err => err);
+				expect(err.type).toBe("ERR_PASSWORD_RESET_REQUIRED");
+			}
+
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "password-breached", { token: expect.any(String) });
+
+			const { token } = service.sendMail.mock.calls[0][3];
+			await broker.call("v1.accounts.resetpassword", { token, password: "Fresh#Passw0rd" });
+
+			const res = await broker.call("v1.accounts.login", { email: user.email, password: "Fresh#Passw0rd" });
+			expect(res.token).toEqual(expect.any(String));
+		});
+	});
+
+	describe("Test brute-force protection", () => {
+
+		const user = {
+			password: "password17",
+			email: "user17@kantab.io",
+			firstName: "User",
+			lastName: "Seventeen"
+		};
+
+		let savedUser;
+
+		async function login(password, meta) {
+			try {
+				return await broker.call("v1.accounts.login", { email: user.email, password }, { meta: meta || {} });
+			} catch (err) {
+				return err;
+			}
+		}
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.lockout.enabled"] = true;
+			service.config["accounts.lockout.threshold"] = 3;
+			service.config["accounts.lockout.ipThreshold"] = 5;
+			service.config["accounts.lockout.duration"] = 60 * 1000;
+			service.config["accounts.lockout.backoff"] = 0;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			service.sendMail = jest.fn();
+		});
+
+		afterAll(() => {
+			service.config["accounts.lockout.enabled"] = false;
+		});
+
+		it("should lock the account after too many failed logins", async () => {
+			expect((await login("wrong")).type).toBe("ERR_WRONG_PASSWORD");
+			expect((await login("wrong")).type).toBe("ERR_WRONG_PASSWORD");
+			expect(service.sendMail).toHaveBeenCalledTimes(0);
+
+			expect((await login("wrong")).type).toBe("ERR_WRONG_PASSWORD");
+
+			const err = await login(user.password);
+			expect(err).toBeInstanceOf(E.MoleculerClientError);
+			expect(err.type).toBe("ERR_ACCOUNT_LOCKED");
+			expect(err.data.lockedUntil).toBeGreaterThan(Date.now());
+
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "account-locked", {
+				token: expect.any(String),
+				lockedUntil: expect.any(String)
+			});
+		});
+
+		it("should unlock the account by the emailed link", async () => {
+			const { token } = service.sendMail.mock.calls[0][3];
+
+			expect(await broker.call("v1.accounts.unlock", { token })).toBe(true);
+
+			const res = await login(user.password);
+			expect(res).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+
+			// The token can't be used twice
+			expect.assertions(3);
+			try {
+				await broker.call("v1.accounts.unlock", { token });
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should apply exponential back-off after a failed login", async () => {
+			service.config["accounts.lockout.backoff"] = 10 * 1000;
+
+			expect((await login("wrong")).type).toBe("ERR_WRONG_PASSWORD");
+
+			const err = await login(user.password);
+			expect(err.code).toBe(429);
+			expect(err.type).toBe("ERR_TOO_MANY_ATTEMPTS");
+			expect(err.data.retryAfter).toBeGreaterThan(Date.now());
+
+			expect(service.getBackoffDelay(1)).toBe(10 * 1000);
+			expect(service.getBackoffDelay(3)).toBe(40 * 1000);
+			// Never longer than the lockout duration
+			expect(service.getBackoffDelay(5)).toBe(60 * 1000);
+
+			service.config["accounts.lockout.backoff"] = 0;
+		});
+
+		it("should unlock the account by an administrator", async () => {
+			await login("wrong");
+			await login("wrong");
+			expect((await login(user.password)).type).toBe("ERR_ACCOUNT_LOCKED");
+
+			const res = await broker.call("v1.accounts.unlockAccount", { id: savedUser._id });
+			expect(res).toEqual({ lockedUntil: null });
+
+			expect((await login(user.password)).token).toEqual(expect.any(String));
+		});
+
+		it("should count the parallel failed logins", async () => {
+			service.sendMail.mockClear();
+
+			await Promise.all([login("wrong"), login("wrong"), login("wrong")]);
+			expect((await login(user.password)).type).toBe("ERR_ACCOUNT_LOCKED");
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+
+			await broker.call("v1.accounts.unlockAccount", { id: savedUser._id });
+		});
+
+		it("should block the IP address after too many failed logins", async () => {
+			const meta = { ip: "10.0.0.99" };
+			for (let i = 0; i < 5; i++) {
+				const err = await broker.call("v1.accounts.login", { email: "nobody@kantab.io", password: "wrong" }, { meta }).catch(err => err);
+				expect(err.type).toBe("ERR_USER_NOT_FOUND");
+			}
+
+			const err = await login(user.password, meta);
+			expect(err.code).toBe(429);
+			expect(err.type).toBe("ERR_TOO_MANY_ATTEMPTS");
+
+			// Other IP addresses are not affected
+			expect((await login(user.password, { ip: "10.0.0.100" })).token).toEqual(expect.any(String));
+		});
+
+		it("should not lock the account if the lockout is disabled by the environment", async () => {
+			// The values from the environment variables are strings
+			service.config["accounts.lockout.enabled"] = "false";
+
+			for (let i = 0; i < 3; i++)
+				expect((await login("wrong", { ip: "10.0.0.101" })).type).toBe("ERR_WRONG_PASSWORD");
+			expect((await login(user.password, { ip: "10.0.0.101" })).token).toEqual(expect.any(String));
+
+			service.config["accounts.lockout.enabled"] = true;
+		});
+	});
+
+	describe("Test 2FA recovery codes", () => {
+
+		const user = {
+			password: "Recovery#Passw0rd",
+			email: "user21@kantab.io",
+			firstName: "User",
+			lastName: "TwentyOne"
+		};
+
+		let savedUser, meta, secret, recoveryCodes;
+
+		const login = token => broker.call("v1.accounts.login", { email: user.email, password: user.password, token }).catch(err => err);
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+		});
+
+		it("should return recovery codes on confirming 2FA", async () => {
+			({ secret } = await broker.call("v1.accounts.enable2Fa", {}, { meta }));
+
+			const res = await broker.call("v1.accounts.enable2Fa", { token: service.generate2FaToken(secret) }, { meta });
+			expect(res.recoveryCodes.length).toBe(10);
+			res.recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/));
+
+			recoveryCodes = res.recoveryCodes;
+
+			expect(await broker.call("v1.tokens.count", { type: "recovery-code", owner: savedUser._id })).toBe(10);
+		});
+
+		it("should login with a recovery code", async () => {
+			expect((await login()).type).toBe("ERR_MISSING_2FA_CODE");
+
+			const res = await login(recoveryCodes[0].toUpperCase());
+			expect(res.token).toEqual(expect.any(String));
+
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "recovery-code-used", { remaining: 9 });
+		});
+
+		it("should not accept a recovery code twice", async () => {
+			expect((await login(recoveryCodes[0])).type).toBe("TWOFACTOR_INVALID_TOKEN");
+			expect((await login(service.generate2FaToken(secret))).token).toEqual(expect.any(String));
+		});
+
+		it("should accept a recovery code once in parallel", async () => {
+			const entity = await service.adapter.findById(savedUser._id);
+			const ctx = new Context(broker);
+
+			const results = await Promise.all([service.useRecoveryCode(ctx, entity, recoveryCodes[2]), service.useRecoveryCode(ctx, entity, recoveryCodes[2])]);
+			expect(results).toEqual(expect.arrayContaining([true, false]));
+			expect((await login(recoveryCodes[2])).type).toBe("TWOFACTOR_INVALID_TOKEN");
+		});
+
+		it("should regenerate the recovery codes", async () => {
+			const res = await broker.call("v1.accounts.regenerateRecoveryCodes", { token: service.generate2FaToken(secret) }, { meta });
+			expect(res.recoveryCodes.length).toBe(10);
+
+			expect((await login(recoveryCodes[1])).type).toBe("TWOFACTOR_INVALID_TOKEN");
+			expect((await login(res.recoveryCodes[1])).token).toEqual(expect.any(String));
+		});
+
+		it("should remove the recovery codes on disabling 2FA", async () => {
+			await broker.call("v1.accounts.disable2Fa", { token: service.generate2FaToken(secret) }, { meta });
+
+			expect(await broker.call("v1.tokens.count", { type: "recovery-code", owner: savedUser._id })).toBe(0);
+		});
+	});
+
+	describe("Test email 2FA", () => {
+
+		const user = {
+			password: "EmailOtp#Passw0rd",
+			email: "user23@kantab.io",
+			firstName: "User",
+			lastName: "TwentyThree"
+		};
+
+		let savedUser, meta;
+
+		const login = () => broker.call("v1.accounts.login", { email: user.email, password: user.password });
+		const verify = (challenge, code) => broker.call("v1.accounts.verifyEmail2Fa", { challenge, code }).catch(err => err);
+
+		// The code of the last sent mail
+		const lastCode = () => service.sendMail.mock.calls[service.sendMail.mock.calls.length - 1][3].code;
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+			service.config["mail.enabled"] = true;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+		});
+
+		it("should enable the email 2FA after confirming the code", async () => {
+			const { challenge } = await broker.call("v1.accounts.enableEmail2Fa", {}, { meta });
+			expect(challenge).toEqual(expect.any(String));
+
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "two-factor-code", { code: expect.stringMatching(/^\d{6}$/), expiresIn: 10 });
+
+			const err = await broker.call("v1.accounts.enableEmail2Fa", { challenge, code: "wrong" }, { meta }).catch(err => err);
+			expect(err.type).toBe("TWOFACTOR_INVALID_TOKEN");
+
+			expect(await broker.call("v1.accounts.enableEmail2Fa", { challenge, code: lastCode() }, { meta })).toBe(true);
+		});
+
+		it("should return a challenge on login & verify the emailed code", async () => {
+			service.sendMail.mockClear();
+
+			const res = await login();
+			expect(res).toEqual({ twoFactor: "email", challenge: expect.any(String), methods: ["email"] });
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+
+			expect((await verify(res.challenge, "000000" == lastCode() ? "000001" : "000000")).type).toBe("TWOFACTOR_INVALID_TOKEN");
+
+			const tokens = await verify(res.challenge, lastCode());
+			expect(tokens).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+
+			// Single-use
+			expect((await verify(res.challenge, lastCode())).type).toBe("ERR_INVALID_2FA_CHALLENGE");
+		});
+
+		it("should invalidate the code after too many attempts", async () => {
+			service.config["accounts.two-factor.email.maxAttempts"] = 3;
+
+			const { challenge } = await login();
+			const wrong = "000000" == lastCode() ? "000001" : "000000";
+
+			for (let i = 0; i < 3; i++)
+				expect((await verify(challenge, wrong)).type).toBe("TWOFACTOR_INVALID_TOKEN");
+
+			expect((await verify(challenge, lastCode())).type).toBe("ERR_INVALID_2FA_CHALLENGE");
+
+			delete service.config["accounts.two-factor.email.maxAttempts"];
+		});
+
+		it("should count the parallel attempts & accept the code once", async () => {
+			service.config["accounts.two-factor.email.maxAttempts"] = 3;
+
+			let { challenge } = await login();
+			const wrong = "000000" == lastCode() ? "000001" : "000000";
+
+			await Promise.all([verify(challenge, wrong), verify(challenge, wrong), verify(challenge, wrong)]);
+			expect((await verify(challenge, lastCode())).type).toBe("ERR_INVALID_2FA_CHALLENGE");
+
+			({ challenge } = await login());
+			const results = await Promise.all([verify(challenge, lastCode()), verify(challenge, lastCode())]);
+			expect(results.filter(res => res.token).length).toBe(1);
+
+			delete service.config["accounts.two-factor.email.maxAttempts"];
+		});
+
+		it("should reject the expired code", async () => {
+			service.config["accounts.two-factor.email.expires"] = -1;
+
+			const { challenge } = await login();
+			expect((await verify(challenge, lastCode())).type).toBe("ERR_INVALID_2FA_CHALLENGE");
+
+			delete service.config["accounts.two-factor.email.expires"];
+		});
+
+		it("should not accept the challenge of other purpose", async () => {
+			const { challenge } = await broker.call("v1.accounts.disableEmail2Fa", {}, { meta });
+			expect((await verify(challenge, lastCode())).type).toBe("ERR_INVALID_2FA_CHALLENGE");
+		});
+
+		it("should disable the email 2FA after confirming the code", async () => {
+			const { challenge } = await broker.call("v1.accounts.disableEmail2Fa", {}, { meta });
+			expect(await broker.call("v1.accounts.disableEmail2Fa", { challenge, code: lastCode() }, { meta })).toBe(true);
+
+			expect((await login()).token).toEqual(expect.any(String));
+		});
+	});
+
+	describe("Test SMS 2FA", () => {
+
+		const user = {
+			password: "SmsOtp#Passw0rd",
+			email: "user24@kantab.io",
+			firstName: "User",
+			lastName: "TwentyFour"
+		};
+
+		let savedUser, meta;
+
+		const login = method => broker.call("v1.accounts.login", { email: user.email, password: user.password, method });
+		const verify = (challenge, code) => broker.call("v1.accounts.verifySms2Fa", { challenge, code }).catch(err => err);
+
+		// The code of the last text message
+		const lastCode = () => smsSendMock.mock.calls[smsSendMock.mock.calls.length - 1][0].params.data.code;
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+			service.config["mail.enabled"] = true;
+			service.config["sms.enabled"] = true;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+		});
+
+		it("should reject invalid phone numbers", async () => {
+			const err = await broker.call("v1.accounts.setPhone", { phone: "06-30-123" }, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_INVALID_PHONE");
+		});
+
+		it("should not enable SMS 2FA without verified phone", async () => {
+			const err = await broker.call("v1.accounts.enableSms2Fa", {}, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_PHONE_NOT_VERIFIED");
+		});
+
+		it("should not send codes if the SMS is disabled by the environment", async () => {
+			// The values from the environment variables are strings
+			service.config["sms.enabled"] = "false";
+			smsSendMock.mockClear();
+
+			const err = await broker.call("v1.accounts.setPhone", { phone: "+36 (30) 123-4567" }, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_SMS_2FA_UNAVAILABLE");
+			expect(smsSendMock).toHaveBeenCalledTimes(0);
+
+			service.config["sms.enabled"] = true;
+		});
+
+		it("should verify the phone number with the sent code", async () => {
+			smsSendMock.mockClear();
+
+			const { challenge } = await broker.call("v1.accounts.setPhone", { phone: "+36 (30) 123-4567" }, { meta });
+			expect(smsSendMock).toHaveBeenCalledTimes(1);
+			expect(smsSendMock.mock.calls[0][0].params).toEqual({
+				to: "+36301234567",
+				template: "two-factor-code",
+				data: { code: expect.stringMatching(/^\d{6}$/), expiresIn: 10, user: { firstName: "User", lastName: "TwentyFour" } }
+			});
+
+			const err = await broker.call("v1.accounts.verifyPhone", { challenge, code: "wrong" }, { meta }).catch(err => err);
+			expect(err.type).toBe("TWOFACTOR_INVALID_TOKEN");
+
+			expect(await broker.call("v1.accounts.verifyPhone", { challenge, code: lastCode() }, { meta })).toEqual({ phone: "+36301234567" });
+
+			const res = await broker.call("v1.accounts.get", { id: savedUser._id });
+			expect(res.phone).toBe("+36301234567");
+			expect(res.phoneVerified).toBe(true);
+		});
+
+		it("should login with the SMS code", async () => {
+			expect(await broker.call("v1.accounts.enableSms2Fa", {}, { meta })).toBe(true);
+
+			const res = await login();
+			expect(res).toEqual({ twoFactor: "sms", challenge: expect.any(String), methods: ["sms"] });
+
+			// The email challenge is not accepted
+			expect((await broker.call("v1.accounts.verifyEmail2Fa", { challenge: res.challenge, code: lastCode() }).catch(err => err)).type).toBe("ERR_INVALID_2FA_CHALLENGE");
+
+			expect(await verify(res.challenge, lastCode())).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+		});
+
+		it("should send the code by the chosen channel", async () => {
+			const { challenge } = await broker.call("v1.accounts.enableEmail2Fa", {}, { meta });
+			const emailCode = service.sendMail.mock.calls[service.sendMail.mock.calls.length - 1][3].code;
+			await broker.call("v1.accounts.enableEmail2Fa", { challenge, code: emailCode }, { meta });
+
+			expect((await login("sms")).twoFactor).toBe("sms");
+			expect((await login("email")).twoFactor).toBe("email");
+			expect((await login()).methods).toEqual(["email", "sms"]);
+		});
+
+		it("should not change the phone number while SMS 2FA is enabled", async () => {
+			const err = await broker.call("v1.accounts.removePhone", {}, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_SMS_2FA_ENABLED");
+
+			const err2 = await broker.call("v1.accounts.setPhone", { phone: "+36309999999" }, { meta }).catch(err => err);
+			expect(err2.type).toBe("ERR_SMS_2FA_ENABLED");
+
+			// The code was sent before enabling the SMS 2FA
+			await service.adapter.updateById(savedUser._id, { $set: { "smsOtp.enabled": false } });
+			const { challenge } = await broker.call("v1.accounts.setPhone", { phone: "+36309999999" }, { meta });
+			await service.adapter.updateById(savedUser._id, { $set: { "smsOtp.enabled": true } });
+
+			const err3 = await broker.call("v1.accounts.verifyPhone", { challenge, code: lastCode() }, { meta }).catch(err => err);
+			expect(err3.type).toBe("ERR_SMS_2FA_ENABLED");
+			expect((await broker.call("v1.accounts.get", { id: savedUser._id })).phone).toBe("+36301234567");
+		});
+
+		it("should disable SMS 2FA & remove the phone number", async () => {
+			const { challenge } = await broker.call("v1.accounts.disableSms2Fa", {}, { meta });
+			expect(await broker.call("v1.accounts.disableSms2Fa", { challenge, code: lastCode() }, { meta })).toBe(true);
+
+			expect(await broker.call("v1.accounts.removePhone", {}, { meta })).toBe(true);
+			expect((await login()).methods).toEqual(["email"]);
+		});
+	});
+
+	describe("Test WebAuthn", () => {
+
+		const user = {
+			password: "WebAuthn#Passw0rd",
+			email: "user22@kantab.io",
+			firstName: "User",
+			lastName: "TwentyTwo"
+		};
+
+		const ORIGIN = "http://localhost:4000";
+
+		let savedUser, meta, device, securityKey;
+
+		const b64url = buf => buf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+		const sha256 = data => crypto.createHash("sha256").update(data).digest();
+
+		// Minimal CBOR encoder for the software authenticator
+		function cbor(value) {
+			const head = (major, length) => {
+				if (length < 24) return Buffer.from([major << 5 | length]);
+				if (length < 0x100) return Buffer.from([major << 5 | 24, length]);
+				const buf = Buffer.alloc(3);
+				buf[0] = major << 5 | 25;
+				buf.writeUInt16BE(length, 1);
+				return buf;
+			};
+
+			if (Number.isInteger(value))
+				return value >= 0 ? head(0, value) : head(1, -1 - value);
+			if (Buffer.isBuffer(value))
+				return Buffer.concat([head(2, value.length), value]);
+			if (typeof value == "string")
+				return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+			if (Array.isArray(value))
+				return Buffer.concat([head(4, value.length)].concat(value.map(cbor)));
+
+			const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+			return Buffer.concat([head(5, entries.length)].concat(...entries.map(([k, v]) => [cbor(k), cbor(v)])));
+		}
+
+		function createAuthenticator() {
+			const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+			const point = publicKey.export({ type: "spki", format: "der" }).slice(-64);
+
+			return {
+				id: crypto.randomBytes(16),
+				privateKey,
+				counter: 0,
+				cose: new Map([[1, 2], [3, -7], [-1, 1], [-2, point.slice(0, 32)], [-3, point.slice(32)]])
+			};
+		}
+
+		function authenticatorData(authenticator, flags, attested) {
+			const counter = Buffer.alloc(4);
+			counter.writeUInt32BE(authenticator.counter);
+
+			const parts = [sha256("localhost"), Buffer.from([flags]), counter];
+			if (attested) {
+				const length = Buffer.alloc(2);
+				length.writeUInt16BE(authenticator.id.length);
+				parts.push(Buffer.alloc(16), length, authenticator.id, cbor(authenticator.cose));
+			}
+			return Buffer.concat(parts);
+		}
+
+		const clientData = (type, challenge, origin = ORIGIN) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+		function attestation(authenticator, options, { fmt = "none", origin } = {}) {
+			const clientDataJSON = clientData("webauthn.create", options.challenge, origin);
+			const authData = authenticatorData(authenticator, 0x45, true);
+
+			const attStmt = {};
+			if (fmt == "packed") {
+				attStmt.alg = -7;
+				attStmt.sig = crypto.sign("sha256", Buffer.concat([authData, sha256(clientDataJSON)]), authenticator.privateKey);
+			}
+
+			return {
+				id: b64url(authenticator.id),
+				response: {
+					clientDataJSON: b64url(clientDataJSON),
+					attestationObject: b64url(cbor({ fmt, attStmt, authData })),
+					transports: ["usb"]
+				}
+			};
+		}
+
+		function assertion(authenticator, options, { flags = 0x05, privateKey } = {}) {
+			authenticator.counter++;
+
+			const clientDataJSON = clientData("webauthn.get", options.challenge);
+			const authData = authenticatorData(authenticator, flags);
+			const signature = crypto.sign("sha256", Buffer.concat([authData, sha256(clientDataJSON)]), privateKey || authenticator.privateKey);
+
+			return {
+				id: b64url(authenticator.id),
+				response: {
+					clientDataJSON: b64url(clientDataJSON),
+					authenticatorData: b64url(authData),
+					signature: b64url(signature),
+					userHandle: b64url(Buffer.from(savedUser._id))
+				}
+			};
+		}
+
+		async function register(authenticator, opts) {
+			const options = await broker.call("v1.accounts.webauthnRegisterBegin", {}, { meta });
+			return broker.call("v1.accounts.webauthnRegisterFinish", { credential: attestation(authenticator, options, opts), name: "Test key" }, { meta }).catch(err => err);
+		}
+
+		async function passkeyLogin(authenticator, opts) {
+			const options = await broker.call("v1.accounts.webauthnLoginBegin", {});
+			return broker.call("v1.accounts.webauthnLoginFinish", { credential: assertion(authenticator, options, opts) }).catch(err => err);
+		}
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.webauthn.origin"] = ORIGIN;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+
+			device = createAuthenticator();
+			securityKey = createAuthenticator();
+		});
+
+		it("should return the registration options", async () => {
+			const options = await broker.call("v1.accounts.webauthnRegisterBegin", {}, { meta });
+
+			expect(options).toEqual(expect.objectContaining({
+				challenge: expect.any(String),
+				rp: expect.objectContaining({ id: "localhost" }),
+				user: {
+					id: b64url(Buffer.from(savedUser._id)),
+					name: user.email,
+					displayName: "User TwentyTwo"
+				},
+				excludeCredentials: []
+			}));
+			expect(options.pubKeyCredParams.map(p => p.alg)).toEqual([-7, -8, -257]);
+		});
+
+		it("should register authenticators with none & packed self attestation", async () => {
+			const res = await register(device);
+			expect(res).toEqual(expect.objectContaining({
+				owner: savedUser._id,
+				name: "Test key",
+				credentialID: b64url(device.id),
+				algorithm: -7,
+				counter: 0,
+				transports: ["usb"],
+				lastUsedAt: null
+			}));
+			expect(res.publicKey).toBeUndefined();
+
+			expect((await register(securityKey, { fmt: "packed" })).algorithm).toBe(-7);
+
+			const list = await broker.call("v1.accounts.authenticators", {}, { meta });
+			expect(list.length).toBe(2);
+		});
+
+		it("should reject invalid registrations", async () => {
+			expect((await register(createAuthenticator(), { origin: "http://evil.com" })).type).toBe("ERR_WEBAUTHN_INVALID_CREDENTIAL");
+			expect((await register(device)).type).toBe("ERR_WEBAUTHN_ALREADY_REGISTERED");
+
+			// Replayed challenge
+			const options = await broker.call("v1.accounts.webauthnRegisterBegin", {}, { meta });
+			const other = createAuthenticator();
+			await broker.call("v1.accounts.webauthnRegisterFinish", { credential: attestation(other, options) }, { meta });
+			const err = await broker.call("v1.accounts.webauthnRegisterFinish", { credential: attestation(createAuthenticator(), options) }, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_WEBAUTHN_INVALID_CHALLENGE");
+
+			const list = await broker.call("v1.accounts.authenticators", {}, { meta });
+			await broker.call("v1.accounts.removeAuthenticator", { authenticatorID: list.find(item => item.credentialID == b64url(other.id))._id }, { meta });
+		});
+
+		it("should login with a passkey without password", async () => {
+			const res = await passkeyLogin(device);
+			expect(res).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+
+			const list = await broker.call("v1.accounts.authenticators", {}, { meta });
+			const item = list.find(item => item.credentialID == b64url(device.id));
+			expect(item.counter).toBe(1);
+			expect(item.lastUsedAt).toEqual(expect.any(Number));
+		});
+
+		it("should reject the passwordless login without user verification", async () => {
+			expect((await passkeyLogin(device, { flags: 0x01 })).type).toBe("ERR_WEBAUTHN_USER_VERIFICATION_REQUIRED");
+		});
+
+		it("should reject invalid signature & not increasing counter", async () => {
+			expect((await passkeyLogin(device, { privateKey: securityKey.privateKey })).type).toBe("ERR_WEBAUTHN_INVALID_SIGNATURE");
+
+			device.counter = 0;
+			expect((await passkeyLogin(device)).type).toBe("ERR_WEBAUTHN_INVALID_COUNTER");
+			device.counter = 10;
+		});
+
+		it("should require the second factor on password login", async () => {
+			const err = await broker.call("v1.accounts.login", { email: user.email, password: user.password }).catch(err => err);
+			expect(err.type).toBe("ERR_MISSING_2FA_CODE");
+			expect(err.data).toEqual({ methods: ["webauthn"] });
+
+			const options = await broker.call("v1.accounts.webauthnLoginBegin", { email: user.email });
+			expect(options.allowCredentials.map(item => item.id).sort()).toEqual([b64url(device.id), b64url(securityKey.id)].sort());
+
+			// User presence is enough for the second factor
+			const res = await broker.call("v1.accounts.login", { email: user.email, password: user.password, webauthn: assertion(securityKey, options, { flags: 0x01 }) });
+			expect(res.token).toEqual(expect.any(String));
+		});
+
+		it("should validate the WebAuthn assertions", async () => {
+			const err = await broker.call("v1.accounts.login", { email: user.email, password: user.password, webauthn: {} }).catch(err => err);
+			expect(err).toBeInstanceOf(E.ValidationError);
+
+			const err2 = await broker.call("v1.accounts.reauthenticate", { webauthn: { id: "x", response: {} } }, { meta }).catch(err => err);
+			expect(err2).toBeInstanceOf(E.ValidationError);
+
+			const err3 = await broker.call("v1.accounts.changePassword", { oldPassword: user.password, password: "New#Passw0rd", webauthn: {} }, { meta }).catch(err => err);
+			expect(err3).toBeInstanceOf(E.ValidationError);
+		});
+
+		it("should remove the authenticators", async () => {
+			const list = await broker.call("v1.accounts.authenticators", {}, { meta });
+			for (const item of list)
+				expect(await broker.call("v1.accounts.removeAuthenticator", { authenticatorID: item._id }, { meta })).toBe(true);
+
+			expect((await passkeyLogin(device)).type).toBe("ERR_WEBAUTHN_AUTHENTICATOR_NOT_FOUND");
+
+			const res = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			expect(res.token).toEqual(expect.any(String));
+		});
+	});
+
+	describe("Test trusted devices", () => {
+
+		const user = {
+			password: "Trusted#Passw0rd",
+			email: "user25@kantab.io",
+			firstName: "User",
+			lastName: "TwentyFive"
+		};
+
+		let savedUser, meta, secret, deviceToken;
+
+		const login = (params, callMeta) => broker.call("v1.accounts.login", Object.assign({ email: user.email, password: user.password }, params), { meta: callMeta }).catch(err => err);
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+
+			({ secret } = await broker.call("v1.accounts.enable2Fa", {}, { meta }));
+			await broker.call("v1.accounts.enable2Fa", { token: service.generate2FaToken(secret) }, { meta });
+		});
+
+		it("should return a device token after the 2FA", async () => {
+			const res = await login({ token: service.generate2FaToken(secret), rememberDevice: true }, { userAgent: "Test browser", ip: "10.0.0.1" });
+			expect(res).toEqual({
+				token: expect.any(String),
+				refreshToken: expect.any(String),
+				deviceToken: expect.any(String),
+				deviceTokenExpires: expect.any(Number)
+			});
+			expect(res.deviceTokenExpires).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+			deviceToken = res.deviceToken;
+
+			// Not without `rememberDevice`
+			expect((await login({ token: service.generate2FaToken(secret) })).deviceToken).toBeUndefined();
+		});
+
+		it("should skip the 2FA on the trusted device", async () => {
+			expect((await login()).type).toBe("ERR_MISSING_2FA_CODE");
+
+			expect((await login({ deviceToken })).token).toEqual(expect.any(String));
+			// From the cookie
+			expect((await login({}, { deviceToken })).token).toEqual(expect.any(String));
+
+			// The password is still required
+			expect((await login({ deviceToken, password: "wrong-password" })).type).toBe("ERR_WRONG_PASSWORD");
+		});
+
+		it("should not accept the device token as an access token or for other users", async () => {
+			const err = await broker.call("v1.accounts.resolveToken", { token: deviceToken }).catch(err => err);
+			expect(err.type).toBe("INVALID_TOKEN");
+
+			const accessToken = (await login({ token: service.generate2FaToken(secret) })).token;
+			expect((await login({ deviceToken: accessToken })).type).toBe("ERR_MISSING_2FA_CODE");
+		});
+
+		it("should list the trusted devices", async () => {
+			const res = await broker.call("v1.accounts.trustedDevices", {}, { meta });
+			expect(res).toEqual([{
+				id: expect.any(String),
+				userAgent: "Test browser",
+				ip: "10.0.0.1",
+				createdAt: expect.any(Number),
+				lastUsedAt: expect.any(Number),
+				expiresAt: expect.any(Number)
+			}]);
+		});
+
+		it("should revoke a trusted device", async () => {
+			const [device] = await broker.call("v1.accounts.trustedDevices", {}, { meta });
+
+			const err = await broker.call("v1.accounts.revokeTrustedDevice", { deviceID: "not-exists" }, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_TRUSTED_DEVICE_NOT_FOUND");
+
+			expect(await broker.call("v1.accounts.revokeTrustedDevice", { deviceID: device.id }, { meta })).toBe(true);
+
+			expect((await login({ deviceToken })).type).toBe("ERR_MISSING_2FA_CODE");
+			expect(await broker.call("v1.accounts.trustedDevices", {}, { meta })).toEqual([]);
+		});
+
+		it("should revoke all trusted devices", async () => {
+			await login({ token: service.generate2FaToken(secret), rememberDevice: true });
+			await login({ token: service.generate2FaToken(secret), rememberDevice: true });
+
+			expect(await broker.call("v1.accounts.revokeAllTrustedDevices", {}, { meta })).toBe(2);
+			expect(await broker.call("v1.accounts.trustedDevices", {}, { meta })).toEqual([]);
+		});
+
+		it("should not issue device token if it is disabled", async () => {
+			service.config["accounts.two-factor.trustedDevice.days"] = 0;
+
+			const res = await login({ token: service.generate2FaToken(secret), rememberDevice: true });
+			expect(res.token).toEqual(expect.any(String));
+			expect(res.deviceToken).toBeUndefined();
+
+			delete service.config["accounts.two-factor.trustedDevice.days"];
+		});
+	});
+
+	describe("Test mandatory 2FA", () => {
+
+		const user = {
+			password: "Mandatory#Passw0rd",
+			email: "user26@kantab.io",
+			firstName: "User",
+			lastName: "TwentySix"
+		};
+
+		let savedUser, meta, secret;
+
+		const login = token => broker.call("v1.accounts.login", { email: user.email, password: user.password, token }).catch(err => err);
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+			service.config["accounts.two-factor.requiredRoles"] = ["administrator"];
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+		});
+
+		afterAll(() => {
+			service.config["accounts.two-factor.requiredRoles"] = [];
+		});
+
+		it("should not enable 2FA if it is disabled", async () => {
+			service.config["accounts.two-factor.enabled"] = false;
+
+			for (const action of ["enable2Fa", "enableEmail2Fa", "enableSms2Fa"]) {
+				const err = await broker.call(`v1.accounts.${action}`, {}, { meta }).catch(err => err);
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_TWOFACTOR_DISABLED");
+			}
+
+			service.config["accounts.two-factor.enabled"] = "false";
+			expect((await broker.call("v1.accounts.enable2Fa", {}, { meta }).catch(err => err)).type).toBe("ERR_TWOFACTOR_DISABLED");
+
+			service.config["accounts.two-factor.enabled"] = true;
+		});
+
+		it("should login normally without the required roles", async () => {
+			const res = await login();
+			expect(res).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+		});
+
+		it("should return an enrollment token for the required roles", async () => {
+			await broker.call("v1.accounts.update", { id: savedUser._id, roles: ["administrator"] });
+
+			const res = await login();
+			expect(res).toEqual({ twoFactorEnrollment: true, token: expect.any(String) });
+
+			const resolved = await broker.call("v1.accounts.resolveToken", { token: res.token });
+			expect(resolved.twoFactorEnrollment).toBe(true);
+			expect(resolved.sessionID).toBeUndefined();
+
+			// Not required if the 2FA is disabled (also by the string of the environment variable)
+			service.config["accounts.two-factor.enabled"] = false;
+			expect((await login()).refreshToken).toEqual(expect.any(String));
+			service.config["accounts.two-factor.enabled"] = "false";
+			expect((await login()).refreshToken).toEqual(expect.any(String));
+			service.config["accounts.two-factor.enabled"] = true;
+		});
+
+		it("should permit only the 2FA setup with the enrollment token", async () => {
+			const roles = [C.ROLE_EVERYONE, C.ROLE_TWOFACTOR_ENROLLMENT];
+
+			expect(broker.findNextActionEndpoint("v1.accounts.enable2Fa").action.permissions).toContain(C.ROLE_TWOFACTOR_ENROLLMENT);
+			expect(await broker.call("v1.acl.hasAccess", { roles, permissions: broker.findNextActionEndpoint("v1.accounts.enable2Fa").action.permissions })).toBe(true);
+			expect(await broker.call("v1.acl.hasAccess", { roles, permissions: broker.findNextActionEndpoint("v1.accounts.sessions").action.permissions })).toBe(false);
+			expect(await broker.call("v1.acl.hasAccess", { roles, permissions: broker.findNextActionEndpoint("v1.accounts.createApiKey").action.permissions })).toBe(false);
+		});
+
+		it("should login with 2FA after the setup", async () => {
+			const enrollmentMeta = Object.assign({ twoFactorEnrollment: true }, meta);
+			({ secret } = await broker.call("v1.accounts.enable2Fa", {}, { meta: enrollmentMeta }));
+			await broker.call("v1.accounts.enable2Fa", { token: service.generate2FaToken(secret) }, { meta: enrollmentMeta });
+
+			expect((await login()).type).toBe("ERR_MISSING_2FA_CODE");
+			expect(await login(service.generate2FaToken(secret))).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+		});
+	});
+
+	describe("Test re-authentication", () => {
+
+		const user = {
+			password: "Sudo#Passw0rd",
+			email: "user27@kantab.io",
+			firstName: "User",
+			lastName: "TwentySeven"
+		};
+
+		let meta, secret;
+
+		const unlink = callMeta => broker.call("v1.accounts.unlink", { provider: "github" }, { meta: callMeta }).catch(err => err);
+		const reauthenticate = params => broker.call("v1.accounts.reauthenticate", params, { meta }).catch(err => err);
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+
+			const savedUser = await broker.call("v1.accounts.register", user);
+			const { token } = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			const { sessionID } = await broker.call("v1.accounts.resolveToken", { token });
+
+			meta = { userID: savedUser._id, user: { email: user.email }, roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED], sessionID };
+		});
+
+		it("should reject the sensitive actions without re-authentication", async () => {
+			const err = await unlink(meta);
+			expect(err).toBeInstanceOf(E.MoleculerClientError);
+			expect(err.code).toBe(403);
+			expect(err.type).toBe("ERR_REAUTHENTICATION_REQUIRED");
+
+			// Without session (e.g. API key)
+			expect((await unlink(Object.assign({}, meta, { sessionID: undefined }))).type).toBe("ERR_REAUTHENTICATION_REQUIRED");
+
+			// Internal calls are not checked
+			expect((await unlink({ userID: meta.userID })).email).toBe(user.email);
+		});
+
+		it("should throw error if the credentials are wrong or missing", async () => {
+			expect((await reauthenticate({})).type).toBe("ERR_MISSING_CREDENTIALS");
+			expect((await reauthenticate({ password: "wrong-password" })).type).toBe("ERR_WRONG_PASSWORD");
+			expect((await reauthenticate({ token: "123456" })).type).toBe("TWOFACTOR_INVALID_TOKEN");
+
+			const err = await broker.call("v1.accounts.reauthenticate", { password: user.password }, { meta: Object.assign({}, meta, { sessionID: undefined }) }).catch(err => err);
+			expect(err.type).toBe("ERR_SESSION_NOT_FOUND");
+
+			expect((await unlink(meta)).type).toBe("ERR_REAUTHENTICATION_REQUIRED");
+		});
+
+		it("should elevate the session with the password", async () => {
+			const res = await reauthenticate({ password: user.password });
+			expect(res.elevatedUntil).toBeGreaterThan(Date.now() + 4 * 60 * 1000);
+
+			expect((await unlink(meta)).email).toBe(user.email);
+		});
+
+		it("should not elevate other sessions", async () => {
+			const { token } = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			const { sessionID } = await broker.call("v1.accounts.resolveToken", { token });
+
+			expect((await unlink(Object.assign({}, meta, { sessionID }))).type).toBe("ERR_REAUTHENTICATION_REQUIRED");
+		});
+
+		it("should elevate the session with a TOTP token", async () => {
+			({ secret } = await broker.call("v1.accounts.enable2Fa", {}, { meta }));
+			await broker.call("v1.accounts.enable2Fa", { token: service.generate2FaToken(secret) }, { meta });
+
+			service.config["accounts.elevation.expires"] = -1;
+			await reauthenticate({ password: user.password });
+			expect((await broker.call("v1.accounts.disable2Fa", { token: service.generate2FaToken(secret) }, { meta }).catch(err => err)).type).toBe("ERR_REAUTHENTICATION_REQUIRED");
+			delete service.config["accounts.elevation.expires"];
+
+			expect((await reauthenticate({ token: service.generate2FaToken(secret) })).elevatedUntil).toEqual(expect.any(Number));
+			expect(await broker.call("v1.accounts.disable2Fa", { token: service.generate2FaToken(secret) }, { meta })).toBe(true);
+		});
+	});
+
+	describe("Test 'changePassword' action", () => {
+
+		const user = {
+			password: "Change#Passw0rd",
+			email: "user28@kantab.io",
+			firstName: "User",
+			lastName: "TwentyEight"
+		};
+
+		let savedUser, first, second, meta;
+
+		const changePassword = params => broker.call("v1.accounts.changePassword", params, { meta }).catch(err => err);
+		const login = password => broker.call("v1.accounts.login", { email: user.email, password }).catch(err => err);
+
+		beforeAll(async () => {
+			service.config["mail.enabled"] = true;
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.two-factor.enabled"] = true;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			first = await login(user.password);
+			second = await login(user.password);
+
+			const { sessionID } = await broker.call("v1.accounts.resolveToken", { token: first.token });
+			meta = { userID: savedUser._id, user: { email: user.email }, sessionID };
+			service.sendMail = jest.fn();
+		});
+
+		it("should throw error if the current password is wrong or missing", async () => {
+			expect((await changePassword({ password: "New#Passw0rd" })).type).toBe("ERR_MISSING_PASSWORD");
+			expect((await changePassword({ oldPassword: "wrong-password", password: "New#Passw0rd" })).type).toBe("ERR_WRONG_PASSWORD");
+		});
+
+		it("should apply the password policy", async () => {
+			const err = await changePassword({ oldPassword: user.password, password: "short" });
+			expect(err).toBeInstanceOf(E.ValidationError);
+			expect(err.type).toBe("ERR_PASSWORD_POLICY");
+		});
+
+		it("should change the password & revoke the other logins", async () => {
+			await broker.call("v1.tokens.generate", { type: "trusted-device", owner: savedUser._id });
+
+			expect(await changePassword({ oldPassword: user.password, password: "New#Passw0rd" })).toBe(true);
+
+			expect(service.sendMail).toHaveBeenCalledTimes(1);
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "password-changed");
+
+			expect((await login(user.password)).type).toBe("ERR_WRONG_PASSWORD");
+			expect((await login("New#Passw0rd")).token).toEqual(expect.any(String));
+
+			// The current session is kept
+			expect((await broker.call("v1.accounts.resolveToken", { token: first.token })).email).toBe(user.email);
+			const err = await broker.call("v1.accounts.resolveToken", { token: second.token }).catch(err => err);
+			expect(err.type).toBe("ERR_SESSION_REVOKED");
+			expect((await broker.call("v1.accounts.refreshToken", { refreshToken: second.refreshToken }).catch(err => err)).type).toBe("INVALID_TOKEN");
+
+			expect(await broker.call("v1.tokens.count", { type: "trusted-device", owner: savedUser._id })).toBe(0);
+		});
+
+		it("should require a 2FA code for passwordless accounts", async () => {
+			await service.adapter.updateById(savedUser._id, { $set: { passwordless: true } });
+
+			expect((await changePassword({ password: "First#Passw0rd" })).type).toBe("TWOFACTOR_NOT_ENABLED");
+
+			const { secret } = await broker.call("v1.accounts.enable2Fa", {}, { meta });
+			await broker.call("v1.accounts.enable2Fa", { token: service.generate2FaToken(secret) }, { meta });
+
+			expect((await changePassword({ password: "First#Passw0rd" })).type).toBe("ERR_MISSING_2FA_CODE");
+			expect((await changePassword({ token: "123456", password: "First#Passw0rd" })).type).toBe("TWOFACTOR_INVALID_TOKEN");
+			expect(await changePassword({ token: service.generate2FaToken(secret), password: "First#Passw0rd" })).toBe(true);
+
+			const res = await broker.call("v1.accounts.get", { id: savedUser._id });
+			expect(res.passwordless).toBe(false);
+		});
+
+		it("should accept the emailed 2FA code for passwordless accounts", async () => {
+			await service.adapter.updateById(savedUser._id, { $set: { passwordless: true, "totp.enabled": false, "emailOtp.enabled": true } });
+
+			expect((await changePassword({ token: "123456", password: "Second#Passw0rd" })).type).toBe("TWOFACTOR_INVALID_TOKEN");
+
+			const { challenge } = await changePassword({ method: "email", password: "Second#Passw0rd" });
+			expect(challenge).toEqual(expect.any(String));
+			const { code } = service.sendMail.mock.calls[service.sendMail.mock.calls.length - 1][3];
+
+			expect((await changePassword({ method: "email", challenge, code: code == "000000" ? "000001" : "000000", password: "Second#Passw0rd" })).type).toBe("TWOFACTOR_INVALID_TOKEN");
+			expect(await changePassword({ method: "email", challenge, code, password: "Second#Passw0rd" })).toBe(true);
+
+			expect((await login("Second#Passw0rd")).challenge).toEqual(expect.any(String));
+		});
+	});
+
+	describe("Test 'changeEmail' action", () => {
+
+		const user = {
+			password: "ChangeEmail#Passw0rd",
+			email: "user29@kantab.io",
+			firstName: "User",
+			lastName: "TwentyNine"
+		};
+
+		let savedUser, meta;
+
+		const changeEmail = email => broker.call("v1.accounts.changeEmail", { email }, { meta }).catch(err => err);
+		// The token of the last sent mail with the template
+		const lastToken = template => service.sendMail.mock.calls.filter(call => call[2] == template).pop()[3].token;
+		const gravatar = email => `https://gravatar.com/avatar/${crypto.createHash("md5").update(email).digest("hex")}?s=64&d=retro`;
+
+		beforeAll(async () => {
+			service.config["mail.enabled"] = true;
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			await broker.call("v1.accounts.register", Object.assign({}, user, { email: "other29@kantab.io" }));
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+		});
+
+		it("should throw error if the email is used", async () => {
+			expect((await changeEmail(user.email)).type).toBe("ERR_EMAIL_NOT_CHANGED");
+			expect((await changeEmail("other29@kantab.io")).type).toBe("ERR_EMAIL_EXISTS");
+		});
+
+		it("should send the confirmation & the revert links", async () => {
+			expect(await changeEmail("new29@kantab.io")).toEqual({ pendingEmail: "new29@kantab.io" });
+
+			expect(service.sendMail).toHaveBeenCalledTimes(2);
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: "new29@kantab.io" }), "email-change", { token: expect.any(String) });
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "email-change-requested", { token: expect.any(String), newEmail: "new29@kantab.io" });
+
+			// Not changed yet
+			const res = await broker.call("v1.accounts.get", { id: savedUser._id });
+			expect(res.email).toBe(user.email);
+			expect(res.pendingEmail).toBe("new29@kantab.io");
+		});
+
+		it("should swap the email & the gravatar after the confirmation", async () => {
+			const err = await broker.call("v1.accounts.confirmEmailChange", { token: "invalid" }).catch(err => err);
+			expect(err.type).toBe("INVALID_TOKEN");
+
+			const token = lastToken("email-change");
+			expect(await broker.call("v1.accounts.confirmEmailChange", { token })).toEqual({ email: "new29@kantab.io" });
+
+			const res = await broker.call("v1.accounts.get", { id: savedUser._id });
+			expect(res.email).toBe("new29@kantab.io");
+			expect(res.pendingEmail).toBeNull();
+			expect(res.avatar).toBe(gravatar("new29@kantab.io"));
+
+			// Single-use
+			expect((await broker.call("v1.accounts.confirmEmailChange", { token }).catch(err => err)).type).toBe("INVALID_TOKEN");
+
+			expect((await broker.call("v1.accounts.login", { email: "new29@kantab.io", password: user.password })).token).toEqual(expect.any(String));
+		});
+
+		it("should revert the change from the old address & revoke the sessions", async () => {
+			const { token } = await broker.call("v1.accounts.login", { email: "new29@kantab.io", password: user.password });
+
+			expect(await broker.call("v1.accounts.revertEmailChange", { token: lastToken("email-change-requested") })).toEqual({ email: user.email });
+
+			const res = await broker.call("v1.accounts.get", { id: savedUser._id });
+			expect(res.email).toBe(user.email);
+			expect(res.avatar).toBe(gravatar(user.email));
+
+			const err = await broker.call("v1.accounts.resolveToken", { token }).catch(err => err);
+			expect(err.type).toBe("ERR_SESSION_REVOKED");
+		});
+
+		it("should not confirm if the email has been registered since the request", async () => {
+			await changeEmail("taken29@kantab.io");
+			await broker.call("v1.accounts.register", Object.assign({}, user, { email: "taken29@kantab.io" }));
+
+			const err = await broker.call("v1.accounts.confirmEmailChange", { token: lastToken("email-change") }).catch(err => err);
+			expect(err.type).toBe("ERR_EMAIL_EXISTS");
+		});
+	});
+
+	describe("Test 'updateProfile' action", () => {
+
+		const user = {
+			username: "user30",
+			password: "Profile#Passw0rd",
+			email: "user30@kantab.io",
+			firstName: "User",
+			lastName: "Thirty"
+		};
+
+		let savedUser, meta;
+
+		const updateProfile = params => broker.call("v1.accounts.updateProfile", params, { meta }).catch(err => err);
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.username.enabled"] = true;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			await broker.call("v1.accounts.register", Object.assign({}, user, { username: "other30", email: "other30@kantab.io" }));
+			meta = { userID: savedUser._id, user: { email: user.email } };
+		});
+
+		it("should update the name & return the user", async () => {
+			const res = await updateProfile({ firstName: "John", lastName: "Doe" });
+			expect(res).toEqual(expect.objectContaining({
+				_id: savedUser._id,
+				username: "user30",
+				email: user.email,
+				firstName: "John",
+				lastName: "Doe"
+			}));
+
+			expect(await broker.call("v1.accounts.me", null, { meta })).toEqual(res);
+		});
+
+		it("should check the maxlength of the fields", async () => {
+			const err = await updateProfile({ firstName: "J".repeat(51) });
+			expect(err).toBeInstanceOf(E.ValidationError);
+			expect(err.data).toEqual([expect.objectContaining({ type: "stringMax", field: "firstName", expected: 50, actual: 51 })]);
+		});
+
+		it("should change the username if it is unique", async () => {
+			expect((await updateProfile({ username: "other30" })).type).toBe("ERR_USERNAME_EXISTS");
+
+			expect((await updateProfile({ username: "user30" })).username).toBe("user30");
+			expect((await updateProfile({ username: "johndoe30" })).username).toBe("johndoe30");
+		});
+
+		it("should not change the username if the usernames are disabled", async () => {
+			service.config["accounts.username.enabled"] = false;
+
+			expect((await updateProfile({ username: "changed30" })).username).toBe("johndoe30");
+
+			service.config["accounts.username.enabled"] = true;
+		});
+
+		it("should reset the default avatar", async () => {
+			expect((await updateProfile({ avatar: "https://kantab.io/avatar.png" })).avatar).toBe("https://kantab.io/avatar.png");
+			expect((await updateProfile({ avatar: "" })).avatar).toBe(savedUser.avatar);
+		});
+	});
+
+	describe("Test account deletion", () => {
+
+		const user = {
+			username: "user31",
+			password: "Deletion#Passw0rd",
+			email: "user31@kantab.io",
+			firstName: "User",
+			lastName: "ThirtyOne"
+		};
+
+		let savedUser, meta;
+
+		const requestDeletion = () => broker.call("v1.accounts.requestDeletion", null, { meta }).catch(err => err);
+		const lastToken = () => service.sendMail.mock.calls.filter(call => call[2] == "deletion-requested").pop()[3].token;
+
+		beforeAll(async () => {
+			service.config["mail.enabled"] = true;
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+			service.config["accounts.deletion.gracePeriod"] = 30 * 24 * 60 * 60 * 1000;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			meta = { userID: savedUser._id, user: { email: user.email } };
+			service.sendMail = jest.fn();
+		});
+
+		it("should disable the login & send the cancel link", async () => {
+			const { token } = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+
+			const res = await requestDeletion();
+			expect(res).toEqual({ deleteAt: expect.any(Number) });
+			expect(res.deleteAt).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+			expect(service.sendMail).toHaveBeenCalledWith(expect.any(Context), expect.objectContaining({ email: user.email }), "deletion-requested", { token: expect.any(String), deleteAt: new Date(res.deleteAt).toUTCString() });
+
+			expect((await requestDeletion()).type).toBe("ERR_ACCOUNT_DELETION_PENDING");
+
+			const err = await broker.call("v1.accounts.login", { email: user.email, password: user.password }).catch(err => err);
+			expect(err.type).toBe("ERR_ACCOUNT_DELETION_PENDING");
+
+			expect((await broker.call("v1.accounts.resolveToken", { token }).catch(err => err)).type).toBe("USER_DISABLED");
+			expect(await broker.call("v1.sessions.listByOwner", { owner: savedUser._id })).toEqual([]);
+		});
+
+		it("should cancel the deletion by the token", async () => {
+			const err = await broker.call("v1.accounts.cancelDeletion", { token: "invalid" }).catch(err => err);
+			expect(err.type).toBe("INVALID_TOKEN");
+
+			const token = lastToken();
+			expect(await broker.call("v1.accounts.cancelDeletion", { token })).toBe(true);
+
+			// Single-use
+			expect((await broker.call("v1.accounts.cancelDeletion", { token }).catch(err => err)).type).toBe("INVALID_TOKEN");
+
+			const res = await broker.call("v1.accounts.get", { id: savedUser._id });
+			expect(res.status).toBe(1);
+			expect(res.deleteAt).toBeNull();
+
+			expect((await broker.call("v1.accounts.login", { email: user.email, password: user.password })).token).toEqual(expect.any(String));
+		});
+
+		it("should keep the account disabled by an administrator after cancelling the deletion", async () => {
+			await requestDeletion();
+			expect(await broker.call("v1.accounts.disable", { id: savedUser._id })).toEqual({ status: 0 });
+			expect((await broker.call("v1.accounts.disable", { id: savedUser._id }).catch(err => err)).type).toBe("ERR_USER_ALREADY_DISABLED");
+
+			expect(await broker.call("v1.accounts.cancelDeletion", { token: lastToken() })).toBe(true);
+			expect((await broker.call("v1.accounts.get", { id: savedUser._id })).status).toBe(0);
+
+			await broker.call("v1.accounts.enable", { id: savedUser._id });
+		});
+
+		it("should not purge the account in the grace period", async () => {
+			await requestDeletion();
+
+			expect(await service.purgeDeletedAccounts()).toBe(0);
+			expect((await broker.call("v1.accounts.get", { id: savedUser._id })).status).toBe(0);
+
+			await broker.call("v1.accounts.cancelDeletion", { token: lastToken() });
+		});
+
+		it("should purge the account with the linked data & broadcast the event", async () => {
+			await broker.call("v1.accounts.createApiKey", { name: "CI deploy" }, { meta });
+			await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+
+			service.config["accounts.deletion.gracePeriod"] = 1;
+			await requestDeletion();
+			await new Promise(resolve => setTimeout(resolve, 10));
+
+			const oauth = broker.getLocalService("oauth", 1);
+			await oauth.adapter.insert({ owner: savedUser._id, clientID: "client1", scopes: ["openid"] });
+
+			jest.spyOn(broker, "broadcast");
+			// The timers of the other nodes don't purge it twice
+			const counts = await Promise.all([service.purgeDeletedAccounts(), service.purgeDeletedAccounts()]);
+			expect(counts[0] + counts[1]).toBe(1);
+			expect(broker.broadcast).toHaveBeenCalledWith("accounts.deleted", { id: savedUser._id, email: user.email });
+			expect(broker.broadcast.mock.calls.filter(call => call[0] == "accounts.deleted").length).toBe(1);
+			broker.broadcast.mockRestore();
+
+			const err = await broker.call("v1.accounts.get", { id: savedUser._id }).catch(err => err);
+			expect(err).toBeInstanceOf(E.MoleculerClientError);
+			expect(err.code).toBe(404);
+
+			expect(await broker.call("v1.apikeys.listByOwner", { owner: savedUser._id })).toEqual([]);
+			expect(await broker.getLocalService("sessions", 1).adapter.count({ query: { owner: savedUser._id } })).toBe(0);
+			expect(await broker.getLocalService("tokens", 1).adapter.count({ query: { owner: savedUser._id } })).toBe(0);
+			expect(await oauth.adapter.count({ query: { owner: savedUser._id } })).toBe(0);
+
+			service.config["accounts.deletion.gracePeriod"] = 30 * 24 * 60 * 60 * 1000;
+		});
+	});
+
+	describe("Test 'refreshToken' action", () => {
+
+		const user = {
+			username: "user13",
+			password: "password13",
+			email: "user13@kantab.io",
+			firstName: "User",
+			lastName: "Thirteen"
+		};
+
+		let savedUser, tokens;
+
+		beforeAll(async () => {
+			service.sendMail = jest.fn();
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.username.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			tokens = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+		});
+
+		it("should throw error if refresh token is not exist", async () => {
+			expect.assertions(4);
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: "12345" });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.name).toBe("MoleculerClientError");
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should throw error if account is disabled", async () => {
+			await broker.call("v1.accounts.disable", { id: savedUser._id });
+
+			expect.assertions(4);
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: tokens.refreshToken });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.name).toBe("MoleculerClientError");
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("USER_DISABLED");
+			}
+
+			await broker.call("v1.accounts.enable", { id: savedUser._id });
+			tokens = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+		});
+
+		let rotated;
+
+		it("should rotate the refresh token", async () => {
+			rotated = await broker.call("v1.accounts.refreshToken", { refreshToken: tokens.refreshToken });
+
+			expect(rotated).toEqual({
+				token: expect.any(String),
+				refreshToken: expect.any(String)
+			});
+			expect(rotated.refreshToken).not.toBe(tokens.refreshToken);
+
+			const res = await broker.call("v1.accounts.resolveToken", { token: rotated.token });
+			expect(res.email).toBe(user.email);
+		});
+
+		it("should revoke the token family if a rotated token is reused", async () => {
+			expect.assertions(5);
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: tokens.refreshToken });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.name).toBe("MoleculerClientError");
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("ERR_REFRESH_TOKEN_REUSED");
+			}
+
+			// The latest token of the family is revoked as well
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: rotated.refreshToken });
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should not revoke other token families", async () => {
+			const other = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+
+			const res = await broker.call("v1.accounts.refreshToken", { refreshToken: other.refreshToken });
+			expect(res).toEqual({
+				token: expect.any(String),
+				refreshToken: expect.any(String)
+			});
+		});
+
+		it("should rotate only once on parallel requests", async () => {
+			const other = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+
+			const res = await Promise.all([
+				broker.call("v1.accounts.refreshToken", { refreshToken: other.refreshToken }).catch(err => err),
+				broker.call("v1.accounts.refreshToken", { refreshToken: other.refreshToken }).catch(err => err)
+			]);
+
+			expect(res.filter(r => r.refreshToken).length).toBe(1);
+			expect(res.filter(r => r.type == "ERR_REFRESH_TOKEN_REUSED").length).toBe(1);
+		});
+
+		it("should throw error if refresh token is expired", async () => {
+			service.config["accounts.refreshToken.expires"] = -5000;
+			const expired = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+			expect.assertions(2);
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: expired.refreshToken });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+	});
+
+	describe("Test sessions", () => {
+
+		const user = {
+			username: "user14",
+			password: "password14",
+			email: "user14@kantab.io",
+			firstName: "User",
+			lastName: "Fourteen"
+		};
+
+		const userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/76.0.3809.100 Safari/537.36";
+
+		let savedUser, first, second, meta;
+
+		beforeAll(async () => {
+			service.sendMail = jest.fn();
+			service.config["mail.enabled"] = true;
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			first = await broker.call("v1.accounts.login", { email: user.email, password: user.password }, { meta: { userAgent, ip: "10.0.0.1" } });
+			second = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+
+			const resolved = await broker.call("v1.accounts.resolveToken", { token: first.token });
+			meta = {
+				userID: savedUser._id,
+				sessionID: resolved.sessionID,
+				roles: ["$everyone", "$authenticated", "user"]
+			};
+		});
+
+		it("should list the active sessions", async () => {
+			const res = await broker.call("v1.accounts.sessions", {}, { meta });
+
+			// Registration created a session as well
+			expect(res.length).toBe(3);
+			expect(res).toEqual(expect.arrayContaining([{
+				_id: meta.sessionID,
+				owner: savedUser._id,
+				device: "Chrome on Windows",
+				userAgent,
+				ip: "10.0.0.1",
+				revokedAt: null,
+				lastActivityAt: expect.any(Number),
+				createdAt: expect.any(Number),
+				current: true
+			}]));
+			expect(res.filter(session => session.current).length).toBe(1);
+		});
+
+		it("should not list the sessions of other user", async () => {
+			expect.assertions(4);
+			try {
+				await broker.call("v1.accounts.sessions", { id: "other-user" }, { meta });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.name).toBe("MoleculerClientError");
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+			}
+		});
+
+		it("should list the sessions of other user for administrators", async () => {
+			const res = await broker.call("v1.accounts.sessions", { id: savedUser._id }, { meta: {
+				userID: "admin-user",
+				roles: ["$everyone", "$authenticated", "administrator"]
+			} });
+
+			expect(res.length).toBe(3);
+		});
+
+		it("should revoke a session", async () => {
+			const resolved = await broker.call("v1.accounts.resolveToken", { token: second.token });
+
+			const res = await broker.call("v1.accounts.revokeSession", { sessionID: resolved.sessionID }, { meta });
+			expect(res).toBe(true);
+
+			expect.assertions(5);
+			try {
+				await broker.call("v1.accounts.resolveToken", { token: second.token });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("ERR_SESSION_REVOKED");
+			}
+
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: second.refreshToken });
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should throw error if session is not found", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.accounts.revokeSession", { sessionID: "12345" }, { meta });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_SESSION_NOT_FOUND");
+			}
+		});
+
+		it("should keep the session after refreshing the token", async () => {
+			const refreshed = await broker.call("v1.accounts.refreshToken", { refreshToken: first.refreshToken });
+			const resolved = await broker.call("v1.accounts.resolveToken", { token: refreshed.token });
+
+			expect(resolved.sessionID).toBe(meta.sessionID);
+		});
+
+		it("should revoke all sessions except the current one", async () => {
+			const res = await broker.call("v1.accounts.revokeAllSessions", { keepCurrent: true }, { meta });
+			expect(res).toBe(1);
+
+			const sessions = await broker.call("v1.accounts.sessions", {}, { meta });
+			expect(sessions.map(session => session._id)).toEqual([meta.sessionID]);
+		});
+
+		it("should revoke all sessions", async () => {
+			const res = await broker.call("v1.accounts.revokeAllSessions", {}, { meta });
+			expect(res).toBe(1);
+
+			expect.assertions(2);
+			try {
+				await broker.call("v1.accounts.resolveToken", { token: first.token });
+			} catch (err) {
+				expect(err.type).toBe("ERR_SESSION_REVOKED");
+			}
+		});
+	});
+
+	describe("Test API keys", () => {
+
+		const user = {
+			username: "user16",
+			password: "password16",
+			email: "user16@kantab.io",
+			firstName: "User",
+			lastName: "Sixteen"
+		};
+
+		let savedUser, meta, ciKey, expiringKey;
+
+		beforeAll(async () => {
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+
+			savedUser = await broker.call("v1.accounts.register", user);
+			const { token } = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+			const { sessionID } = await broker.call("v1.accounts.resolveToken", { token });
+			meta = {
+				userID: savedUser._id,
+				roles: ["$everyone", "$authenticated", "user"],
+				sessionID
+			};
+		});
+
+		it("should require re-authentication to create an API key", async () => {
+			const err = await broker.call("v1.accounts.createApiKey", { name: "CI deploy" }, { meta }).catch(err => err);
+			expect(err.type).toBe("ERR_REAUTHENTICATION_REQUIRED");
+
+			await broker.call("v1.accounts.reauthenticate", { password: user.password }, { meta });
+		});
+
+		it("should create an API key", async () => {
+			ciKey = await broker.call("v1.accounts.createApiKey", { name: "CI deploy", scopes: ["deploy", "read"] }, { meta });
+			expect(ciKey).toEqual({
+				_id: expect.any(String),
+				owner: savedUser._id,
+				name: "CI deploy",
+				key: expect.stringMatching(/^kt_[0-9a-f]{64}$/),
+				prefix: ciKey.key.slice(0, 11),
+				scopes: ["deploy", "read"],
+				expiresAt: null,
+				lastUsedAt: null,
+				createdAt: expect.any(Number)
+			});
+		});
+
+		it("should throw error if the expiration is in the past", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.accounts.createApiKey", { name: "Old", expiresAt: Date.now() - 1000 }, { meta });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_INVALID_EXPIRY");
+			}
+		});
+
+		it("should resolve the user by the API key", async () => {
+			const res = await broker.call("v1.accounts.resolveApiKey", { key: ciKey.key });
+			expect(res).toEqual(expect.objectContaining({
+				_id: savedUser._id,
+				email: "user16@kantab.io",
+				apiKeyID: ciKey._id,
+				scope: "deploy read"
+			}));
+			expect(res.password).toBeUndefined();
+		});
+
+		it("should list the API keys without the key values", async () => {
+			const res = await broker.call("v1.accounts.apiKeys", {}, { meta: Object.assign({ apiKeyID: ciKey._id }, meta) });
+			expect(res).toEqual([expect.objectContaining({
+				_id: ciKey._id,
+				name: "CI deploy",
+				prefix: ciKey.prefix,
+				lastUsedAt: expect.any(Number),
+				current: true
+			})]);
+			expect(res[0].key).toBeUndefined();
+		});
+
+		it("should not resolve an expired API key", async () => {
+			expiringKey = await broker.call("v1.accounts.createApiKey", { name: "Temp", expiresAt: Date.now() + 50 }, { meta });
+			await new Promise(resolve => setTimeout(resolve, 100));
+
+			expect.assertions(1);
+			try {
+				await broker.call("v1.accounts.resolveApiKey", { key: expiringKey.key });
+			} catch (err) {
+				expect(err.type).toBe("ERR_INVALID_API_KEY");
+			}
+		});
+
+		it("should not revoke the API key of other user", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("v1.accounts.revokeApiKey", { apiKeyID: ciKey._id }, { meta: Object.assign({}, meta, { userID: "other-user" }) });
+			} catch (err) {
+				expect(err.type).toBe("ERR_API_KEY_NOT_FOUND");
+			}
+		});
+
+		it("should not manage the API keys of other user without roles", async () => {
+			const err = await broker.call("v1.accounts.createApiKey", { name: "Foreign", id: "other-user" }, { meta: { userID: savedUser._id } }).catch(err => err);
+			expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+
+			const err2 = await broker.call("v1.accounts.apiKeys", { id: savedUser._id }, { meta: { userID: "other-user" } }).catch(err => err);
+			expect(err2.type).toBe("ERR_HAS_NO_ACCESS");
+
+			const err3 = await broker.call("v1.accounts.revokeApiKey", { apiKeyID: ciKey._id, id: savedUser._id }, { meta: {} }).catch(err => err);
+			expect(err3.type).toBe("MISSING_USER_ID");
+		});
+
+		it("should revoke the API key", async () => {
+			const res = await broker.call("v1.accounts.revokeApiKey", { apiKeyID: ciKey._id }, { meta });
+			expect(res).toBe(true);
+
+			const keys = await broker.call("v1.accounts.apiKeys", {}, { meta });
+			expect(keys.map(key => key._id)).toEqual([expiringKey._id]);
+
+			expect.assertions(3);
+			try {
+				await broker.call("v1.accounts.resolveApiKey", { key: ciKey.key });
+			} catch (err) {
+				expect(err.type).toBe("ERR_INVALID_API_KEY");
+			}
+		});
+	});
+
+	describe("Test 'logout' action", () => {
+
+		const user = {
+			username: "user15",
+			password: "password15",
+			email: "user15@kantab.io",
+			firstName: "User",
+			lastName: "Fifteen"
+		};
+
+		let tokens;
+
+		beforeAll(async () => {
+			service.sendMail = jest.fn();
+			service.config["accounts.signup.enabled"] = true;
+			service.config["accounts.verification.enabled"] = false;
+			service.config["accounts.jwt.expiresIn"] = "15m";
+			service.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+			await broker.call("v1.accounts.register", user);
+			tokens = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+		});
+
+		it("should throw error if token is missing", async () => {
+			expect.assertions(4);
+			try {
+				await broker.call("v1.accounts.logout");
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.name).toBe("MoleculerClientError");
+				expect(err.code).toBe(400);
+				expect(err.type).toBe("ERR_MISSING_TOKEN");
+			}
+		});
+
+		it("should revoke the token of the request", async () => {
+			const oldClearTokenCache = service.clearTokenCache;
+			service.clearTokenCache = jest.fn();
+
+			const res = await broker.call("v1.accounts.logout", null, { meta: { token: tokens.token } });
+			expect(res).toBe(true);
+
+			expect(service.clearTokenCache).toHaveBeenCalledWith(tokens.token);
+			service.clearTokenCache = oldClearTokenCache;
+
+			expect.assertions(6);
+			try {
+				await broker.call("v1.accounts.resolveToken", { token: tokens.token });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("ERR_TOKEN_REVOKED");
+			}
+
+			// The session is revoked, so the refresh token too
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: tokens.refreshToken });
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should not revoke other tokens", async () => {
+			const other = await broker.call("v1.accounts.login", { email: user.email, password: user.password });
+
+			const res = await broker.call("v1.accounts.resolveToken", { token: other.token });
+			expect(res.email).toBe(user.email);
+		});
+
+		it("should remove the revoked tokens from the cache", async () => {
+			const cacher = {
+				getCacheKey: jest.fn(() => "v1.accounts.resolveToken:my-token"),
+				del: jest.fn(),
+				clean: jest.fn()
+			};
+			broker.cacher = cacher;
+
+			broker.broadcastLocal("accounts.tokens.revoked", { token: "my-token" });
+			expect(cacher.getCacheKey).toHaveBeenCalledWith("v1.accounts.resolveToken", { token: "my-token" }, {}, ["token"]);
+			expect(cacher.del).toHaveBeenCalledWith("v1.accounts.resolveToken:my-token");
+
+			broker.broadcastLocal("accounts.tokens.revoked", {});
+			expect(cacher.clean).toHaveBeenCalledWith("v1.accounts.resolveToken:**");
+
+			broker.cacher = null;
+		});
+	});
+
+	describe("Test signing key rotation", () => {
+		beforeAll(() => {
+			service.config["accounts.jwt.expiresIn"] = "15m";
+		});
+
+		it("should stamp the token with the active key ID", async () => {
+			const key = await broker.call("v1.keys.getSigningKey");
+
+			const token = await service.generateJWT(new Context(broker), { id: 5 });
+			expect(jwt.decode(token, { complete: true }).header.kid).toBe(key.kid);
+		});
+
+		it("should verify tokens of the retiring key & reject them after retiring", async () => {
+			const token = await service.generateJWT(new Context(broker), { id: 6 });
+			const { kid } = jwt.decode(token, { complete: true }).header;
+			const [oldKey] = await keysService.adapter.find({ query: { kid } });
+
+			const newKey = await broker.call("v1.keys.generate", { algorithm: "ES256" });
+			await broker.call("v1.keys.promote", { id: newKey._id });
+
+			const newToken = await service.generateJWT(new Context(broker), { id: 7 });
+			expect(jwt.decode(newToken, { complete: true }).header).toEqual(expect.objectContaining({ alg: "ES256", kid: newKey.kid }));
+			expect((await service.verifyJWT(new Context(broker), newToken)).id).toBe(7);
+
+			// Retiring key still valid
+			expect((await service.verifyJWT(new Context(broker), token)).id).toBe(6);
+
+			await broker.call("v1.keys.retire", { id: oldKey._id });
+
+			expect.assertions(4);
+			try {
+				await service.verifyJWT(new Context(broker), token);
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should verify tokens without key ID", async () => {
+			const key = await broker.call("v1.keys.getSigningKey");
+			const token = jwt.sign({ id: 8 }, key.privateKey, { algorithm: key.algorithm });
+
+			expect((await service.verifyJWT(new Context(broker), token)).id).toBe(8);
+		});
+
+		it("should not accept token signed with an other algorithm", async () => {
+			const key = await broker.call("v1.keys.getSigningKey");
+			const token = jwt.sign({ id: 9 }, "secret", { algorithm: "HS256", keyid: key.kid });
+
+			expect.assertions(1);
+			try {
+				await service.verifyJWT(new Context(broker), token);
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+	});
+
 });
@@ -0,0 +1,174 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const TestService = require("../../../services/acl.service");
+const C = require("../../../constants");
+const E = require("moleculer").Errors;
+
+const FindEntityMiddleware = require("../../../middlewares/FindEntity");
+const CheckPermissionsMiddleware = require("../../../middlewares/CheckPermissions");
+
+describe("Test ACL service", () => {
+	let broker = new ServiceBroker({ logger: false, middlewares: [
+		FindEntityMiddleware,
+		CheckPermissionsMiddleware
+	] });
+
+	const service = broker.createService(TestService, {});
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	it("check action visibilities", async () => {
+		expect(broker.findNextActionEndpoint("v1.acl.create").action.visibility).toBe("protected");
+		expect(broker.findNextActionEndpoint("v1.acl.list").action.visibility).toBe("protected");
+		expect(broker.findNextActionEndpoint("v1.acl.update").action.visibility).toBe("protected");
+		expect(broker.findNextActionEndpoint("v1.acl.remove").action.visibility).toBe("protected");
+	});
+
+	describe("Test 'hasAccess' action", () => {
+
+		it("should give access to everyone", async () => {
+			const res = await broker.call("v1.acl.hasAccess", { roles: [C.ROLE_EVERYONE], permissions: [C.ROLE_EVERYONE] });
+			expect(res).toBe(true);
+		});
+
+		it("should check the special roles", async () => {
+			expect(await broker.call("v1.acl.hasAccess", { roles: [C.ROLE_EVERYONE], permissions: [C.ROLE_AUTHENTICATED] })).toBe(false);
+			expect(await broker.call("v1.acl.hasAccess", { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED], permissions: [C.ROLE_AUTHENTICATED] })).toBe(true);
+			expect(await broker.call("v1.acl.hasAccess", { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED], permissions: [C.ROLE_SYSTEM] })).toBe(false);
+			expect(await broker.call("v1.acl.hasAccess", { roles: [C.ROLE_SYSTEM], permissions: [C.ROLE_SYSTEM] })).toBe(true);
+		});
+
+		it("should check role names with inheritance", async () => {
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["user"], permissions: ["user"] })).toBe(true);
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["administrator"], permissions: ["user"] })).toBe(true);
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["user"], permissions: ["administrator"] })).toBe(false);
+		});
+
+		it("should check permission names", async () => {
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["administrator"], permissions: ["accounts.disable"] })).toBe(true);
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["user"], permissions: ["accounts.disable"] })).toBe(false);
+		});
+	});
+
+	describe("Test role management actions", () => {
+
+		const adminMeta = { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED, "administrator"] } };
+		let editor;
+
+		it("should throw error if caller is not an administrator", async () => {
+			expect.assertions(4);
+			try {
+				await broker.call("v1.acl.createRole", { name: "editor" }, { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED, "user"] } });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.name).toBe("MoleculerClientError");
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+			}
+		});
+
+		it("should throw error if role name is invalid", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.acl.createRole", { name: "$editor" }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_INVALID_ROLE_NAME");
+			}
+		});
+
+		it("should throw error if role exists", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.acl.createRole", { name: "user" }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_ROLE_EXISTS");
+			}
+		});
+
+		it("should throw error if inherited role is not found", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.acl.createRole", { name: "editor", inherits: ["writer"] }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_ROLE_NOT_FOUND");
+			}
+		});
+
+		it("should create a new role", async () => {
+			editor = await broker.call("v1.acl.createRole", {
+				name: "editor",
+				description: "Content editor",
+				permissions: ["posts.*"],
+				inherits: ["user"]
+			}, adminMeta);
+
+			expect(editor).toEqual({
+				_id: expect.any(String),
+				name: "editor",
+				description: "Content editor",
+				permissions: ["posts.*"],
+				inherits: ["user"],
+				status: 1,
+				createdAt: expect.any(Number)
+			});
+
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["editor"], permissions: ["posts.create"] })).toBe(true);
+			expect(await broker.call("v1.acl.hasAccess", { roles: ["editor"], permissions: ["user"] })).toBe(true);
+		});
+
+		it("should grant & revoke permission", async () => {
+			let res = await broker.call("v1.acl.grant", { id: editor._id, permission: "comments.remove" }, adminMeta);
+			expect(res.permissions).toEqual(["posts.*", "comments.remove"]);
+			expect(await service.hasAccess(["editor"], ["comments.remove"])).toBe(true);
+
+			res = await broker.call("v1.acl.revoke", { id: editor._id, permission: "comments.remove" }, adminMeta);
+			expect(res.permissions).toEqual(["posts.*"]);
+			expect(await service.hasAccess(["editor"], ["comments.remove"])).toBe(false);
+		});
+
+		it("should not allow circular inheritance", async () => {
+			const user = await service.getRoleByName("user");
+
+			expect.assertions(2);
+			try {
+				await broker.call("v1.acl.updateRole", { id: user._id, inherits: ["editor"] }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_ROLE_CIRCULAR_INHERITANCE");
+			}
+		});
+
+		it("should ignore disabled roles", async () => {
+			await broker.call("v1.acl.updateRole", { id: editor._id, status: 0 }, adminMeta);
+			expect(await service.hasAccess(["editor"], ["posts.create"])).toBe(false);
+
+			await broker.call("v1.acl.updateRole", { id: editor._id, status: 1 }, adminMeta);
+			expect(await service.hasAccess(["editor"], ["posts.create"])).toBe(true);
+		});
+
+		it("should not delete an inherited role", async () => {
+			const user = await service.getRoleByName("user");
+
+			expect.assertions(2);
+			try {
+				await broker.call("v1.acl.deleteRole", { id: user._id }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_ROLE_IN_USE");
+			}
+		});
+
+		it("should delete a role", async () => {
+			await broker.call("v1.acl.deleteRole", { id: editor._id }, adminMeta);
+
+			expect(await service.getRoleByName("editor")).toBeNull();
+			expect(await service.hasAccess(["editor"], ["posts.create"])).toBe(false);
+		});
+	});
+
+});
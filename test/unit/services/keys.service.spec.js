@@ -0,0 +1,216 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { ServiceBroker } = require("moleculer");
+const TestService = require("../../../services/keys.service");
+const AclService = require("../../../services/acl.service");
+const C = require("../../../constants");
+const E = require("moleculer").Errors;
+
+const FindEntityMiddleware = require("../../../middlewares/FindEntity");
+const CheckPermissionsMiddleware = require("../../../middlewares/CheckPermissions");
+
+process.env.JWT_SECRET = "kantab-secret-test";
+
+describe("Test Keys service", () => {
+	let broker = new ServiceBroker({ logger: false, middlewares: [
+		FindEntityMiddleware,
+		CheckPermissionsMiddleware
+	] });
+
+	broker.createService(AclService);
+	const service = broker.createService(TestService, {});
+
+	const adminMeta = { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED, "administrator"] } };
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	it("check action visibilities", async () => {
+		expect(broker.findNextActionEndpoint("v1.keys.create").action.visibility).toBe("protected");
+		expect(broker.findNextActionEndpoint("v1.keys.list").action.visibility).toBe("protected");
+		expect(broker.findNextActionEndpoint("v1.keys.getSigningKey").action.visibility).toBe("public");
+		expect(broker.findNextActionEndpoint("v1.keys.getVerificationKeys").action.visibility).toBe("public");
+	});
+
+	describe("Test initial key", () => {
+
+		it("should seed the configured secret as active key", async () => {
+			const res = await broker.call("v1.keys.getSigningKey");
+			expect(res).toEqual({
+				kid: expect.any(String),
+				algorithm: "HS256",
+				privateKey: "kantab-secret-test"
+			});
+		});
+
+		it("should not publish the secret in the JWKS", async () => {
+			const res = await broker.call("v1.keys.jwks");
+			expect(res).toEqual({ keys: [] });
+		});
+
+		it("should throw error if key files are missing", async () => {
+			expect(() => service.loadKeyFiles({ algorithm: "RS256" })).toThrow(/JWT_PRIVATE_KEY_FILE/);
+			expect(() => service.loadKeyFiles({ algorithm: "PS256" })).toThrow(/Unsupported/);
+		});
+
+		it("should load the PEM key files", async () => {
+			const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-"));
+			const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+				modulusLength: 2048,
+				publicKeyEncoding: { type: "spki", format: "pem" },
+				privateKeyEncoding: { type: "pkcs8", format: "pem" }
+			});
+
+			const privateKeyFile = path.join(tmpDir, "private.pem");
+			const publicKeyFile = path.join(tmpDir, "public.pem");
+			fs.writeFileSync(privateKeyFile, privateKey);
+			fs.writeFileSync(publicKeyFile, publicKey);
+
+			const res = service.loadKeyFiles({ algorithm: "RS256", privateKeyFile, publicKeyFile });
+			expect(res).toEqual({ algorithm: "RS256", privateKey, publicKey });
+
+			fs.unlinkSync(privateKeyFile);
+			fs.unlinkSync(publicKeyFile);
+			fs.rmdirSync(tmpDir);
+		});
+	});
+
+	describe("Test key rotation", () => {
+		let initial, rsaKey, ecKey;
+
+		beforeAll(async () => {
+			initial = await broker.call("v1.keys.getSigningKey");
+		});
+
+		it("should throw error if caller is not an administrator", async () => {
+			expect.assertions(3);
+			try {
+				await broker.call("v1.keys.generate", {}, { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED, "user"] } });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+			}
+		});
+
+		it("should generate a pending RS256 key", async () => {
+			rsaKey = await broker.call("v1.keys.generate", { algorithm: "RS256" }, adminMeta);
+			expect(rsaKey).toEqual({
+				_id: expect.any(String),
+				kid: expect.any(String),
+				algorithm: "RS256",
+				publicKey: expect.stringContaining("BEGIN PUBLIC KEY"),
+				status: "pending",
+				createdAt: expect.any(Number)
+			});
+
+			// Still the initial key signs
+			expect(await broker.call("v1.keys.getSigningKey")).toEqual(initial);
+
+			// But it's published in advance
+			const jwks = await broker.call("v1.keys.jwks");
+			expect(jwks.keys).toEqual([{
+				kid: rsaKey.kid,
+				kty: "RSA",
+				use: "sig",
+				alg: "RS256",
+				n: expect.any(String),
+				e: "AQAB"
+			}]);
+			// 2048-bit modulus
+			expect(Buffer.from(jwks.keys[0].n, "base64").length).toBe(256);
+		});
+
+		it("should promote the new key & make the old one retiring", async () => {
+			const res = await broker.call("v1.keys.promote", { id: rsaKey._id }, adminMeta);
+			expect(res.status).toBe("active");
+			expect(res.promotedAt).toEqual(expect.any(Number));
+
+			const signing = await broker.call("v1.keys.getSigningKey");
+			expect(signing.kid).toBe(rsaKey.kid);
+			expect(signing.privateKey).toEqual(expect.stringContaining("BEGIN PRIVATE KEY"));
+
+			const [old] = await service.adapter.find({ query: { kid: initial.kid } });
+			expect(old.status).toBe("retiring");
+			expect(old.expiresAt).toBeGreaterThan(Date.now());
+
+			const keys = await broker.call("v1.keys.getVerificationKeys", { kid: initial.kid });
+			expect(keys).toEqual([{ kid: initial.kid, algorithm: "HS256", key: "kantab-secret-test" }]);
+		});
+
+		it("should throw error if key is already active", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.keys.promote", { id: rsaKey._id }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_KEY_ALREADY_ACTIVE");
+			}
+		});
+
+		it("should not retire the active key", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.keys.retire", { id: rsaKey._id }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_KEY_ACTIVE");
+			}
+		});
+
+		it("should publish ES256 keys", async () => {
+			ecKey = await broker.call("v1.keys.generate", { algorithm: "ES256" }, adminMeta);
+
+			const jwks = await broker.call("v1.keys.jwks");
+			expect(jwks.keys).toEqual(expect.arrayContaining([{
+				kid: ecKey.kid,
+				kty: "EC",
+				use: "sig",
+				alg: "ES256",
+				crv: "P-256",
+				x: expect.any(String),
+				y: expect.any(String)
+			}]));
+			expect(Buffer.from(jwks.keys.find(key => key.kid == ecKey.kid).x, "base64").length).toBe(32);
+		});
+
+		it("should retire the old key", async () => {
+			const [old] = await service.adapter.find({ query: { kid: initial.kid } });
+			const res = await broker.call("v1.keys.retire", { id: old._id }, adminMeta);
+			expect(res.status).toBe("retired");
+
+			expect(await broker.call("v1.keys.getVerificationKeys", { kid: initial.kid })).toEqual([]);
+
+			const keys = await broker.call("v1.keys.getVerificationKeys");
+			expect(keys.map(key => key.kid).sort()).toEqual([rsaKey.kid, ecKey.kid].sort());
+		});
+
+		it("should not promote a retired key", async () => {
+			const [old] = await service.adapter.find({ query: { kid: initial.kid } });
+
+			expect.assertions(2);
+			try {
+				await broker.call("v1.keys.promote", { id: old._id }, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_KEY_RETIRED");
+			}
+		});
+	
+		it("should clean the cached signing key on every node", async () => {
+			const cacher = { clean: jest.fn() };
+			broker.cacher = cacher;
+
+			// Emitted by the `clearCache` of moleculer-db on the node of the change
+			broker.broadcastLocal("cache.clean.v1.keys");
+			expect(cacher.clean).toHaveBeenCalledWith("v1.keys.*");
+
+			broker.cacher = null;
+		});
+	});
+
+});
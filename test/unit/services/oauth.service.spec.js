@@ -0,0 +1,773 @@
+"use strict";
+
+const _ = require("lodash");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const jwt = require("jsonwebtoken");
+const { ServiceBroker, Context } = require("moleculer");
+const { UnAuthorizedError, ForbiddenError } = require("moleculer-web").Errors;
+const TestService = require("../../../services/oauth.service");
+const ApiService = require("../../../services/api.service");
+const ClientsService = require("../../../services/clients.service");
+const ApiKeysService = require("../../../services/apikeys.service");
+const AuthenticatorsService = require("../../../services/authenticators.service");
+const AccountsService = require("../../../services/accounts.service");
+const ConfigService = require("../../../services/config.service");
+const TokensService = require("../../../services/tokens.service");
+const SessionsService = require("../../../services/sessions.service");
+const KeysService = require("../../../services/keys.service");
+const AclService = require("../../../services/acl.service");
+const C = require("../../../constants");
+const E = require("moleculer").Errors;
+
+const FindEntityMiddleware = require("../../../middlewares/FindEntity");
+const CheckPermissionsMiddleware = require("../../../middlewares/CheckPermissions");
+
+process.env.JWT_SECRET = "kantab-secret-test";
+
+describe("Test OAuth service", () => {
+	let broker = new ServiceBroker({ logger: false, middlewares: [
+		FindEntityMiddleware,
+		CheckPermissionsMiddleware
+	] });
+
+	broker.createService(ConfigService);
+	broker.createService(TokensService);
+	broker.createService(SessionsService);
+	broker.createService(KeysService);
+	broker.createService(AclService);
+	broker.createService(ClientsService);
+	broker.createService(ApiKeysService);
+	broker.createService(AuthenticatorsService);
+	broker.createService({
+		name: "mail",
+		actions: {
+			send: jest.fn(() => Promise.resolve(true))
+		}
+	});
+	const accounts = broker.createService(AccountsService);
+	const service = broker.createService(TestService);
+	const api = broker.createService(ApiService, { settings: { server: false } });
+
+	const adminMeta = { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED, "administrator"] } };
+
+	const verifier = crypto.randomBytes(32).toString("hex");
+	const challenge = crypto.createHash("sha256").update(verifier).digest("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+
+	let webApp, spaApp, user, userMeta;
+
+	// Parse the location of a redirect
+	function location(meta) {
+		const [url, qs] = meta.$location.split("?");
+		return { url, query: querystring.parse(qs) };
+	}
+
+	// Call an endpoint like the API gateway, with the response meta
+	async function call(action, params, meta) {
+		const ctx = { meta: Object.assign({}, meta) };
+		const res = await broker.call(action, params, ctx);
+		return { res, meta: ctx.meta };
+	}
+
+	// Post the decision like the consent page, with the token of the authorization request
+	async function consent(params, meta) {
+		const { meta: authMeta } = await call("v1.oauth.authorize", Object.assign(_.omit(params, ["approve"]), { prompt: "consent" }), meta);
+		return await call("v1.oauth.consent", Object.assign({ consent_token: location(authMeta).query.consent_token }, params), meta);
+	}
+
+	beforeAll(async () => {
+		await broker.start();
+
+		accounts.config["accounts.signup.enabled"] = true;
+		accounts.config["accounts.verification.enabled"] = false;
+		accounts.config["accounts.jwt.expiresIn"] = "15m";
+		accounts.config["accounts.refreshToken.expires"] = 60 * 60 * 1000;
+
+		service.config["oauth.issuer"] = "http://auth.test";
+		service.config["oauth.loginURL"] = "http://site.test/login";
+		service.config["oauth.consentURL"] = "http://site.test/oauth/consent";
+		service.config["oauth.code.expires"] = 60 * 1000;
+
+		user = await broker.call("v1.accounts.register", {
+			username: "oauth1",
+			password: "password1",
+			email: "oauth1@kantab.io",
+			firstName: "OAuth",
+			lastName: "User"
+		});
+		userMeta = { userID: user._id };
+	});
+
+	afterAll(() => broker.stop());
+
+	describe("Test clients", () => {
+
+		it("should throw error if caller is not an administrator", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.clients.createClient", { name: "App", redirectURIs: ["http://app.test/cb"] }, { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED] } });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+			}
+		});
+
+		it("should create a confidential client", async () => {
+			webApp = await broker.call("v1.clients.createClient", {
+				name: "Web App",
+				redirectURIs: ["http://app.test/cb"],
+				scopes: ["profile", "email"]
+			}, adminMeta);
+
+			expect(webApp).toEqual({
+				_id: expect.any(String),
+				name: "Web App",
+				clientID: expect.any(String),
+				clientSecret: expect.any(String),
+				confidential: true,
+				redirectURIs: ["http://app.test/cb"],
+				scopes: ["profile", "email"],
+				grants: ["authorization_code", "refresh_token"],
+				status: 1,
+				createdAt: expect.any(Number)
+			});
+
+			// The secret is stored hashed & never returned
+			const res = await broker.call("v1.clients.resolveClient", { clientID: webApp.clientID, clientSecret: webApp.clientSecret });
+			expect(res.clientSecret).toBeUndefined();
+			expect(await broker.call("v1.clients.resolveClient", { clientID: webApp.clientID, clientSecret: "wrong" })).toBeNull();
+		});
+
+		it("should create a public client", async () => {
+			spaApp = await broker.call("v1.clients.createClient", {
+				name: "SPA",
+				redirectURIs: ["http://spa.test/cb", "com.spa.app:/cb"],
+				scopes: ["profile"],
+				confidential: false
+			}, adminMeta);
+
+			expect(spaApp.confidential).toBe(false);
+			expect(spaApp.clientSecret).toBeUndefined();
+		});
+
+		it("should not allow client credentials grant for public clients", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.clients.createClient", {
+					name: "Public machine",
+					redirectURIs: ["http://machine.test/cb"],
+					confidential: false,
+					grants: ["client_credentials"]
+				}, adminMeta);
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_INVALID_CLIENT_GRANTS");
+			}
+		});
+	});
+
+	describe("Test 'authorize' action", () => {
+
+		it("should throw error if client is unknown", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.oauth.authorize", { response_type: "code", client_id: "unknown" });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("invalid_client");
+			}
+		});
+
+		it("should throw error if redirect URI is not registered", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("v1.oauth.authorize", { response_type: "code", client_id: webApp.clientID, redirect_uri: "http://evil.test/cb" });
+			} catch (err) {
+				expect(err.type).toBe("invalid_request");
+			}
+		});
+
+		it("should redirect the errors to the client", async () => {
+			const { meta } = await call("v1.oauth.authorize", { response_type: "token", client_id: webApp.clientID, state: "xyz" });
+			expect(meta.$statusCode).toBe(302);
+			expect(location(meta)).toEqual({
+				url: "http://app.test/cb",
+				query: { error: "unsupported_response_type", error_description: expect.any(String), state: "xyz" }
+			});
+
+			const res = await call("v1.oauth.authorize", { response_type: "code", client_id: spaApp.clientID, redirect_uri: "http://spa.test/cb" }, userMeta);
+			expect(location(res.meta).query.error).toBe("invalid_request");
+
+			const res2 = await call("v1.oauth.authorize", { response_type: "code", client_id: spaApp.clientID, redirect_uri: "http://spa.test/cb", scope: "email", code_challenge: challenge, code_challenge_method: "S256" }, userMeta);
+			expect(location(res2.meta).query.error).toBe("invalid_scope");
+		});
+
+		it("should redirect to the login page", async () => {
+			const params = { response_type: "code", client_id: webApp.clientID, scope: "profile", state: "xyz" };
+			const { meta } = await call("v1.oauth.authorize", params);
+
+			const { url, query } = location(meta);
+			expect(url).toBe("http://site.test/login");
+			expect(query.redirect).toBe("http://auth.test/oauth/authorize?" + querystring.stringify(params));
+		});
+
+		it("should redirect to the consent page", async () => {
+			const { meta } = await call("v1.oauth.authorize", { response_type: "code", client_id: webApp.clientID, scope: "profile", state: "xyz" }, userMeta);
+
+			expect(location(meta)).toEqual({
+				url: "http://site.test/oauth/consent",
+				query: {
+					response_type: "code",
+					client_id: webApp.clientID,
+					client_name: "Web App",
+					scope: "profile",
+					state: "xyz",
+					consent_token: expect.any(String)
+				}
+			});
+		});
+	});
+
+	describe("Test authorization code grant", () => {
+		let code;
+
+		it("should deny the request", async () => {
+			const { meta } = await consent({ response_type: "code", client_id: webApp.clientID, state: "xyz", approve: "false" }, userMeta);
+			expect(location(meta).query).toEqual({ error: "access_denied", error_description: expect.any(String), state: "xyz" });
+		});
+
+		it("should issue a code after consent", async () => {
+			const { meta } = await consent({ response_type: "code", client_id: webApp.clientID, scope: "profile", state: "xyz", approve: "true" }, userMeta);
+
+			const { url, query } = location(meta);
+			expect(url).toBe("http://app.test/cb");
+			expect(query).toEqual({ code: expect.any(String), state: "xyz" });
+			code = query.code;
+		});
+
+		it("should not accept the consent without a valid token", async () => {
+			const params = { response_type: "code", client_id: webApp.clientID, scope: "profile", approve: "true" };
+
+			const err = await broker.call("v1.oauth.consent", Object.assign({ consent_token: "invalid" }, params), { meta: userMeta }).catch(err => err);
+			expect(err.code).toBe(403);
+			expect(err.type).toBe("access_denied");
+
+			const { meta } = await call("v1.oauth.authorize", Object.assign({ prompt: "consent" }, _.omit(params, ["approve"])), userMeta);
+			const { consent_token } = location(meta).query;
+
+			// Bound to the scopes of the request
+			const err2 = await broker.call("v1.oauth.consent", Object.assign({}, params, { consent_token, scope: "profile email" }), { meta: userMeta }).catch(err => err);
+			expect(err2.type).toBe("access_denied");
+
+			// Bound to the user
+			const err3 = await broker.call("v1.oauth.consent", Object.assign({ consent_token }, params), { meta: { userID: "other" } }).catch(err => err);
+			expect(err3.type).toBe("access_denied");
+
+			await call("v1.oauth.consent", Object.assign({ consent_token }, params), userMeta);
+
+			// Single-use
+			const err4 = await broker.call("v1.oauth.consent", Object.assign({ consent_token }, params), { meta: userMeta }).catch(err => err);
+			expect(err4.type).toBe("access_denied");
+		});
+
+		it("should not ask consent again", async () => {
+			const { meta } = await call("v1.oauth.authorize", { response_type: "code", client_id: webApp.clientID, scope: "profile" }, userMeta);
+			expect(location(meta).url).toBe("http://app.test/cb");
+
+			// Except if new scope is requested
+			const res = await call("v1.oauth.authorize", { response_type: "code", client_id: webApp.clientID, scope: "profile email" }, userMeta);
+			expect(location(res.meta).url).toBe("http://site.test/oauth/consent");
+		});
+
+		it("should throw error if client is not authenticated", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.oauth.token", { grant_type: "authorization_code", code, client_id: webApp.clientID });
+			} catch (err) {
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("invalid_client");
+			}
+		});
+
+		it("should exchange the code to tokens", async () => {
+			const { res, meta } = await call("v1.oauth.token", { grant_type: "authorization_code", code }, {
+				clientCredentials: { clientID: webApp.clientID, clientSecret: webApp.clientSecret }
+			});
+
+			expect(res).toEqual({
+				access_token: expect.any(String),
+				token_type: "Bearer",
+				expires_in: expect.any(Number),
+				refresh_token: expect.any(String),
+				scope: "profile"
+			});
+			expect(meta.$responseHeaders["Cache-Control"]).toBe("no-store");
+
+			expect(jwt.decode(res.access_token)).toEqual(expect.objectContaining({ id: user._id, aud: webApp.clientID, scope: "profile" }));
+
+			const resolved = await broker.call("v1.accounts.resolveToken", { token: res.access_token });
+			expect(resolved.email).toBe("oauth1@kantab.io");
+			expect(resolved.scope).toBe("profile");
+
+			// Refresh token of the client
+			const refreshed = await broker.call("v1.oauth.token", {
+				grant_type: "refresh_token",
+				refresh_token: res.refresh_token,
+				client_id: webApp.clientID,
+				client_secret: webApp.clientSecret
+			});
+			expect(jwt.decode(refreshed.access_token)).toEqual(expect.objectContaining({ aud: webApp.clientID, scope: "profile" }));
+
+			// Can't be refreshed without the client
+			expect.assertions(7);
+			try {
+				await broker.call("v1.accounts.refreshToken", { refreshToken: refreshed.refresh_token });
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should not accept the code twice", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("v1.oauth.token", { grant_type: "authorization_code", code, client_id: webApp.clientID, client_secret: webApp.clientSecret });
+			} catch (err) {
+				expect(err.type).toBe("invalid_grant");
+			}
+		});
+
+		it("should redeem the code only once on parallel requests", async () => {
+			const { meta } = await consent({ response_type: "code", client_id: webApp.clientID, scope: "profile", approve: "true" }, userMeta);
+			const params = { grant_type: "authorization_code", code: location(meta).query.code, client_id: webApp.clientID, client_secret: webApp.clientSecret };
+
+			const res = await Promise.all([
+				broker.call("v1.oauth.token", params).catch(err => err),
+				broker.call("v1.oauth.token", params).catch(err => err)
+			]);
+			expect(res.filter(r => r.access_token).length).toBe(1);
+			expect(res.filter(r => r.type == "invalid_grant").length).toBe(1);
+		});
+
+		it("should check the PKCE code verifier", async () => {
+			const params = { response_type: "code", client_id: spaApp.clientID, redirect_uri: "com.spa.app:/cb", code_challenge: challenge, code_challenge_method: "S256" };
+			const { meta } = await consent(Object.assign({ approve: true }, params), userMeta);
+			expect(location(meta).url).toBe("com.spa.app:/cb");
+			const { code } = location(meta).query;
+
+			expect.assertions(4);
+			try {
+				await broker.call("v1.oauth.token", { grant_type: "authorization_code", code, redirect_uri: "com.spa.app:/cb", client_id: spaApp.clientID, code_verifier: "wrong" });
+			} catch (err) {
+				expect(err.type).toBe("invalid_grant");
+			}
+
+			const res2 = await consent(Object.assign({ approve: true }, params), userMeta);
+			const res = await broker.call("v1.oauth.token", {
+				grant_type: "authorization_code",
+				code: location(res2.meta).query.code,
+				redirect_uri: "com.spa.app:/cb",
+				client_id: spaApp.clientID,
+				code_verifier: verifier
+			});
+			expect(res.scope).toBe("profile");
+			expect(jwt.decode(res.access_token).aud).toBe(spaApp.clientID);
+		});
+
+		it("should throw error if grant type is not supported", async () => {
+			expect.assertions(1);
+			try {
+				await broker.call("v1.oauth.token", { grant_type: "password", client_id: spaApp.clientID });
+			} catch (err) {
+				expect(err.type).toBe("unsupported_grant_type");
+			}
+		});
+	});
+
+	describe("Test OpenID Connect", () => {
+		let tokens;
+
+		beforeAll(async () => {
+			await broker.call("v1.clients.updateClient", { id: webApp._id, scopes: ["openid", "profile", "email"] }, adminMeta);
+		});
+
+		it("should return the discovery document", async () => {
+			const res = await broker.call("v1.oauth.openidConfiguration");
+			expect(res).toEqual(expect.objectContaining({
+				issuer: "http://auth.test",
+				authorization_endpoint: "http://auth.test/oauth/authorize",
+				token_endpoint: "http://auth.test/oauth/token",
+				userinfo_endpoint: "http://auth.test/oauth/userinfo",
+				jwks_uri: "http://auth.test/.well-known/jwks.json",
+				scopes_supported: ["openid", "profile", "email"],
+				response_types_supported: ["code"],
+				id_token_signing_alg_values_supported: ["HS256"]
+			}));
+		});
+
+		it("should issue an ID token", async () => {
+			const { meta } = await consent({
+				response_type: "code",
+				client_id: webApp.clientID,
+				scope: "openid profile email",
+				nonce: "n-0S6_WzA2Mj",
+				approve: "true"
+			}, userMeta);
+
+			tokens = await broker.call("v1.oauth.token", {
+				grant_type: "authorization_code",
+				code: location(meta).query.code,
+				client_id: webApp.clientID,
+				client_secret: webApp.clientSecret
+			});
+			expect(tokens.id_token).toEqual(expect.any(String));
+
+			const { header, payload } = jwt.decode(tokens.id_token, { complete: true });
+			expect(header.kid).toEqual(expect.any(String));
+			expect(payload).toEqual({
+				iss: "http://auth.test",
+				sub: user._id,
+				aud: webApp.clientID,
+				nonce: "n-0S6_WzA2Mj",
+				email: "oauth1@kantab.io",
+				email_verified: true,
+				given_name: "OAuth",
+				family_name: "User",
+				picture: expect.any(String),
+				iat: expect.any(Number),
+				exp: expect.any(Number),
+				jti: expect.any(String)
+			});
+
+			// Not usable as access token
+			expect.assertions(4);
+			try {
+				await broker.call("v1.accounts.resolveToken", { token: tokens.id_token });
+			} catch (err) {
+				expect(err.type).toBe("INVALID_TOKEN");
+			}
+		});
+
+		it("should return the user info", async () => {
+			const user = await broker.call("v1.accounts.resolveToken", { token: tokens.access_token });
+
+			const res = await broker.call("v1.oauth.userinfo", null, { meta: { userID: user._id, scope: user.scope } });
+			expect(res).toEqual({
+				sub: user._id,
+				email: "oauth1@kantab.io",
+				email_verified: true,
+				given_name: "OAuth",
+				family_name: "User",
+				picture: expect.any(String)
+			});
+		});
+
+		it("should return only the claims of the granted scopes", async () => {
+			const res = await broker.call("v1.oauth.userinfo", null, { meta: { userID: user._id, scope: "openid email" } });
+			expect(res).toEqual({ sub: user._id, email: "oauth1@kantab.io", email_verified: true });
+		});
+
+		it("should throw error without 'openid' scope", async () => {
+			expect.assertions(4);
+			try {
+				await broker.call("v1.oauth.userinfo", null, { meta: { userID: user._id, scope: "profile" } });
+			} catch (err) {
+				expect(err.code).toBe(403);
+				expect(err.type).toBe("insufficient_scope");
+			}
+
+			try {
+				await broker.call("v1.oauth.userinfo");
+			} catch (err) {
+				expect(err.code).toBe(401);
+				expect(err.type).toBe("invalid_token");
+			}
+		});
+	});
+
+	describe("Test access tokens of the OAuth clients on the API gateway", () => {
+		let tokens;
+
+		// Request of the API gateway to the action with the access token
+		const request = (action, token) => ({ headers: { authorization: `Bearer ${token}` }, $action: { name: action } });
+		const route = path => api.routes.find(route => route.path == path);
+
+		beforeAll(async () => {
+			const { meta } = await consent({ response_type: "code", client_id: webApp.clientID, scope: "openid profile", approve: "true" }, userMeta);
+			tokens = await broker.call("v1.oauth.token", {
+				grant_type: "authorization_code",
+				code: location(meta).query.code,
+				client_id: webApp.clientID,
+				client_secret: webApp.clientSecret
+			});
+		});
+
+		it("should not give access to the account actions", async () => {
+			const ctx = new Context(broker, { action: { name: "v1.api.rest" } });
+			await route("/api").onBeforeCall.call(api, ctx, route("/api"), request("v1.accounts.updateProfile", tokens.access_token), {});
+			expect(ctx.meta.user).toBeUndefined();
+			expect(ctx.meta.roles).toEqual([C.ROLE_EVERYONE]);
+
+			const err = await api.authenticate(new Context(broker), request("v1.accounts.updateProfile", tokens.access_token), route("/api")).catch(err => err);
+			expect(err).toBeInstanceOf(UnAuthorizedError);
+		});
+
+		it("should not give access to the auth actions", async () => {
+			const ctx = new Context(broker, { action: { name: "v1.api.rest" } });
+			const spy = jest.spyOn(api.logger, "debug");
+			await route("/auth").onBeforeCall.call(api, ctx, route("/auth"), request("v1.accounts.registerWebAuthn", tokens.access_token), {});
+			expect(ctx.meta.user).toBeUndefined();
+			expect(spy).toHaveBeenCalledWith("Auth request with invalid token.", new UnAuthorizedError().message);
+			spy.mockRestore();
+		});
+
+		it("should not give access to the admin routes", async () => {
+			await broker.call("v1.accounts.update", { id: user._id, roles: ["administrator"] });
+
+			const ctx = new Context(broker);
+			const err = await api.authorize(ctx, route("/admin"), request("v1.accounts.disable", tokens.access_token)).catch(err => err);
+			expect(err).toBeInstanceOf(UnAuthorizedError);
+			expect(ctx.meta.roles).toEqual([C.ROLE_EVERYONE]);
+
+			await broker.call("v1.accounts.update", { id: user._id, roles: ["user"] });
+		});
+
+		it("should be accepted by the userinfo endpoint", async () => {
+			const ctx = new Context(broker);
+			const res = await api.authorize(ctx, route("/oauth"), request("v1.oauth.userinfo", tokens.access_token));
+			expect(res.email).toBe("oauth1@kantab.io");
+			expect(ctx.meta).toEqual(expect.objectContaining({ token: tokens.access_token, scope: "openid profile" }));
+			expect(ctx.meta.roles).toContain(C.ROLE_AUTHENTICATED);
+		});
+	});
+
+	describe("Test anonymous requests on the API gateway", () => {
+		const route = path => api.routes.find(route => route.path == path);
+
+		it("should not call the administrator actions", async () => {
+			const ctx = new Context(broker, { action: { name: "v1.api.rest" } });
+			await route("/api").onBeforeCall.call(api, ctx, route("/api"), { headers: {}, $action: { name: "v1.acl.grant" } }, {});
+			expect(ctx.meta.roles).toEqual([C.ROLE_EVERYONE]);
+
+			const role = await broker.getLocalService("acl", 1).adapter.findOne({ name: "user" });
+			const err = await broker.call("v1.acl.grant", { id: role._id.toString(), permission: "**" }, { meta: ctx.meta }).catch(err => err);
+			expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+
+			expect((await broker.getLocalService("acl", 1).adapter.findById(role._id)).permissions).toEqual([]);
+		});
+	});
+
+	describe("Test internal actions on the API gateway", () => {
+		const route = path => api.routes.find(route => route.path == path);
+
+		// Call the action like the `/api` route of the API gateway
+		const callAction = action => {
+			const ctx = new Context(broker, { action: { name: "v1.api.rest" } });
+			return api.aliasHandler({ headers: {}, $route: route("/api"), $ctx: ctx }, {}, { action }).catch(err => err);
+		};
+
+		it("should not publish the token actions", async () => {
+			expect(await callAction("v1.tokens.insert")).toBeInstanceOf(E.ServiceNotFoundError);
+		});
+
+		it("should not publish the session actions", async () => {
+			expect(await callAction("v1.sessions.insert")).toBeInstanceOf(E.ServiceNotFoundError);
+			expect(await callAction("v1.sessions.count")).toBeInstanceOf(E.ServiceNotFoundError);
+		});
+
+		it("should not publish the key actions", async () => {
+			expect(await callAction("v1.keys.insert")).toBeInstanceOf(E.ServiceNotFoundError);
+			expect(await callAction("v1.keys.count")).toBeInstanceOf(E.ServiceNotFoundError);
+		});
+
+		it("should not publish the API key actions", async () => {
+			expect(await callAction("v1.apikeys.insert")).toBeInstanceOf(E.ServiceNotFoundError);
+			expect(await callAction("v1.apikeys.count")).toBeInstanceOf(E.ServiceNotFoundError);
+		});
+
+		it("should not publish the authenticator actions", async () => {
+			expect(await callAction("v1.authenticators.insert")).toBeInstanceOf(E.ServiceNotFoundError);
+			expect(await callAction("v1.authenticators.count")).toBeInstanceOf(E.ServiceNotFoundError);
+		});
+
+		it("should not publish the consent actions", async () => {
+			for (const action of ["find", "list", "get", "create", "insert", "update", "remove", "count"])
+				expect(await callAction(`v1.oauth.${action}`)).toBeInstanceOf(E.ServiceNotFoundError);
+		});
+	});
+
+	describe("Test API keys on the API gateway", () => {
+		let meta, boardsKey;
+
+		// Request of the API gateway to the action with the API key
+		const request = (action, key) => ({ headers: { authorization: `ApiKey ${key}` }, $action: { name: action } });
+		const route = path => api.routes.find(route => route.path == path);
+
+		beforeAll(async () => {
+			const { token } = await broker.call("v1.accounts.login", { email: "oauth1@kantab.io", password: "password1" });
+			const { sessionID } = await broker.call("v1.accounts.resolveToken", { token });
+			meta = { userID: user._id, roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED], sessionID };
+			await broker.call("v1.accounts.reauthenticate", { password: "password1" }, { meta });
+
+			boardsKey = await broker.call("v1.accounts.createApiKey", { name: "Boards", scopes: ["v1.boards.*"] }, { meta });
+		});
+
+		it("should be accepted by the actions of the scopes", async () => {
+			const ctx = new Context(broker);
+			const res = await api.authorize(ctx, route("/api"), request("v1.boards.find", boardsKey.key));
+			expect(res.email).toBe("oauth1@kantab.io");
+			expect(ctx.meta).toEqual(expect.objectContaining({ apiKeyID: boardsKey._id, scope: "v1.boards.*" }));
+		});
+
+		it("should not give access to the actions out of the scopes", async () => {
+			const ctx = new Context(broker);
+			const err = await api.authorize(ctx, route("/api"), request("v1.accounts.createApiKey", boardsKey.key)).catch(err => err);
+			expect(err).toBeInstanceOf(ForbiddenError);
+			expect(ctx.meta.roles).toEqual([C.ROLE_EVERYONE]);
+		});
+
+		it("should not manage the API keys with an API key", async () => {
+			const unscopedKey = await broker.call("v1.accounts.createApiKey", { name: "Unscoped" }, { meta });
+			const ctx = new Context(broker);
+			await api.authorize(ctx, route("/api"), request("v1.accounts.createApiKey", unscopedKey.key));
+			expect(ctx.meta.apiKeyID).toBe(unscopedKey._id);
+
+			const err = await broker.call("v1.accounts.createApiKey", { name: "Minted" }, { meta: Object.assign({}, meta, { apiKeyID: unscopedKey._id }) }).catch(err => err);
+			expect(err.code).toBe(403);
+			expect(err.type).toBe("ERR_API_KEY_NOT_ALLOWED");
+
+			const err2 = await broker.call("v1.accounts.revokeApiKey", { apiKeyID: boardsKey._id }, { meta: Object.assign({}, meta, { apiKeyID: unscopedKey._id }) }).catch(err => err);
+			expect(err2.type).toBe("ERR_API_KEY_NOT_ALLOWED");
+		});
+	});
+
+	describe("Test client IP address on the API gateway", () => {
+		const request = (remoteAddress, forwarded) => ({ headers: { "x-forwarded-for": forwarded }, connection: { remoteAddress } });
+
+		afterAll(() => api.settings.trustedProxies = []);
+
+		it("should not trust the X-Forwarded-For header of the clients", () => {
+			expect(api.getClientIP(request("203.0.113.7", "10.0.0.1"))).toBe("203.0.113.7");
+		});
+
+		it("should read the X-Forwarded-For header behind the trusted proxies", () => {
+			api.settings.trustedProxies = ["127.0.0.1", "10.0.0.2"];
+
+			expect(api.getClientIP(request("::ffff:127.0.0.1", "198.51.100.1, 203.0.113.7, 10.0.0.2"))).toBe("203.0.113.7");
+			expect(api.getClientIP(request("127.0.0.1", "10.0.0.2"))).toBe("10.0.0.2");
+			expect(api.getClientIP(request("127.0.0.1"))).toBe("127.0.0.1");
+		});
+	});
+
+	describe("Test client credentials grant", () => {
+		let machine, token;
+
+		const clientMeta = () => ({ clientCredentials: { clientID: machine.clientID, clientSecret: machine.clientSecret } });
+
+		beforeAll(async () => {
+			machine = await broker.call("v1.clients.createClient", {
+				name: "Billing service",
+				redirectURIs: ["http://billing.test/cb"],
+				scopes: ["accounts:write", "reports"],
+				grants: ["client_credentials"]
+			}, adminMeta);
+		});
+
+		it("should parse the HTTP Basic client credentials", async () => {
+			const basic = credentials => ({ headers: { authorization: "Basic " + Buffer.from(credentials).toString("base64") } });
+
+			expect(api.getClientCredentials(basic("billing%20app:s3cr%3At"))).toEqual({ clientID: "billing app", clientSecret: "s3cr:t" });
+			// Malformed percent-encoding
+			expect(api.getClientCredentials(basic("billing:%E0%A4%A"))).toBeNull();
+
+			const err = await broker.call("v1.oauth.token", { grant_type: "client_credentials" }, { meta: { clientCredentials: api.getClientCredentials(basic("%:secret")) } }).catch(err => err);
+			expect(err.code).toBe(401);
+			expect(err.type).toBe("invalid_client");
+		});
+
+		it("should issue an access token without refresh token", async () => {
+			const { res } = await call("v1.oauth.token", { grant_type: "client_credentials", scope: "accounts:write" }, clientMeta());
+			expect(res).toEqual({
+				access_token: expect.any(String),
+				token_type: "Bearer",
+				expires_in: expect.any(Number),
+				scope: "accounts:write"
+			});
+			token = res.access_token;
+		});
+
+		it("should resolve the token to the client", async () => {
+			const res = await broker.call("v1.accounts.resolveToken", { token });
+			expect(res).toEqual({ clientID: machine.clientID, name: "Billing service", scope: "accounts:write" });
+		});
+
+		it("should grant all client scopes by default", async () => {
+			const { res } = await call("v1.oauth.token", { grant_type: "client_credentials" }, clientMeta());
+			expect(res.scope).toBe("accounts:write reports");
+		});
+
+		it("should throw error if scope is not allowed for the client", async () => {
+			expect.assertions(1);
+			try {
+				await call("v1.oauth.token", { grant_type: "client_credentials", scope: "admin" }, clientMeta());
+			} catch (err) {
+				expect(err.type).toBe("invalid_scope");
+			}
+		});
+
+		it("should throw error if client has no client credentials grant", async () => {
+			expect.assertions(2);
+			try {
+				await call("v1.oauth.token", { grant_type: "client_credentials" }, { clientCredentials: { clientID: webApp.clientID, clientSecret: webApp.clientSecret } });
+			} catch (err) {
+				expect(err.code).toBe(400);
+				expect(err.type).toBe("unauthorized_client");
+			}
+		});
+
+		it("should not allow authorization code grant for machine clients", async () => {
+			const { meta } = await call("v1.oauth.authorize", {
+				response_type: "code",
+				client_id: machine.clientID,
+				redirect_uri: "http://billing.test/cb",
+				state: "s1"
+			}, userMeta);
+
+			expect(location(meta).query).toEqual({ error: "unauthorized_client", error_description: expect.any(String), state: "s1" });
+		});
+
+		it("should allow system calls to disable & enable accounts", async () => {
+			const systemMeta = { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_SYSTEM] } };
+
+			const res = await broker.call("v1.accounts.disable", { id: user._id }, systemMeta);
+			expect(res.status).toBe(0);
+
+			const res2 = await broker.call("v1.accounts.enable", { id: user._id }, systemMeta);
+			expect(res2.status).toBe(1);
+		});
+
+		it("should not allow user calls to disable accounts", async () => {
+			expect.assertions(2);
+			try {
+				await broker.call("v1.accounts.disable", { id: user._id }, { meta: { roles: [C.ROLE_EVERYONE, C.ROLE_AUTHENTICATED, "user"] } });
+			} catch (err) {
+				expect(err).toBeInstanceOf(E.MoleculerClientError);
+				expect(err.type).toBe("ERR_HAS_NO_ACCESS");
+			}
+		});
+
+		it("should revoke the client token on logout", async () => {
+			const { res } = await call("v1.oauth.token", { grant_type: "client_credentials" }, clientMeta());
+			const client = await broker.call("v1.accounts.resolveToken", { token: res.access_token });
+
+			await broker.call("v1.accounts.logout", null, { meta: { token: res.access_token, clientID: client.clientID } });
+
+			expect.assertions(1);
+			try {
+				await broker.call("v1.accounts.resolveToken", { token: res.access_token });
+			} catch (err) {
+				expect(err.type).toBe("ERR_TOKEN_REVOKED");
+			}
+		});
+	});
+
+});
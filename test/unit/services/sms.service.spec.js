@@ -0,0 +1,95 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ServiceBroker } = require("moleculer");
+const TestService = require("../../../services/sms.service");
+const ConfigService = require("../../../services/config.service");
+const E = require("moleculer").Errors;
+
+describe("Test SMS service", () => {
+	const logPath = path.join(os.tmpdir(), `kantab-sms-${process.pid}.log`);
+
+	let broker = new ServiceBroker({ logger: false });
+
+	broker.createService(ConfigService);
+
+	const service = broker.createService(TestService, {
+		settings: {
+			from: "KanTab",
+			transport: { type: "file", path: logPath },
+			throttle: { interval: 60 * 1000, limit: 2, window: 60 * 60 * 1000 }
+		}
+	});
+
+	const sentMessages = () => fs.readFileSync(logPath, "utf8").trim().split("\n").map(line => JSON.parse(line));
+
+	beforeAll(() => broker.start());
+	afterAll(async () => {
+		await broker.stop();
+		if (fs.existsSync(logPath))
+			fs.unlinkSync(logPath);
+	});
+
+	it("should render the template & write the message with the file transport", async () => {
+		service.config["site.name"] = "KanTab";
+
+		await broker.call("sms.send", { to: "+36301111111", template: "two-factor-code", data: { code: "123456", expiresIn: 10 } });
+
+		expect(sentMessages()).toEqual([{
+			date: expect.any(String),
+			from: "KanTab",
+			to: "+36301111111",
+			text: "123456 is your KanTab verification code. It expires in 10 minutes."
+		}]);
+	});
+
+	it("should throw error if the template or the text is missing", async () => {
+		await expect(broker.call("sms.send", { to: "+36302222222", template: "not-exists" })).rejects.toThrow(/Missing SMS template/);
+
+		const err = await broker.call("sms.send", { to: "+36302222222" }).catch(err => err);
+		expect(err).toBeInstanceOf(E.MoleculerClientError);
+		expect(err.type).toBe("ERR_SMS_MISSING_TEXT");
+	});
+
+	it("should throttle the messages per phone number", async () => {
+		await broker.call("sms.send", { to: "+36303333333", text: "First" });
+
+		const err = await broker.call("sms.send", { to: "+36303333333", text: "Second" }).catch(err => err);
+		expect(err.code).toBe(429);
+		expect(err.type).toBe("ERR_SMS_THROTTLED");
+		expect(err.data.retryAfter).toBeGreaterThan(Date.now());
+
+		// Other numbers are not affected
+		await broker.call("sms.send", { to: "+36304444444", text: "Other" });
+
+		// Limit in the window
+		service.settings.throttle.interval = 0;
+		await broker.call("sms.send", { to: "+36303333333", text: "Second" });
+		expect((await broker.call("sms.send", { to: "+36303333333", text: "Third" }).catch(err => err)).type).toBe("ERR_SMS_THROTTLED");
+
+		expect(sentMessages().filter(msg => msg.to == "+36303333333").map(msg => msg.text)).toEqual(["First", "Second"]);
+	});
+
+	it("should use the custom transport of `createTransport`", async () => {
+		const send = jest.fn(() => Promise.resolve({ id: "msg-1" }));
+
+		const customBroker = new ServiceBroker({ logger: false });
+		customBroker.createService(ConfigService);
+		customBroker.createService(TestService, {
+			methods: {
+				createTransport() {
+					return { send };
+				}
+			}
+		});
+
+		await customBroker.start();
+		const res = await customBroker.call("sms.send", { to: "+36305555555", text: "Hello" });
+		await customBroker.stop();
+
+		expect(res).toEqual({ id: "msg-1" });
+		expect(send).toHaveBeenCalledWith({ from: undefined, to: "+36305555555", text: "Hello" });
+	});
+});